@@ -0,0 +1,225 @@
+import { useState, useEffect, useRef } from 'react';
+import settingsStore from '../utils/settings';
+import { getOpenCV } from '../utils/contourDetector';
+import { fitAspectRatio } from '../utils/videoFit';
+import calibrationStore, {
+  findCheckerboard,
+  calibrateFromViews,
+  BOARD_COLUMNS,
+  BOARD_ROWS,
+  MIN_CALIBRATION_VIEWS
+} from '../utils/cameraCalibration';
+import './CalibrationWizard.css';
+
+// How often the live frame is searched for the board (ms)
+const SEARCH_INTERVAL = 400;
+
+// Long side of the frame copy searched for the board (px)
+const SEARCH_SIZE = 960;
+
+// A capture must move the board's centre or change its size by this fraction of the frame
+const MIN_VIEW_CHANGE = 0.05;
+
+// Where a view's board sits: centre and size as fractions of the frame
+function viewSummary(corners, width, height) {
+  const xs = corners.map(corner => corner.x);
+  const ys = corners.map(corner => corner.y);
+  return {
+    x: (Math.min(...xs) + Math.max(...xs)) / 2 / width,
+    y: (Math.min(...ys) + Math.max(...ys)) / 2 / height,
+    size: (Math.max(...xs) - Math.min(...xs)) / width
+  };
+}
+
+// Guided checkerboard calibration for the camera in use; corners found are drawn over the frame
+function CalibrationWizard({ videoRef, cameraId, zoom = 1 }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [cameras, setCameras] = useState(() => settingsStore.get('cameraCalibration').cameras);
+  const [corners, setCorners] = useState(null);
+  const [views, setViews] = useState([]);
+  const [result, setResult] = useState(null);
+  const [message, setMessage] = useState('');
+  const [frame, setFrame] = useState({ width: 1, height: 1, fit: 'fill' }); // Video size and object-fit the corners are drawn in
+  const canvasRef = useRef(null);
+  
+  // Keep in sync with changes made elsewhere (other view, settings reset)
+  useEffect(() => settingsStore.subscribe(settings => setCameras(settings.cameraCalibration.cameras)), []);
+  
+  // Search the live frame for the board while the wizard is open
+  useEffect(() => {
+    if (!isOpen || result) return;
+    
+    const interval = setInterval(() => {
+      const video = videoRef.current;
+      const cv = getOpenCV();
+      if (!video?.videoWidth || !cv) return;
+      
+      const scale = Math.min(1, SEARCH_SIZE / Math.max(video.videoWidth, video.videoHeight));
+      const canvas = canvasRef.current || (canvasRef.current = document.createElement('canvas'));
+      canvas.width = Math.round(video.videoWidth * scale);
+      canvas.height = Math.round(video.videoHeight * scale);
+      const ctx = canvas.getContext('2d', { willReadFrequently: true });
+      ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+      
+      const found = findCheckerboard(cv, ctx.getImageData(0, 0, canvas.width, canvas.height), {
+        columns: BOARD_COLUMNS,
+        rows: BOARD_ROWS
+      });
+      setCorners(found && found.map(({ x, y }) => ({ x: x / scale, y: y / scale })));
+      const fit = getComputedStyle(video).objectFit;
+      setFrame(previous => previous.width === video.videoWidth && previous.height === video.videoHeight && previous.fit === fit
+        ? previous
+        : { width: video.videoWidth, height: video.videoHeight, fit });
+    }, SEARCH_INTERVAL);
+    
+    return () => clearInterval(interval);
+  }, [isOpen, result, videoRef]);
+  
+  const { width, height, fit } = frame;
+  const calibrations = cameras[cameraId] || [];
+  
+  const handleCapture = () => {
+    const summary = viewSummary(corners, width, height);
+    const similar = views.some(view => {
+      const previous = viewSummary(view, width, height);
+      return Math.hypot(summary.x - previous.x, summary.y - previous.y) < MIN_VIEW_CHANGE &&
+        Math.abs(summary.size - previous.size) < MIN_VIEW_CHANGE;
+    });
+    if (similar) {
+      setMessage('Too close to an earlier view - move, tilt or turn the board');
+      return;
+    }
+    
+    setViews(previous => [...previous, corners]);
+    setMessage('');
+  };
+  
+  const handleCalibrate = () => {
+    try {
+      setResult(calibrateFromViews(getOpenCV(), views, { columns: BOARD_COLUMNS, rows: BOARD_ROWS, width, height }));
+      setMessage('');
+    } catch (err) {
+      console.error('Calibration failed:', err);
+      setMessage('Calibration failed - capture a few more varied views');
+    }
+  };
+  
+  const handleSave = () => {
+    calibrationStore.save(cameraId, { ...result, zoom });
+    handleClose();
+  };
+  
+  const handleClose = () => {
+    setIsOpen(false);
+    setCorners(null);
+    setViews([]);
+    setResult(null);
+    setMessage('');
+  };
+  
+  if (!isOpen) {
+    return (
+      <button className="calibration-toggle" onClick={() => setIsOpen(true)}>
+        ⌗ Calibrate{calibrations.length > 0 ? ' ✓' : ''}
+      </button>
+    );
+  }
+  
+  const cornerPath = corners?.map(({ x, y }) => `${x},${y}`).join(' ');
+  
+  return (
+    <>
+      {corners && !result && (
+        <svg
+          viewBox={`0 0 ${width} ${height}`}
+          preserveAspectRatio={fitAspectRatio(fit)}
+          className="calibration-corners"
+        >
+          <polyline points={cornerPath} />
+          {corners.map(({ x, y }, index) => (
+            <circle key={index} cx={x} cy={y} r={Math.max(width, height) / 300} />
+          ))}
+        </svg>
+      )}
+      
+      <div className="calibration-panel">
+        <div className="calibration-header">
+          <span>Camera Calibration</span>
+          <button className="calibration-close" onClick={handleClose} title="Close">×</button>
+        </div>
+        
+        {!result && (
+          <>
+            <p className="calibration-hint">
+              Print a checkerboard of {BOARD_COLUMNS + 1} × {BOARD_ROWS + 1} squares and keep it flat. Capture
+              it from {MIN_CALIBRATION_VIEWS} or more angles and distances, filling different parts of the
+              frame{zoom !== 1 ? ` at the current ${zoom.toFixed(1)}x zoom` : ''}.
+            </p>
+            
+            <p className={`calibration-status ${corners ? 'found' : ''}`}>
+              {!getOpenCV() ? 'Waiting for OpenCV…' : corners ? 'Board found' : 'Looking for the board…'}
+              {' · '}{views.length}/{MIN_CALIBRATION_VIEWS} views
+            </p>
+            
+            <div className="calibration-actions">
+              <button onClick={handleCapture} disabled={!corners}>
+                Capture
+              </button>
+              <button
+                className="calibration-primary"
+                onClick={handleCalibrate}
+                disabled={views.length < MIN_CALIBRATION_VIEWS}
+              >
+                Calibrate
+              </button>
+            </div>
+          </>
+        )}
+        
+        {result && (
+          <>
+            <dl className="calibration-result">
+              <dt>Field of view</dt>
+              <dd>{result.fov.horizontal.toFixed(1)}° × {result.fov.vertical.toFixed(1)}°</dd>
+              <dt>Focal length</dt>
+              <dd>{Math.round(result.fx)} px</dd>
+              <dt>Distortion</dt>
+              <dd>k1 {result.distortion[0].toFixed(3)} · k2 {result.distortion[1].toFixed(3)}</dd>
+              <dt>Error</dt>
+              <dd>{result.error.toFixed(2)} px</dd>
+            </dl>
+            <p className="calibration-hint">
+              {result.error < 1
+                ? 'Good fit. Save to use it for range estimation on this camera.'
+                : 'Loose fit - the board may have bent or blurred. Saving still beats the default field of view.'}
+            </p>
+            
+            <div className="calibration-actions">
+              <button onClick={() => setResult(null)}>Back</button>
+              <button className="calibration-primary" onClick={handleSave}>Save</button>
+            </div>
+          </>
+        )}
+        
+        {message && <p className="calibration-message">{message}</p>}
+        
+        {calibrations.length > 0 && (
+          <ul className="calibration-list">
+            {calibrations.map(calibration => (
+              <li key={calibration.zoom} className="calibration-list-item">
+                <span>{calibration.zoom.toFixed(1)}x · {calibration.fov.horizontal.toFixed(1)}° FOV</span>
+              </li>
+            ))}
+            <li className="calibration-list-item">
+              <button className="calibration-forget" onClick={() => calibrationStore.remove(cameraId)}>
+                Forget Calibration
+              </button>
+            </li>
+          </ul>
+        )}
+      </div>
+    </>
+  );
+}
+
+export default CalibrationWizard;
@@ -1,29 +1,21 @@
 import { useEffect, useRef, useState, useCallback } from 'react';
-import * as tf from '@tensorflow/tfjs';
-import * as cocoSsd from '@tensorflow-models/coco-ssd';
 import { animate } from 'animejs';
 import FluidSimulation from '../utils/fluidSimulation';
-import { classifyDetections as classifyCocoDetections, getOverallThreatLevel, isAerialThreat, estimateHandPositions, TRACKABLE_TYPES } from '../utils/objectClassifier';
-import { yolov8Detector } from '../utils/yolov8Detector';
-import { demoDetector } from '../utils/demoDetector';
-import { initOpenCV, isOpenCVReady, extractContours, drawContour, drawFallbackOutline, drawMinimalLabel } from '../utils/contourDetector';
+import DetectionPipeline from '../utils/detectionPipeline';
+import { renderDetectionOverlay } from '../utils/overlayRenderer';
+import { BACKEND_LABELS } from '../utils/backendBenchmark';
 import audioAlert from '../utils/audioAlert';
+import calibrationStore, { cameraKey } from '../utils/cameraCalibration';
+import ZoneEditor from './ZoneEditor';
+import CalibrationWizard from './CalibrationWizard';
 import './CameraView.css';
 
-// Model type: 'yolov8' or 'coco-ssd'
-const PREFERRED_MODEL = 'yolov8';
-
-// Colors for threat-based highlighting
-const THREAT_COLOR = 'rgba(255, 50, 50, 1)'; // Red for threats
-const SAFE_COLOR = 'rgba(50, 255, 100, 1)'; // Green for non-threats
-
-function CameraView({ onDetections, onThreatLevel, onCameraStream, isActive = true }) {
+function CameraView({ onDetections, onThreatLevel, onZoneEntry, onCameraStream, isActive = true }) {
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
   const fluidCanvasRef = useRef(null);
   const containerRef = useRef(null);
-  const [model, setModel] = useState(null);
-  const [modelType, setModelType] = useState(null);
+  const [pipeline, setPipeline] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [loadingStatus, setLoadingStatus] = useState('Initializing...');
   const [error, setError] = useState(null);
@@ -34,6 +26,7 @@ function CameraView({ onDetections, onThreatLevel, onCameraStream, isActive = tr
   const lastDetectionsRef = useRef([]);
   const streamRef = useRef(null);
   const trackRef = useRef(null);
+  const handlersRef = useRef({ onDetections, onThreatLevel, onZoneEntry }); // Latest parent callbacks for the render loop
   
   // Camera capabilities state
   const [cameraCapabilities, setCameraCapabilities] = useState({
@@ -43,82 +36,26 @@ function CameraView({ onDetections, onThreatLevel, onCameraStream, isActive = tr
   });
   const [zoomLevel, setZoomLevel] = useState(1);
   const [torchEnabled, setTorchEnabled] = useState(false);
+  const [cameraId, setCameraId] = useState(null); // Calibration key for the camera in use
   
-  // Initialize detection model (YOLOv8 preferred, COCO-SSD fallback, Demo fallback)
+  // Initialize detection pipeline (detector registry picks the best available model)
   useEffect(() => {
+    const detectionPipeline = new DetectionPipeline();
+    let cancelled = false;
+    
     async function loadModel() {
       try {
         setIsLoading(true);
+        await detectionPipeline.load({ onStatus: setLoadingStatus });
         
-        // Initialize OpenCV for contour detection (start early, await later)
-        setLoadingStatus('Initializing contour detection...');
-        const openCVPromise = initOpenCV().catch(err => {
-          console.warn('OpenCV initialization failed, will use fallback outlines:', err);
-        });
-        
-        if (PREFERRED_MODEL === 'yolov8') {
-          // Try loading YOLOv8 via ONNX Runtime Web
-          try {
-            setLoadingStatus('Loading YOLOv8 model via ONNX Runtime...');
-            
-            // For demo, we'll use a public YOLOv8n model
-            // In production, host your own model in /public/models/
-            const modelUrl = import.meta.env.BASE_URL + 'models/yolov8n.onnx';
-            
-            await yolov8Detector.loadModel(modelUrl);
-            setModel(yolov8Detector);
-            setModelType('yolov8');
-            console.log('YOLOv8 model loaded via ONNX Runtime Web');
-            
-            // Wait for OpenCV to be ready before completing
-            setLoadingStatus('Finalizing contour detection...');
-            await openCVPromise;
-            
-            setIsLoading(false);
-            return;
-          } catch (yoloError) {
-            console.warn('YOLOv8 loading failed, falling back to COCO-SSD:', yoloError);
-            setLoadingStatus('YOLOv8 unavailable, loading COCO-SSD...');
-          }
-        }
-        
-        // Try COCO-SSD fallback
-        try {
-          setLoadingStatus('Loading TensorFlow.js COCO-SSD model...');
-          await tf.ready();
-          console.log('TensorFlow.js ready, backend:', tf.getBackend());
-          
-          const loadedModel = await cocoSsd.load({
-            base: 'lite_mobilenet_v2' // Lighter model for mobile
-          });
-          
-          setModel(loadedModel);
-          setModelType('coco-ssd');
-          console.log('COCO-SSD model loaded');
-          
-          // Wait for OpenCV to be ready before completing
-          setLoadingStatus('Finalizing contour detection...');
-          await openCVPromise;
-          
-          setIsLoading(false);
+        if (cancelled) {
+          // Unmounted while loading - release the detector we just loaded
+          detectionPipeline.dispose();
           return;
-        } catch (cocoError) {
-          console.warn('COCO-SSD loading failed, falling back to demo mode:', cocoError);
-          setLoadingStatus('Using demo detection mode...');
         }
         
-        // Final fallback to demo detector
-        console.log('Using demo detector for demonstration purposes');
-        await demoDetector.load();
-        setModel(demoDetector);
-        setModelType('demo');
-        
-        // Wait for OpenCV to be ready before completing
-        setLoadingStatus('Finalizing contour detection...');
-        await openCVPromise;
-        
+        setPipeline(detectionPipeline);
         setIsLoading(false);
-        
       } catch (err) {
         console.error('Error loading model:', err);
         setError('Failed to load detection model. Please refresh.');
@@ -127,8 +64,18 @@ function CameraView({ onDetections, onThreatLevel, onCameraStream, isActive = tr
     }
     
     loadModel();
+    
+    return () => {
+      cancelled = true;
+      detectionPipeline.dispose();
+    };
   }, []);
   
+  // Zoom narrows the field of view used for range estimation
+  useEffect(() => {
+    pipeline?.setZoom(zoomLevel);
+  }, [pipeline, zoomLevel]);
+  
   // Initialize fluid simulation
   useEffect(() => {
     if (fluidCanvasRef.current) {
@@ -194,6 +141,9 @@ function CameraView({ onDetections, onThreatLevel, onCameraStream, isActive = tr
       // Get video track and its capabilities
       const videoTrack = stream.getVideoTracks()[0];
       trackRef.current = videoTrack;
+      const key = cameraKey(videoTrack);
+      calibrationStore.setActiveCamera(key);
+      setCameraId(key);
       
       if (videoTrack) {
         const capabilities = videoTrack.getCapabilities ? videoTrack.getCapabilities() : {};
@@ -327,112 +277,44 @@ function CameraView({ onDetections, onThreatLevel, onCameraStream, isActive = tr
     }
   }, [onCameraStream]);
   
-  // Detection loop
+  // Parents pass new callbacks each render; the loop reads them through a ref so it is not restarted
+  useEffect(() => {
+    handlersRef.current = { onDetections, onThreatLevel, onZoneEntry };
+  });
+  
+  // Render loop: draws every animation frame, starting inference when the scheduler says it is due
   useEffect(() => {
-    if (!model || !cameraActive || !isActive) return;
+    if (!pipeline || !cameraActive || !isActive) return;
     
     const video = videoRef.current;
     const canvas = canvasRef.current;
     const ctx = canvas.getContext('2d');
+    const { scheduler } = pipeline;
+    let cancelled = false;
     
     let lastAlertTime = 0;
     const ALERT_COOLDOWN = 3000; // 3 seconds between alerts
     
-    async function detect() {
-      if (!video || video.paused || video.ended) {
-        animationRef.current = requestAnimationFrame(detect);
-        return;
-      }
-      
-      // Match canvas size to video
-      if (canvas.width !== video.videoWidth || canvas.height !== video.videoHeight) {
-        canvas.width = video.videoWidth;
-        canvas.height = video.videoHeight;
-        
-        if (fluidCanvasRef.current) {
-          fluidCanvasRef.current.width = video.videoWidth;
-          fluidCanvasRef.current.height = video.videoHeight;
-          fluidSimRef.current?.resize(video.videoWidth, video.videoHeight);
-        }
-      }
-      
+    // Inference runs alongside rendering; its results are picked up by the next frame drawn
+    async function infer(regions) {
+      let classifiedDetections = null;
       try {
-        // Run detection based on model type
-        let classifiedDetections;
+        // Run detection through the shared pipeline
+        classifiedDetections = await pipeline.process(video, canvas.width, canvas.height, { regions });
+        if (cancelled) return;
         
-        if (modelType === 'yolov8') {
-          // YOLOv8 via ONNX Runtime Web
-          const predictions = await model.detect(video);
-          classifiedDetections = model.classifyDetections(predictions);
-        } else if (modelType === 'demo') {
-          // Demo detector for demonstration
-          const predictions = model.detect(video);
-          classifiedDetections = model.classifyDetections(predictions);
-        } else {
-          // COCO-SSD via TensorFlow.js
-          const predictions = await model.detect(video);
-          classifiedDetections = classifyCocoDetections(predictions);
-        }
+        // Calculate threat level with the active threat policy (smoothed; held while decaying)
+        const { level: threatLevel, rule: threatRule, held } = pipeline.assessThreat(classifiedDetections);
         
-        // Clear canvas
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        
-        // Draw contour outlines instead of bounding boxes
-        for (const detection of classifiedDetections) {
-          const { boundingBox, classification, confidence } = detection;
-          
-          // Determine if this is a threat (aerial threat types are threats)
-          const isThreat = isAerialThreat(detection);
-          
-          // Choose color based on threat status: red for threats, green for non-threats
-          const strokeColor = isThreat ? THREAT_COLOR : SAFE_COLOR;
-          
-          // Try to extract and draw contour outline using OpenCV
-          if (isOpenCVReady()) {
-            const contourPoints = extractContours(video, boundingBox, 40);
-            if (contourPoints.length > 2) {
-              // Draw the actual shape contour
-              drawContour(ctx, contourPoints, strokeColor, 3, true);
-            } else {
-              // Fallback to stylized outline
-              drawFallbackOutline(ctx, boundingBox, strokeColor, 3);
-            }
-          } else {
-            // OpenCV not ready, use stylized fallback
-            drawFallbackOutline(ctx, boundingBox, strokeColor, 3);
-          }
-          
-          // Draw minimal label (small, non-intrusive)
-          const altitudeLabel = detection.altitude ? ` ${detection.altitude.label}` : '';
-          const label = `${classification.label} ${Math.round(confidence * 100)}%${isThreat ? altitudeLabel : ''}`;
-          drawMinimalLabel(ctx, label, boundingBox.x, boundingBox.y, strokeColor);
-          
-          // Add fluid trail for trackable detections (motion tracking)
-          if (TRACKABLE_TYPES.includes(classification.type)) {
-            const normalizedX = boundingBox.centerX / canvas.width;
-            const normalizedY = boundingBox.centerY / canvas.height;
-            // Create unique object ID for trajectory tracking
-            const objectId = `${classification.type}_${Math.round(boundingBox.x)}_${Math.round(boundingBox.y)}`;
-            // Pass threat status to fluid simulation for color
-            fluidSimRef.current?.addTrailPoint(normalizedX, normalizedY, classification.type, objectId, isThreat);
-            
-            // For person detections, also track estimated hand positions for movement tracking
-            if (classification.type === 'person') {
-              const handPositions = estimateHandPositions(boundingBox, canvas.width, canvas.height);
-              fluidSimRef.current?.addTrailPoint(handPositions.leftHand.x, handPositions.leftHand.y, 'hand', `${objectId}_left_hand`, isThreat);
-              fluidSimRef.current?.addTrailPoint(handPositions.rightHand.x, handPositions.rightHand.y, 'hand', `${objectId}_right_hand`, isThreat);
-            }
-          }
+        // Distinct chime when a tracked aerial object enters a watch zone
+        const zoneEntries = classifiedDetections.filter(detection => detection.zoneEntries.length > 0);
+        if (zoneEntries.length > 0) {
+          audioAlert.zoneAlert();
+          handlersRef.current.onZoneEntry?.(zoneEntries);
         }
         
-        // Render fluid trails
-        fluidSimRef.current?.render();
-        
-        // Calculate threat level
-        const threatLevel = getOverallThreatLevel(classifiedDetections);
-        
-        // Trigger alerts for threats
-        if (threatLevel !== 'none' && threatLevel !== 'info') {
+        // Trigger alerts for threats still present, not for levels held after they left
+        if (!held && threatLevel !== 'none' && threatLevel !== 'info') {
           const now = Date.now();
           if (now - lastAlertTime > ALERT_COOLDOWN) {
             audioAlert.alert(threatLevel);
@@ -441,26 +323,58 @@ function CameraView({ onDetections, onThreatLevel, onCameraStream, isActive = tr
         }
         
         // Notify parent components
-        onDetections?.(classifiedDetections);
-        onThreatLevel?.(threatLevel);
+        handlersRef.current.onDetections?.(classifiedDetections);
+        handlersRef.current.onThreatLevel?.(threatLevel, threatRule, pipeline.threatHistory);
         
         lastDetectionsRef.current = classifiedDetections;
         
       } catch (err) {
         console.error('Detection error:', err);
+      } finally {
+        // Always release the scheduler; results of a stopped loop are dropped
+        scheduler.complete(cancelled ? null : classifiedDetections, video);
       }
+    }
+    
+    function render() {
+      if (!video || video.paused || video.ended) {
+        animationRef.current = requestAnimationFrame(render);
+        return;
+      }
+      
+      // Match canvas size to video
+      if (canvas.width !== video.videoWidth || canvas.height !== video.videoHeight) {
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        
+        if (fluidCanvasRef.current) {
+          fluidCanvasRef.current.width = video.videoWidth;
+          fluidCanvasRef.current.height = video.videoHeight;
+          fluidSimRef.current?.resize(video.videoWidth, video.videoHeight);
+        }
+      }
+      
+      const now = performance.now();
+      const plan = scheduler.next(now, canvas.width, canvas.height);
+      if (plan) infer(plan.regions);
+      
+      // Draw outlines, track paths, labels and fluid trails, moved on since the last inference
+      renderDetectionOverlay(ctx, scheduler.current(now), fluidSimRef.current, { horizon: pipeline.horizon, zones: pipeline.zones });
       
-      animationRef.current = requestAnimationFrame(detect);
+      animationRef.current = requestAnimationFrame(render);
     }
     
-    detect();
+    render();
     
     return () => {
+      cancelled = true;
+      // Runs only when the camera or pipeline stops, so the next start begins fresh
+      scheduler.reset();
       if (animationRef.current) {
         cancelAnimationFrame(animationRef.current);
       }
     };
-  }, [model, modelType, cameraActive, isActive, onDetections, onThreatLevel]);
+  }, [pipeline, cameraActive, isActive]);
   
   // Cleanup on unmount
   useEffect(() => {
@@ -530,6 +444,10 @@ function CameraView({ onDetections, onThreatLevel, onCameraStream, isActive = tr
           ref={fluidCanvasRef}
           className="fluid-overlay"
         />
+        {cameraActive && <ZoneEditor videoRef={videoRef} />}
+        {cameraActive && cameraId && (
+          <CalibrationWizard videoRef={videoRef} cameraId={cameraId} zoom={zoomLevel} />
+        )}
       </div>
       
       {cameraActive && (
@@ -537,8 +455,9 @@ function CameraView({ onDetections, onThreatLevel, onCameraStream, isActive = tr
           <div className="tracking-status">
             <span className="tracking-indicator"></span>
             <span>Tracking Active</span>
-            <span className={`model-badge ${modelType}`}>
-              {modelType === 'yolov8' ? 'YOLOv8 ONNX' : modelType === 'demo' ? 'DEMO MODE' : 'COCO-SSD'}
+            <span className={`model-badge ${pipeline?.capabilities?.id}`}>
+              {pipeline?.capabilities?.label}
+              {pipeline?.capabilities?.backend && ` · ${BACKEND_LABELS[pipeline.capabilities.backend]}`}
             </span>
           </div>
           
@@ -0,0 +1,95 @@
+import { useState } from 'react';
+import classMappings, { CLASS_TYPES, THREAT_LEVELS } from '../utils/classMappings';
+
+function ClassMappingSettings() {
+  const [newClass, setNewClass] = useState('');
+  const [addedClasses, setAddedClasses] = useState([]); // Listed here, but not overridden until edited
+  
+  // Re-read on every render; SettingsPanel re-renders whenever settings change
+  const table = classMappings.getTable(addedClasses);
+  
+  // Show the class with its current mapping (from the model, if it has one) without overriding it
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const className = newClass.trim().toLowerCase();
+    if (!className) return;
+    
+    setAddedClasses(previous => previous.includes(className) ? previous : [...previous, className]);
+    setNewClass('');
+  };
+  
+  // Labels are saved when editing ends rather than on every keystroke
+  const handleLabelCommit = (className, label, e) => {
+    const value = e.target.value.trim();
+    if (value && value !== label) {
+      classMappings.setOverride(className, { label: value });
+    } else {
+      e.target.value = label;
+    }
+  };
+  
+  return (
+    <section className="settings-section">
+      <div className="settings-section-header">
+        <h4>Class Mappings</h4>
+        <button className="settings-reset" onClick={() => classMappings.reset()}>
+          Reset
+        </button>
+      </div>
+      <p className="settings-hint">
+        How each detector class is classified. Applies to every detector; edits override model manifests.
+      </p>
+      
+      <div className="class-mapping-table">
+        {table.map(({ className, type, threat, label, overridden }) => (
+          <div key={className} className={`class-mapping-row ${overridden ? 'overridden' : ''}`}>
+            <span className="class-mapping-name" title={className}>{className}</span>
+            <select
+              value={type}
+              onChange={(e) => classMappings.setOverride(className, { type: e.target.value })}
+            >
+              {CLASS_TYPES.map(option => (
+                <option key={option} value={option}>{option}</option>
+              ))}
+            </select>
+            <select
+              value={threat}
+              onChange={(e) => classMappings.setOverride(className, { threat: e.target.value })}
+            >
+              {THREAT_LEVELS.map(option => (
+                <option key={option} value={option}>{option}</option>
+              ))}
+            </select>
+            <input
+              key={label}
+              type="text"
+              defaultValue={label}
+              onBlur={(e) => handleLabelCommit(className, label, e)}
+              onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+            />
+            <button
+              className="class-mapping-revert"
+              onClick={() => classMappings.removeOverride(className)}
+              disabled={!overridden}
+              title="Revert to default"
+            >
+              ↺
+            </button>
+          </div>
+        ))}
+      </div>
+      
+      <form className="class-mapping-add" onSubmit={handleAdd}>
+        <input
+          type="text"
+          value={newClass}
+          onChange={(e) => setNewClass(e.target.value)}
+          placeholder="Add class (e.g. from a custom model)"
+        />
+        <button type="submit" className="settings-reset">Add</button>
+      </form>
+    </section>
+  );
+}
+
+export default ClassMappingSettings;
@@ -0,0 +1,123 @@
+import { useState } from 'react';
+import settingsStore from '../utils/settings';
+import { NMS_MODES } from '../utils/nms';
+
+// Display names for the NMS strategies
+const NMS_MODE_LABELS = {
+  'class-aware': 'Per class',
+  agnostic: 'Across classes',
+  soft: 'Soft-NMS'
+};
+
+function DetectionFilterSettings({ detectionFilter }) {
+  const [newClass, setNewClass] = useState('');
+  
+  const { defaultThreshold, classThresholds, nmsMode, iouThreshold } = detectionFilter;
+  
+  const update = (patch) => {
+    settingsStore.update('detectionFilter', patch);
+  };
+  
+  const setClassThreshold = (className, threshold) => {
+    update({ classThresholds: { ...classThresholds, [className]: threshold } });
+  };
+  
+  const removeClassThreshold = (className) => {
+    const { [className]: _removed, ...rest } = classThresholds;
+    update({ classThresholds: rest });
+  };
+  
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const className = newClass.trim().toLowerCase();
+    if (!className || className in classThresholds) return;
+    
+    setClassThreshold(className, defaultThreshold);
+    setNewClass('');
+  };
+  
+  return (
+    <section className="settings-section">
+      <div className="settings-section-header">
+        <h4>Confidence &amp; Overlap</h4>
+        <button className="settings-reset" onClick={() => settingsStore.reset('detectionFilter')}>
+          Reset
+        </button>
+      </div>
+      <p className="settings-hint">
+        Minimum confidence per class and how overlapping boxes are resolved. Applies to YOLOv8 and COCO-SSD.
+      </p>
+      
+      <label className="settings-field">
+        <span className="settings-label">Default</span>
+        <input
+          type="range"
+          min="0.05"
+          max="0.95"
+          step="0.05"
+          value={defaultThreshold}
+          onChange={(e) => update({ defaultThreshold: parseFloat(e.target.value) })}
+        />
+        <span className="settings-value">{Math.round(defaultThreshold * 100)}%</span>
+      </label>
+      
+      <label className="settings-field">
+        <span className="settings-label">NMS</span>
+        <select value={nmsMode} onChange={(e) => update({ nmsMode: e.target.value })}>
+          {NMS_MODES.map(mode => (
+            <option key={mode} value={mode}>{NMS_MODE_LABELS[mode]}</option>
+          ))}
+        </select>
+      </label>
+      
+      <label className="settings-field">
+        <span className="settings-label">IoU</span>
+        <input
+          type="range"
+          min="0.1"
+          max="0.9"
+          step="0.05"
+          value={iouThreshold}
+          onChange={(e) => update({ iouThreshold: parseFloat(e.target.value) })}
+        />
+        <span className="settings-value">{iouThreshold.toFixed(2)}</span>
+      </label>
+      
+      <div className="class-mapping-table">
+        {Object.entries(classThresholds).map(([className, threshold]) => (
+          <div key={className} className="class-threshold-row">
+            <span className="class-mapping-name" title={className}>{className}</span>
+            <input
+              type="range"
+              min="0.05"
+              max="0.95"
+              step="0.05"
+              value={threshold}
+              onChange={(e) => setClassThreshold(className, parseFloat(e.target.value))}
+            />
+            <span className="settings-value">{Math.round(threshold * 100)}%</span>
+            <button
+              className="class-mapping-revert"
+              onClick={() => removeClassThreshold(className)}
+              title="Use the default threshold"
+            >
+              ×
+            </button>
+          </div>
+        ))}
+      </div>
+      
+      <form className="class-mapping-add" onSubmit={handleAdd}>
+        <input
+          type="text"
+          value={newClass}
+          onChange={(e) => setNewClass(e.target.value)}
+          placeholder="Add class threshold (e.g. truck)"
+        />
+        <button type="submit" className="settings-reset">Add</button>
+      </form>
+    </section>
+  );
+}
+
+export default DetectionFilterSettings;
@@ -1,40 +1,36 @@
 import { useEffect, useRef, useState, useCallback } from 'react';
-import * as tf from '@tensorflow/tfjs';
-import * as cocoSsd from '@tensorflow-models/coco-ssd';
 import { animate } from 'animejs';
 import FluidSimulation from '../utils/fluidSimulation';
-import { classifyDetections as classifyCocoDetections, getOverallThreatLevel, getTypeColor, getThreatColor, isAerialThreat, formatConfidence, estimateHandPositions, TRACKABLE_TYPES } from '../utils/objectClassifier';
-import { yolov8Detector } from '../utils/yolov8Detector';
-import { demoDetector } from '../utils/demoDetector';
-import { initOpenCV, isOpenCVReady, extractContours, drawContour, drawFallbackOutline, drawMinimalLabel } from '../utils/contourDetector';
+import { getTypeColor, getThreatColor, isAerialThreat, formatConfidence } from '../utils/objectClassifier';
+import DetectionPipeline from '../utils/detectionPipeline';
+import { renderDetectionOverlay } from '../utils/overlayRenderer';
+import { BACKEND_LABELS } from '../utils/backendBenchmark';
 import audioAlert from '../utils/audioAlert';
+import calibrationStore, { cameraKey } from '../utils/cameraCalibration';
+import ZoneEditor from './ZoneEditor';
+import CalibrationWizard from './CalibrationWizard';
 import ChatPanel from './ChatPanel';
 import WalkieTalkie from './WalkieTalkie';
 import './FullScreenCamera.css';
 
-const PREFERRED_MODEL = 'yolov8';
-
-// Colors for threat-based highlighting
-const THREAT_COLOR = 'rgba(255, 50, 50, 1)'; // Red for threats
-const SAFE_COLOR = 'rgba(50, 255, 100, 1)'; // Green for non-threats
-
-function FullScreenCamera({ onClose, onDetections, onThreatLevel }) {
+function FullScreenCamera({ onClose, onDetections, onThreatLevel, onZoneEntry }) {
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
   const fluidCanvasRef = useRef(null);
   const containerRef = useRef(null);
-  const [model, setModel] = useState(null);
-  const [modelType, setModelType] = useState(null);
+  const [pipeline, setPipeline] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [loadingStatus, setLoadingStatus] = useState('Initializing systems...');
   const [error, setError] = useState(null);
   const [cameraActive, setCameraActive] = useState(false);
   const [threatLevel, setThreatLevel] = useState('none');
+  const [threatRule, setThreatRule] = useState(null);
   const [detections, setDetections] = useState([]);
   const fluidSimRef = useRef(null);
   const animationRef = useRef(null);
   const streamRef = useRef(null);
   const trackRef = useRef(null);
+  const handlersRef = useRef({ onDetections, onThreatLevel, onZoneEntry }); // Latest parent callbacks for the render loop
   
   // Communication panel state
   const [showCommPanel, setShowCommPanel] = useState(false);
@@ -47,75 +43,26 @@ function FullScreenCamera({ onClose, onDetections, onThreatLevel }) {
   });
   const [zoomLevel, setZoomLevel] = useState(1);
   const [torchEnabled, setTorchEnabled] = useState(false);
+  const [cameraId, setCameraId] = useState(null); // Calibration key for the camera in use
   
-  // Initialize detection model
+  // Initialize detection pipeline (detector registry picks the best available model)
   useEffect(() => {
+    const detectionPipeline = new DetectionPipeline();
+    let cancelled = false;
+    
     async function loadModel() {
       try {
         setIsLoading(true);
+        await detectionPipeline.load({ onStatus: setLoadingStatus });
         
-        // Initialize OpenCV for contour detection (start early, await later)
-        setLoadingStatus('Initializing contour detection...');
-        const openCVPromise = initOpenCV().catch(err => {
-          console.warn('OpenCV initialization failed, will use fallback outlines:', err);
-        });
-        
-        if (PREFERRED_MODEL === 'yolov8') {
-          try {
-            setLoadingStatus('Loading YOLOv8 neural network...');
-            const modelUrl = import.meta.env.BASE_URL + 'models/yolov8n.onnx';
-            await yolov8Detector.loadModel(modelUrl);
-            setModel(yolov8Detector);
-            setModelType('yolov8');
-            console.log('YOLOv8 model loaded via ONNX Runtime Web');
-            
-            // Wait for OpenCV to be ready before completing
-            setLoadingStatus('Finalizing contour detection...');
-            await openCVPromise;
-            
-            setIsLoading(false);
-            return;
-          } catch (yoloError) {
-            console.warn('YOLOv8 loading failed, falling back to COCO-SSD:', yoloError);
-            setLoadingStatus('Switching to COCO-SSD model...');
-          }
-        }
-        
-        // Try COCO-SSD
-        try {
-          setLoadingStatus('Initializing TensorFlow.js...');
-          await tf.ready();
-          
-          const loadedModel = await cocoSsd.load({
-            base: 'lite_mobilenet_v2'
-          });
-          
-          setModel(loadedModel);
-          setModelType('coco-ssd');
-          
-          // Wait for OpenCV to be ready before completing
-          setLoadingStatus('Finalizing contour detection...');
-          await openCVPromise;
-          
-          setIsLoading(false);
+        if (cancelled) {
+          // Unmounted while loading - release the detector we just loaded
+          detectionPipeline.dispose();
           return;
-        } catch (cocoError) {
-          console.warn('COCO-SSD loading failed, falling back to demo mode:', cocoError);
-          setLoadingStatus('Using demo detection mode...');
         }
         
-        // Final fallback to demo detector
-        console.log('Using demo detector for demonstration purposes');
-        await demoDetector.load();
-        setModel(demoDetector);
-        setModelType('demo');
-        
-        // Wait for OpenCV to be ready before completing
-        setLoadingStatus('Finalizing contour detection...');
-        await openCVPromise;
-        
+        setPipeline(detectionPipeline);
         setIsLoading(false);
-        
       } catch (err) {
         console.error('Error loading model:', err);
         setError('Failed to load detection model');
@@ -124,8 +71,18 @@ function FullScreenCamera({ onClose, onDetections, onThreatLevel }) {
     }
     
     loadModel();
+    
+    return () => {
+      cancelled = true;
+      detectionPipeline.dispose();
+    };
   }, []);
   
+  // Zoom narrows the field of view used for range estimation
+  useEffect(() => {
+    pipeline?.setZoom(zoomLevel);
+  }, [pipeline, zoomLevel]);
+  
   // Initialize fluid simulation
   useEffect(() => {
     if (fluidCanvasRef.current) {
@@ -168,6 +125,9 @@ function FullScreenCamera({ onClose, onDetections, onThreatLevel }) {
       // Get video track and its capabilities
       const videoTrack = stream.getVideoTracks()[0];
       trackRef.current = videoTrack;
+      const key = cameraKey(videoTrack);
+      calibrationStore.setActiveCamera(key);
+      setCameraId(key);
       
       if (videoTrack) {
         const capabilities = videoTrack.getCapabilities ? videoTrack.getCapabilities() : {};
@@ -275,14 +235,14 @@ function FullScreenCamera({ onClose, onDetections, onThreatLevel }) {
   
   // Auto-start camera when model is loaded - use requestAnimationFrame to avoid synchronous setState
   useEffect(() => {
-    if (!isLoading && model && !cameraActive && !error) {
+    if (!isLoading && pipeline && !cameraActive && !error) {
       // Defer the state update to avoid calling setState synchronously in effect
       requestAnimationFrame(() => {
         startCamera();
       });
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [isLoading, model, cameraActive, error]);
+  }, [isLoading, pipeline, cameraActive, error]);
   
   // Stop camera
   const stopCamera = useCallback(() => {
@@ -303,103 +263,42 @@ function FullScreenCamera({ onClose, onDetections, onThreatLevel }) {
     }
   }, []);
   
-  // Detection loop
+  // Parents pass new callbacks each render; the loop reads them through a ref so it is not restarted
   useEffect(() => {
-    if (!model || !cameraActive) return;
+    handlersRef.current = { onDetections, onThreatLevel, onZoneEntry };
+  });
+  
+  // Render loop: draws every animation frame, starting inference when the scheduler says it is due
+  useEffect(() => {
+    if (!pipeline || !cameraActive) return;
     
     const video = videoRef.current;
     const canvas = canvasRef.current;
     const ctx = canvas.getContext('2d');
+    const { scheduler } = pipeline;
+    let cancelled = false;
     
     let lastAlertTime = 0;
     const ALERT_COOLDOWN = 3000;
     
-    async function detect() {
-      if (!video || video.paused || video.ended) {
-        animationRef.current = requestAnimationFrame(detect);
-        return;
-      }
-      
-      if (canvas.width !== video.videoWidth || canvas.height !== video.videoHeight) {
-        canvas.width = video.videoWidth;
-        canvas.height = video.videoHeight;
-        
-        if (fluidCanvasRef.current) {
-          fluidCanvasRef.current.width = video.videoWidth;
-          fluidCanvasRef.current.height = video.videoHeight;
-          fluidSimRef.current?.resize(video.videoWidth, video.videoHeight);
-        }
-      }
-      
+    // Inference runs alongside rendering; its results are picked up by the next frame drawn
+    async function infer(regions) {
+      let classifiedDetections = null;
       try {
-        let classifiedDetections;
+        // Run detection through the shared pipeline
+        classifiedDetections = await pipeline.process(video, canvas.width, canvas.height, { regions });
+        if (cancelled) return;
         
-        if (modelType === 'yolov8') {
-          const predictions = await model.detect(video);
-          classifiedDetections = model.classifyDetections(predictions);
-        } else if (modelType === 'demo') {
-          // Demo detector for demonstration
-          const predictions = model.detect(video);
-          classifiedDetections = model.classifyDetections(predictions);
-        } else {
-          const predictions = await model.detect(video);
-          classifiedDetections = classifyCocoDetections(predictions);
-        }
+        const { level: currentThreatLevel, rule: currentThreatRule, held } = pipeline.assessThreat(classifiedDetections);
         
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        
-        // Draw contour outlines instead of bounding boxes
-        for (const detection of classifiedDetections) {
-          const { boundingBox, classification, confidence } = detection;
-          
-          // Determine if this is a threat (aerial threat types are threats)
-          const isThreat = isAerialThreat(detection);
-          
-          // Choose color based on threat status: red for threats, green for non-threats
-          const strokeColor = isThreat ? THREAT_COLOR : SAFE_COLOR;
-          
-          // Try to extract and draw contour outline using OpenCV
-          if (isOpenCVReady()) {
-            const contourPoints = extractContours(video, boundingBox, 40);
-            if (contourPoints.length > 2) {
-              // Draw the actual shape contour
-              drawContour(ctx, contourPoints, strokeColor, 3, true);
-            } else {
-              // Fallback to stylized outline
-              drawFallbackOutline(ctx, boundingBox, strokeColor, 3);
-            }
-          } else {
-            // OpenCV not ready, use stylized fallback
-            drawFallbackOutline(ctx, boundingBox, strokeColor, 3);
-          }
-          
-          // Draw minimal label (small, non-intrusive)
-          const altitudeLabel = detection.altitude ? ` ${detection.altitude.label}` : '';
-          const label = `${classification.label.toUpperCase()} ${formatConfidence(confidence)}${isThreat ? altitudeLabel : ''}`;
-          drawMinimalLabel(ctx, label, boundingBox.x, boundingBox.y, strokeColor);
-          
-          if (TRACKABLE_TYPES.includes(classification.type)) {
-            const normalizedX = boundingBox.centerX / canvas.width;
-            const normalizedY = boundingBox.centerY / canvas.height;
-            // Create unique object ID for trajectory tracking
-            const objectId = `${classification.type}_${Math.round(boundingBox.x)}_${Math.round(boundingBox.y)}`;
-            // Pass threat status to fluid simulation for color
-            fluidSimRef.current?.addTrailPoint(normalizedX, normalizedY, classification.type, objectId, isThreat);
-            
-            // For person detections, also track estimated hand positions for movement tracking
-            if (classification.type === 'person') {
-              const handPositions = estimateHandPositions(boundingBox, canvas.width, canvas.height);
-              fluidSimRef.current?.addTrailPoint(handPositions.leftHand.x, handPositions.leftHand.y, 'hand', `${objectId}_left_hand`, isThreat);
-              fluidSimRef.current?.addTrailPoint(handPositions.rightHand.x, handPositions.rightHand.y, 'hand', `${objectId}_right_hand`, isThreat);
-            }
-          }
+        // Distinct chime when a tracked aerial object enters a watch zone
+        const zoneEntries = classifiedDetections.filter(detection => detection.zoneEntries.length > 0);
+        if (zoneEntries.length > 0) {
+          audioAlert.zoneAlert();
+          handlersRef.current.onZoneEntry?.(zoneEntries);
         }
         
-        fluidSimRef.current?.render();
-        
-        const currentThreatLevel = getOverallThreatLevel(classifiedDetections);
-        
-        if (currentThreatLevel !== 'none' && currentThreatLevel !== 'info') {
+        if (!held && currentThreatLevel !== 'none' && currentThreatLevel !== 'info') {
           const now = Date.now();
           if (now - lastAlertTime > ALERT_COOLDOWN) {
             audioAlert.alert(currentThreatLevel);
@@ -409,24 +308,56 @@ function FullScreenCamera({ onClose, onDetections, onThreatLevel }) {
         
         setDetections(classifiedDetections);
         setThreatLevel(currentThreatLevel);
-        onDetections?.(classifiedDetections);
-        onThreatLevel?.(currentThreatLevel);
+        setThreatRule(currentThreatRule);
+        handlersRef.current.onDetections?.(classifiedDetections);
+        handlersRef.current.onThreatLevel?.(currentThreatLevel, currentThreatRule, pipeline.threatHistory);
         
       } catch (err) {
         console.error('Detection error:', err);
+      } finally {
+        // Always release the scheduler; results of a stopped loop are dropped
+        scheduler.complete(cancelled ? null : classifiedDetections, video);
+      }
+    }
+    
+    function render() {
+      if (!video || video.paused || video.ended) {
+        animationRef.current = requestAnimationFrame(render);
+        return;
+      }
+      
+      if (canvas.width !== video.videoWidth || canvas.height !== video.videoHeight) {
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        
+        if (fluidCanvasRef.current) {
+          fluidCanvasRef.current.width = video.videoWidth;
+          fluidCanvasRef.current.height = video.videoHeight;
+          fluidSimRef.current?.resize(video.videoWidth, video.videoHeight);
+        }
       }
       
-      animationRef.current = requestAnimationFrame(detect);
+      const now = performance.now();
+      const plan = scheduler.next(now, canvas.width, canvas.height);
+      if (plan) infer(plan.regions);
+      
+      // Draw outlines, track paths, labels and fluid trails, moved on since the last inference
+      renderDetectionOverlay(ctx, scheduler.current(now), fluidSimRef.current, { uppercaseLabels: true, horizon: pipeline.horizon, zones: pipeline.zones });
+      
+      animationRef.current = requestAnimationFrame(render);
     }
     
-    detect();
+    render();
     
     return () => {
+      cancelled = true;
+      // Runs only when the camera or pipeline stops, so the next start begins fresh
+      scheduler.reset();
       if (animationRef.current) {
         cancelAnimationFrame(animationRef.current);
       }
     };
-  }, [model, modelType, cameraActive, onDetections, onThreatLevel]);
+  }, [pipeline, cameraActive]);
   
   // Cleanup on unmount
   useEffect(() => {
@@ -523,6 +454,10 @@ function FullScreenCamera({ onClose, onDetections, onThreatLevel }) {
           />
           <canvas ref={canvasRef} className="fs-detection-canvas" />
           <canvas ref={fluidCanvasRef} className="fs-fluid-canvas" />
+          {cameraActive && <ZoneEditor videoRef={videoRef} />}
+          {cameraActive && cameraId && (
+            <CalibrationWizard videoRef={videoRef} cameraId={cameraId} zoom={zoomLevel} />
+          )}
           
           {/* Tactical overlay */}
           <div className="fs-tactical-overlay">
@@ -539,7 +474,8 @@ function FullScreenCamera({ onClose, onDetections, onThreatLevel }) {
               {new Date().toLocaleTimeString('en-US', { hour12: false })}
             </div>
             <div className="fs-hud-model">
-              {modelType === 'yolov8' ? 'YOLOV8 ONNX' : modelType === 'demo' ? 'DEMO MODE' : 'COCO-SSD'} ACTIVE
+              {pipeline?.capabilities?.label.toUpperCase()} ACTIVE
+              {pipeline?.capabilities?.backend && ` · ${BACKEND_LABELS[pipeline.capabilities.backend].toUpperCase()}`}
             </div>
           </div>
           
@@ -585,6 +521,9 @@ function FullScreenCamera({ onClose, onDetections, onThreatLevel }) {
                 <span className="fs-threat-level-icon"></span>
                 <span className="fs-threat-level-text">{getThreatLabel(threatLevel)}</span>
               </div>
+              {threatRule && (
+                <div className="fs-threat-rule">{threatRule.description || threatRule.id}</div>
+              )}
             </div>
           </div>
           
@@ -595,12 +534,15 @@ function FullScreenCamera({ onClose, onDetections, onThreatLevel }) {
             ) : (
               <ul className="fs-detection-list">
                 {detections.slice(0, 8).map((detection, index) => (
-                  <li key={index} className="fs-detection-item">
+                  <li key={detection.trackId ?? index} className="fs-detection-item">
                     <span 
                       className="fs-detection-dot"
                       style={{ backgroundColor: getTypeColor(detection.classification.type) }}
                     ></span>
-                    <span className="fs-detection-label">{detection.classification.label}</span>
+                    <span className="fs-detection-label">
+                      {detection.classification.label}
+                      {detection.trackId && <span className="fs-detection-track"> #{detection.trackId}</span>}
+                    </span>
                     <span className="fs-detection-confidence">
                       {formatConfidence(detection.confidence)}
                     </span>
@@ -615,7 +557,7 @@ function FullScreenCamera({ onClose, onDetections, onThreatLevel }) {
               <h3 className="fs-panel-title">! THREAT ALERT</h3>
               <ul className="fs-threat-list">
                 {activeThreats.map((threat, index) => (
-                  <li key={index} className="fs-threat-item">
+                  <li key={threat.trackId ?? index} className="fs-threat-item">
                     <span 
                       className="fs-threat-type-dot"
                       style={{ backgroundColor: getThreatColor(threat.classification.threat) }}
@@ -363,7 +363,7 @@ function NetworkPanel({ onRemoteDetection, onViewSwitch, onGridViewToggle }) {
               <h4>Network Alerts:</h4>
               <ul>
                 {remoteAlerts.slice(-3).map((item, index) => (
-                  <li key={index} className={`alert-item alert-${item.alert.level}`}>
+                  <li key={index} className={`alert-item alert-${item.alert.level} ${item.alert.rule === 'watch-zone' ? 'alert-zone' : ''}`}>
                     <span className="alert-source">{item.peerId.slice(0, 8)}</span>
                     <span className="alert-message">{item.alert.message || 'Threat detected'}</span>
                     <span className="alert-time">
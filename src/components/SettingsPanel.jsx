@@ -0,0 +1,592 @@
+import { useState, useEffect } from 'react';
+import settingsStore from '../utils/settings';
+import { BACKEND_OPTIONS, BACKEND_LABELS, getBenchmarks, clearBenchmarks } from '../utils/backendBenchmark';
+import { requestOrientationPermission } from '../utils/rangeEstimator';
+import DetectionFilterSettings from './DetectionFilterSettings';
+import TrackConfirmationSettings from './TrackConfirmationSettings';
+import ThreatPolicySettings from './ThreatPolicySettings';
+import ClassMappingSettings from './ClassMappingSettings';
+import './SettingsPanel.css';
+
+// Tile sizes offered for sliced inference (source pixels)
+const TILE_SIZES = [320, 480, 640, 960];
+
+// Model input sizes offered for dynamic-input models (long side, pixels)
+const INPUT_SIZES = [320, 480, 640, 960];
+
+// Ensemble members, keyed by detector id
+const ENSEMBLE_MODEL_LABELS = {
+  yolov8: 'YOLOv8',
+  'coco-ssd': 'COCO-SSD'
+};
+
+// Ensemble cadences offered: run a model every Nth inference
+const ENSEMBLE_INTERVALS = [1, 2, 3, 4];
+
+// Inference runtimes whose backend can be chosen
+const RUNTIME_LABELS = {
+  onnx: 'ONNX Runtime',
+  tfjs: 'TF.js'
+};
+
+function SettingsPanel() {
+  const [settings, setSettings] = useState(() => settingsStore.get());
+  const [isExpanded, setIsExpanded] = useState(false);
+  
+  // Keep in sync with changes made elsewhere
+  useEffect(() => settingsStore.subscribe(setSettings), []);
+  
+  const { tiling, modelInput, scheduling, ensemble, threatHysteresis, motion, acoustic, rangeEstimation, sky, pose, backends } = settings;
+  
+  const updateTiling = (patch) => {
+    settingsStore.update('tiling', patch);
+  };
+  
+  const updateModelInput = (patch) => {
+    settingsStore.update('modelInput', patch);
+  };
+  
+  const updateScheduling = (patch) => {
+    settingsStore.update('scheduling', patch);
+  };
+  
+  const updateEnsemble = (patch) => {
+    settingsStore.update('ensemble', patch);
+  };
+  
+  const updateThreatHysteresis = (patch) => {
+    settingsStore.update('threatHysteresis', patch);
+  };
+  
+  const updateMotion = (patch) => {
+    settingsStore.update('motion', patch);
+  };
+  
+  const updateRangeEstimation = (patch) => {
+    settingsStore.update('rangeEstimation', patch);
+  };
+  
+  // Tilt is only granted from a user gesture on iOS; ranges still work without it
+  const toggleRangeEstimation = (enabled) => {
+    if (enabled) requestOrientationPermission();
+    updateRangeEstimation({ enabled });
+  };
+  
+  const updateSky = (patch) => {
+    settingsStore.update('sky', patch);
+  };
+  
+  // Models pick their backend when they load, so measure again from a fresh start
+  const rerunBenchmark = () => {
+    clearBenchmarks();
+    window.location.reload();
+  };
+
+  return (
+    <div className={`settings-panel ${isExpanded ? 'expanded' : ''}`}>
+      <div className="settings-header" onClick={() => setIsExpanded(!isExpanded)}>
+        <span className="settings-title">
+          <span className="settings-icon">⚙</span>
+          Detection Settings
+        </span>
+        <button className="settings-expand-btn">
+          {isExpanded ? '▼' : '▲'}
+        </button>
+      </div>
+      
+      {isExpanded && (
+        <div className="settings-content">
+          <section className="settings-section">
+            <div className="settings-section-header">
+              <h4>Tiled Inference</h4>
+              <button className="settings-reset" onClick={() => settingsStore.reset('tiling')}>
+                Reset
+              </button>
+            </div>
+            <p className="settings-hint">
+              Scans overlapping full-resolution tiles to find small, distant targets. Slower per frame.
+            </p>
+            
+            <label className="settings-toggle">
+              <input
+                type="checkbox"
+                checked={tiling.enabled}
+                onChange={(e) => updateTiling({ enabled: e.target.checked })}
+              />
+              <span>Enable tiled inference</span>
+            </label>
+            
+            <label className="settings-field">
+              <span className="settings-label">Tile Size</span>
+              <select
+                value={tiling.tileSize}
+                onChange={(e) => updateTiling({ tileSize: parseInt(e.target.value, 10) })}
+                disabled={!tiling.enabled}
+              >
+                {TILE_SIZES.map(size => (
+                  <option key={size} value={size}>{size}px</option>
+                ))}
+              </select>
+            </label>
+            
+            <label className="settings-field">
+              <span className="settings-label">Overlap</span>
+              <input
+                type="range"
+                min="0"
+                max="0.5"
+                step="0.05"
+                value={tiling.overlap}
+                onChange={(e) => updateTiling({ overlap: parseFloat(e.target.value) })}
+                disabled={!tiling.enabled}
+              />
+              <span className="settings-value">{Math.round(tiling.overlap * 100)}%</span>
+            </label>
+          </section>
+          
+          <section className="settings-section">
+            <div className="settings-section-header">
+              <h4>Model Input</h4>
+              <button className="settings-reset" onClick={() => settingsStore.reset('modelInput')}>
+                Reset
+              </button>
+            </div>
+            <p className="settings-hint">
+              For YOLOv8 models exported with dynamic=True and marked "dynamicInput" in their manifest. Smaller inputs are faster; fitting the frame skips letterbox padding.
+            </p>
+            
+            <label className="settings-field">
+              <span className="settings-label">Input Size</span>
+              <select
+                value={modelInput.size}
+                onChange={(e) => updateModelInput({ size: e.target.value === 'model' ? 'model' : parseInt(e.target.value, 10) })}
+              >
+                <option value="model">Model default</option>
+                {INPUT_SIZES.map(size => (
+                  <option key={size} value={size}>{size}px</option>
+                ))}
+              </select>
+            </label>
+            
+            <label className="settings-toggle">
+              <input
+                type="checkbox"
+                checked={modelInput.fitFrame}
+                onChange={(e) => updateModelInput({ fitFrame: e.target.checked })}
+              />
+              <span>Match the frame's aspect ratio (e.g. 640x384 for 16:9)</span>
+            </label>
+          </section>
+          
+          <section className="settings-section">
+            <div className="settings-section-header">
+              <h4>Detection Pacing</h4>
+              <button className="settings-reset" onClick={() => settingsStore.reset('scheduling')}>
+                Reset
+              </button>
+            </div>
+            <p className="settings-hint">
+              Caps how often the model runs; outlines keep moving smoothly in between. Lower it on slow phones.
+            </p>
+            
+            <label className="settings-field">
+              <span className="settings-label">Target FPS</span>
+              <input
+                type="range"
+                min="2"
+                max="30"
+                step="1"
+                value={scheduling.targetFps}
+                onChange={(e) => updateScheduling({ targetFps: parseInt(e.target.value, 10) })}
+              />
+              <span className="settings-value">{scheduling.targetFps}</span>
+            </label>
+            
+            <label className="settings-toggle">
+              <input
+                type="checkbox"
+                checked={scheduling.roiPasses}
+                onChange={(e) => updateScheduling({ roiPasses: e.target.checked })}
+              />
+              <span>Search only around tracked objects between full scans (YOLOv8)</span>
+            </label>
+            
+            <label className="settings-field">
+              <span className="settings-label">Full Scan</span>
+              <input
+                type="range"
+                min="250"
+                max="5000"
+                step="250"
+                value={scheduling.fullScanInterval}
+                onChange={(e) => updateScheduling({ fullScanInterval: parseInt(e.target.value, 10) })}
+                disabled={!scheduling.roiPasses}
+              />
+              <span className="settings-value">{(scheduling.fullScanInterval / 1000).toFixed(2)}s</span>
+            </label>
+          </section>
+          
+          <DetectionFilterSettings detectionFilter={settings.detectionFilter} />
+          
+          <TrackConfirmationSettings confirmation={settings.confirmation} />
+          
+          <section className="settings-section">
+            <div className="settings-section-header">
+              <h4>Motion Detection</h4>
+              <button className="settings-reset" onClick={() => settingsStore.reset('motion')}>
+                Reset
+              </button>
+            </div>
+            <p className="settings-hint">
+              Flags small moving objects in the sky that the model misses, as Unknown Aerial. Needs a steady camera.
+            </p>
+            
+            <label className="settings-toggle">
+              <input
+                type="checkbox"
+                checked={motion.enabled}
+                onChange={(e) => updateMotion({ enabled: e.target.checked })}
+              />
+              <span>Enable motion detection</span>
+            </label>
+            
+            <label className="settings-field">
+              <span className="settings-label">Sky Region</span>
+              <input
+                type="range"
+                min="0.2"
+                max="1"
+                step="0.05"
+                value={motion.skyFraction}
+                onChange={(e) => updateMotion({ skyFraction: parseFloat(e.target.value) })}
+                disabled={!motion.enabled}
+              />
+              <span className="settings-value">{Math.round(motion.skyFraction * 100)}%</span>
+            </label>
+            
+            <label className="settings-field">
+              <span className="settings-label">Threshold</span>
+              <input
+                type="range"
+                min="8"
+                max="64"
+                step="1"
+                value={motion.sensitivity}
+                onChange={(e) => updateMotion({ sensitivity: parseInt(e.target.value, 10) })}
+                disabled={!motion.enabled}
+              />
+              <span className="settings-value">{motion.sensitivity}</span>
+            </label>
+          </section>
+          
+          <section className="settings-section">
+            <div className="settings-section-header">
+              <h4>Acoustic Detection</h4>
+              <button className="settings-reset" onClick={() => settingsStore.reset('acoustic')}>
+                Reset
+              </button>
+            </div>
+            <p className="settings-hint">
+              Listens for rotor noise on the microphone. A drone heard but not yet seen raises the threat to at least Low; one seen and heard to High.
+            </p>
+            
+            <label className="settings-toggle">
+              <input
+                type="checkbox"
+                checked={acoustic.enabled}
+                onChange={(e) => settingsStore.update('acoustic', { enabled: e.target.checked })}
+              />
+              <span>Enable acoustic detection</span>
+            </label>
+            
+            <label className="settings-field">
+              <span className="settings-label">Threshold</span>
+              <input
+                type="range"
+                min="0.2"
+                max="0.9"
+                step="0.05"
+                value={acoustic.threshold}
+                onChange={(e) => settingsStore.update('acoustic', { threshold: parseFloat(e.target.value) })}
+                disabled={!acoustic.enabled}
+              />
+              <span className="settings-value">{Math.round(acoustic.threshold * 100)}%</span>
+            </label>
+          </section>
+          
+          <section className="settings-section">
+            <div className="settings-section-header">
+              <h4>Range Estimation</h4>
+              <button className="settings-reset" onClick={() => settingsStore.reset('rangeEstimation')}>
+                Reset
+              </button>
+            </div>
+            <p className="settings-hint">
+              Distance in metres from each object's apparent size and its class's typical size, corrected for zoom. Height above ground needs the phone's tilt sensor.
+            </p>
+            
+            <label className="settings-toggle">
+              <input
+                type="checkbox"
+                checked={rangeEstimation.enabled}
+                onChange={(e) => toggleRangeEstimation(e.target.checked)}
+              />
+              <span>Enable range estimation</span>
+            </label>
+            
+            <label className="settings-field">
+              <span className="settings-label">FOV</span>
+              <input
+                type="range"
+                min="20"
+                max="120"
+                step="1"
+                value={rangeEstimation.fov}
+                onChange={(e) => updateRangeEstimation({ fov: parseInt(e.target.value, 10) })}
+                disabled={!rangeEstimation.enabled}
+              />
+              <span className="settings-value">{rangeEstimation.fov}°</span>
+            </label>
+            
+            <label className="settings-field">
+              <span className="settings-label">Cam Height</span>
+              <input
+                type="range"
+                min="0"
+                max="30"
+                step="0.5"
+                value={rangeEstimation.cameraHeight}
+                onChange={(e) => updateRangeEstimation({ cameraHeight: parseFloat(e.target.value) })}
+                disabled={!rangeEstimation.enabled}
+              />
+              <span className="settings-value">{rangeEstimation.cameraHeight}m</span>
+            </label>
+          </section>
+          
+          <section className="settings-section">
+            <div className="settings-section-header">
+              <h4>Sky &amp; Horizon</h4>
+              <button className="settings-reset" onClick={() => settingsStore.reset('sky')}>
+                Reset
+              </button>
+            </div>
+            <p className="settings-hint">
+              Aerial detections below the horizon (birds on rooftops, ground clutter) are scored lower or ignored.
+            </p>
+            
+            <label className="settings-field">
+              <span className="settings-label">Horizon</span>
+              <select value={sky.mode} onChange={(e) => updateSky({ mode: e.target.value })}>
+                <option value="off">Off</option>
+                <option value="auto">Automatic</option>
+                <option value="manual">Manual</option>
+              </select>
+            </label>
+            
+            <label className="settings-field">
+              <span className="settings-label">Height</span>
+              <input
+                type="range"
+                min="0.1"
+                max="1"
+                step="0.05"
+                value={sky.horizon}
+                onChange={(e) => updateSky({ horizon: parseFloat(e.target.value) })}
+                disabled={sky.mode === 'off'}
+              />
+              <span className="settings-value">{Math.round(sky.horizon * 100)}%</span>
+            </label>
+            
+            <label className="settings-field">
+              <span className="settings-label">Below</span>
+              <select
+                value={sky.belowHorizon}
+                onChange={(e) => updateSky({ belowHorizon: e.target.value })}
+                disabled={sky.mode === 'off'}
+              >
+                <option value="deprioritise">Deprioritise</option>
+                <option value="exclude">Exclude from scoring</option>
+              </select>
+            </label>
+          </section>
+          
+          <section className="settings-section">
+            <div className="settings-section-header">
+              <h4>Pose Estimation</h4>
+            </div>
+            <p className="settings-hint">
+              Tracks real wrist and head positions of people and flags pointing up or holding a controller. Needs models/yolov8n-pose.onnx.
+            </p>
+            
+            <label className="settings-toggle">
+              <input
+                type="checkbox"
+                checked={pose.enabled}
+                onChange={(e) => settingsStore.update('pose', { enabled: e.target.checked })}
+              />
+              <span>Enable pose estimation</span>
+            </label>
+          </section>
+          
+          <section className="settings-section">
+            <div className="settings-section-header">
+              <h4>Model Ensemble</h4>
+              <button className="settings-reset" onClick={() => settingsStore.reset('ensemble')}>
+                Reset
+              </button>
+            </div>
+            <p className="settings-hint">
+              Runs YOLOv8 and COCO-SSD together and fuses their boxes, so small aerial objects either model finds are kept. Slower; switching reloads the detector, and the current one keeps running until the new one is ready.
+            </p>
+            
+            <label className="settings-toggle">
+              <input
+                type="checkbox"
+                checked={ensemble.enabled}
+                onChange={(e) => updateEnsemble({ enabled: e.target.checked })}
+              />
+              <span>Enable model ensemble</span>
+            </label>
+            
+            {Object.entries(ENSEMBLE_MODEL_LABELS).map(([model, label]) => (
+              <div key={model}>
+                <label className="settings-field">
+                  <span className="settings-label">{label}</span>
+                  <input
+                    type="range"
+                    min="0.5"
+                    max="3"
+                    step="0.5"
+                    value={ensemble.weights[model]}
+                    onChange={(e) => updateEnsemble({ weights: { ...ensemble.weights, [model]: parseFloat(e.target.value) } })}
+                    disabled={!ensemble.enabled}
+                  />
+                  <span className="settings-value">×{ensemble.weights[model]}</span>
+                </label>
+                
+                <label className="settings-field">
+                  <span className="settings-label">Runs</span>
+                  <select
+                    value={ensemble.intervals[model]}
+                    onChange={(e) => updateEnsemble({ intervals: { ...ensemble.intervals, [model]: parseInt(e.target.value, 10) } })}
+                    disabled={!ensemble.enabled}
+                  >
+                    {ENSEMBLE_INTERVALS.map(interval => (
+                      <option key={interval} value={interval}>
+                        {interval === 1 ? 'Every inference' : `Every ${interval} inferences`}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+            ))}
+            
+            <label className="settings-field">
+              <span className="settings-label">Fuse IoU</span>
+              <input
+                type="range"
+                min="0.3"
+                max="0.8"
+                step="0.05"
+                value={ensemble.iouThreshold}
+                onChange={(e) => updateEnsemble({ iouThreshold: parseFloat(e.target.value) })}
+                disabled={!ensemble.enabled}
+              />
+              <span className="settings-value">{ensemble.iouThreshold.toFixed(2)}</span>
+            </label>
+          </section>
+          
+          <section className="settings-section">
+            <div className="settings-section-header">
+              <h4>Inference Backend</h4>
+              <button className="settings-reset" onClick={() => settingsStore.reset('backends')}>
+                Reset
+              </button>
+            </div>
+            <p className="settings-hint">
+              Automatic uses the fastest backend measured on this device. Changes apply the next time a model loads.
+            </p>
+            
+            {Object.entries(RUNTIME_LABELS).map(([runtime, label]) => (
+              <label key={runtime} className="settings-field">
+                <span className="settings-label">{label}</span>
+                <select
+                  value={backends[runtime]}
+                  onChange={(e) => settingsStore.update('backends', { [runtime]: e.target.value })}
+                >
+                  <option value="auto">Automatic</option>
+                  {BACKEND_OPTIONS[runtime].map(backend => (
+                    <option key={backend} value={backend}>{BACKEND_LABELS[backend]}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+            
+            {getBenchmarks().map(({ runtime, key, backend, results }) => (
+              <div key={`${runtime}:${key}`} className="backend-benchmark">
+                <span className="backend-benchmark-model">{key.split('/').pop()}</span>
+                {results.map(result => (
+                  <span
+                    key={result.backend}
+                    className={`backend-benchmark-result ${result.backend === backend ? 'fastest' : ''}`}
+                    title={result.error}
+                  >
+                    {BACKEND_LABELS[result.backend]} {result.error ? 'failed' : `${result.ms}ms`}
+                  </span>
+                ))}
+              </div>
+            ))}
+            
+            <button className="settings-apply" onClick={rerunBenchmark}>
+              Re-run Benchmark
+            </button>
+          </section>
+          
+          <ThreatPolicySettings threatPolicy={settings.threatPolicy} />
+          
+          <section className="settings-section">
+            <div className="settings-section-header">
+              <h4>Threat Level Smoothing</h4>
+              <button className="settings-reset" onClick={() => settingsStore.reset('threatHysteresis')}>
+                Reset
+              </button>
+            </div>
+            <p className="settings-hint">
+              How long a higher level must hold before it shows, and how long it stays quiet before the level drops by one.
+            </p>
+            
+            <label className="settings-field">
+              <span className="settings-label">Rise</span>
+              <input
+                type="range"
+                min="0"
+                max="2000"
+                step="100"
+                value={threatHysteresis.riseMs}
+                onChange={(e) => updateThreatHysteresis({ riseMs: parseInt(e.target.value, 10) })}
+              />
+              <span className="settings-value">{(threatHysteresis.riseMs / 1000).toFixed(1)}s</span>
+            </label>
+            
+            <label className="settings-field">
+              <span className="settings-label">Fall</span>
+              <input
+                type="range"
+                min="0"
+                max="15000"
+                step="500"
+                value={threatHysteresis.fallMs}
+                onChange={(e) => updateThreatHysteresis({ fallMs: parseInt(e.target.value, 10) })}
+              />
+              <span className="settings-value">{(threatHysteresis.fallMs / 1000).toFixed(1)}s</span>
+            </label>
+          </section>
+          
+          <ClassMappingSettings />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SettingsPanel;
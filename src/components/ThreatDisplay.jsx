@@ -1,9 +1,29 @@
 import { useEffect, useRef } from 'react';
 import { animate } from 'animejs';
-import { getThreatColor, isAerialThreat } from '../utils/objectClassifier';
+import { getThreatColor, isAerialThreat, formatVelocity, formatHeading } from '../utils/objectClassifier';
 import './ThreatDisplay.css';
 
-function ThreatDisplay({ threatLevel, detections = [] }) {
+// Format how long an object has been tracked, e.g. "8s" or "2m 05s"
+function formatTrackAge(ageMs) {
+  const seconds = Math.floor(ageMs / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+// List the ensemble models that saw an object, e.g. "yolov8 drone 71% · coco-ssd bird 52%"
+function formatAgreement(agreement) {
+  return agreement.map(({ model, class: className, score }) => `${model} ${className} ${Math.round(score * 100)}%`).join(' · ');
+}
+
+// Level changes listed in the history, newest first
+const HISTORY_SHOWN = 5;
+
+// Clock time of a level change, e.g. "14:03:27"
+function formatChangeTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+}
+
+function ThreatDisplay({ threatLevel, threatRule = null, threatHistory = [], detections = [] }) {
   const containerRef = useRef(null);
   const levelRef = useRef(null);
   const prevLevelRef = useRef('none');
@@ -70,6 +90,7 @@ function ThreatDisplay({ threatLevel, detections = [] }) {
   
   const threatColor = getThreatColor(threatLevel);
   const activeDetections = detections.filter(isAerialThreat);
+  const recentChanges = threatHistory.slice(-HISTORY_SHOWN).reverse();
 
   return (
     <div 
@@ -91,6 +112,12 @@ function ThreatDisplay({ threatLevel, detections = [] }) {
         </span>
       </div>
       
+      {threatRule && (
+        <div className="threat-rule">
+          Rule: {threatRule.description || threatRule.id}
+        </div>
+      )}
+      
       <div className="threat-stats">
         <div className="stat">
           <span className="stat-value">{detections.length}</span>
@@ -107,12 +134,29 @@ function ThreatDisplay({ threatLevel, detections = [] }) {
           <h4>Active Threats:</h4>
           <ul>
             {activeDetections.slice(0, 5).map((detection, index) => (
-              <li key={index} className="threat-item">
+              <li key={detection.trackId ?? index} className="threat-item">
                 <span 
                   className="threat-dot"
                   style={{ backgroundColor: getThreatColor(detection.classification.threat) }}
                 />
                 <span className="threat-name">{detection.classification.label}</span>
+                {detection.track && (
+                  <span className="threat-track">
+                    #{detection.trackId} · {formatTrackAge(detection.track.age)}
+                    {detection.range && ` · ${detection.range.label}`}
+                  </span>
+                )}
+                {detection.velocity && (
+                  <span className="threat-motion">
+                    {formatVelocity(detection.velocity)} {formatHeading(detection.heading)}
+                    {detection.behavior?.label && ` · ${detection.behavior.label}`}
+                  </span>
+                )}
+                {detection.agreement?.length > 1 && (
+                  <span className="threat-agreement" title={formatAgreement(detection.agreement)}>
+                    ×{detection.agreement.length}
+                  </span>
+                )}
                 <span className="threat-confidence">
                   {Math.round(detection.confidence * 100)}%
                 </span>
@@ -121,6 +165,24 @@ function ThreatDisplay({ threatLevel, detections = [] }) {
           </ul>
         </div>
       )}
+      
+      {recentChanges.length > 0 && (
+        <div className="threat-history">
+          <h4>Level History:</h4>
+          <ul>
+            {recentChanges.map(change => (
+              <li key={change.timestamp} className="threat-history-item" title={change.rule || undefined}>
+                <span 
+                  className="threat-dot"
+                  style={{ backgroundColor: getThreatColor(change.level) }}
+                />
+                <span className="threat-history-level">{getThreatLabel(change.level)}</span>
+                <span className="threat-history-time">{formatChangeTime(change.timestamp)}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
     </div>
   );
 }
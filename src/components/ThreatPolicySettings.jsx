@@ -0,0 +1,92 @@
+import { useState } from 'react';
+import settingsStore from '../utils/settings';
+import { THREAT_POLICY_PRESETS, validateThreatPolicy } from '../utils/threatRules';
+
+// Preset names shown in the selector
+const PRESET_LABELS = {
+  default: 'Default',
+  behavior: 'Behaviour-Aware',
+  airfield: 'Airfield',
+  stadium: 'Stadium',
+  'private-property': 'Private Property',
+  custom: 'Custom'
+};
+
+// Policy JSON for a threatPolicy settings section
+function policyText({ preset, customPolicy }) {
+  const policy = preset === 'custom' ? customPolicy : THREAT_POLICY_PRESETS[preset];
+  return JSON.stringify(policy || THREAT_POLICY_PRESETS.default, null, 2);
+}
+
+function ThreatPolicySettings({ threatPolicy }) {
+  const [draft, setDraft] = useState(() => policyText(threatPolicy));
+  const [error, setError] = useState(null);
+  
+  const handlePresetChange = (preset) => {
+    settingsStore.update('threatPolicy', { preset });
+    setDraft(policyText({ ...threatPolicy, preset }));
+    setError(null);
+  };
+  
+  // Validate the edited JSON and make it the active custom policy
+  const handleApply = () => {
+    try {
+      const policy = validateThreatPolicy(draft);
+      settingsStore.update('threatPolicy', { preset: 'custom', customPolicy: policy });
+      setError(null);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+  
+  const handleReset = () => {
+    settingsStore.reset('threatPolicy');
+    setDraft(policyText({ preset: 'default' }));
+    setError(null);
+  };
+  
+  return (
+    <section className="settings-section">
+      <div className="settings-section-header">
+        <h4>Threat Policy</h4>
+        <button className="settings-reset" onClick={handleReset}>
+          Reset
+        </button>
+      </div>
+      <p className="settings-hint">
+        Rules that escalate the threat level by object type, count, dwell time, approach, zone and confidence.
+        Edit the JSON and apply to use it as a custom policy.
+      </p>
+      
+      <label className="settings-field">
+        <span className="settings-label">Preset</span>
+        <select
+          value={threatPolicy.preset}
+          onChange={(e) => handlePresetChange(e.target.value)}
+        >
+          {Object.entries(PRESET_LABELS)
+            .filter(([preset]) => preset !== 'custom' || threatPolicy.customPolicy)
+            .map(([preset, label]) => (
+              <option key={preset} value={preset}>{label}</option>
+            ))}
+        </select>
+      </label>
+      
+      <textarea
+        className="settings-json"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        spellCheck={false}
+        rows={10}
+      />
+      
+      {error && <p className="settings-error">{error}</p>}
+      
+      <button className="settings-apply" onClick={handleApply}>
+        Apply Custom Policy
+      </button>
+    </section>
+  );
+}
+
+export default ThreatPolicySettings;
@@ -0,0 +1,118 @@
+import settingsStore from '../utils/settings';
+import { CLASS_TYPES } from '../utils/classMappings';
+
+// Largest confirmation window offered (frames)
+const MAX_FRAMES = 12;
+
+// Options for the hits and frames selects
+const FRAME_COUNTS = Array.from({ length: MAX_FRAMES }, (_, i) => i + 1);
+
+function TrackConfirmationSettings({ confirmation }) {
+  const { hits, frames, byType } = confirmation;
+  const unsetTypes = CLASS_TYPES.filter(type => !(type in byType));
+  
+  const update = (patch) => {
+    settingsStore.update('confirmation', patch);
+  };
+  
+  // Keep the window at least as long as the hits it must contain
+  const setDefaultHits = (value) => {
+    update({ hits: value, frames: Math.max(frames, value) });
+  };
+  
+  const setTypeRule = (type, rule) => {
+    update({ byType: { ...byType, [type]: { ...rule, frames: Math.max(rule.frames, rule.hits) } } });
+  };
+  
+  const removeTypeRule = (type) => {
+    const { [type]: _removed, ...rest } = byType;
+    update({ byType: rest });
+  };
+  
+  const handleAdd = (e) => {
+    if (!e.target.value) return;
+    setTypeRule(e.target.value, { hits, frames });
+  };
+  
+  return (
+    <section className="settings-section">
+      <div className="settings-section-header">
+        <h4>Track Confirmation</h4>
+        <button className="settings-reset" onClick={() => settingsStore.reset('confirmation')}>
+          Reset
+        </button>
+      </div>
+      <p className="settings-hint">
+        New tracks stay tentative (faded amber, no alerts or broadcasts) until seen in N of the last M frames.
+      </p>
+      
+      <label className="settings-field">
+        <span className="settings-label">Hits</span>
+        <input
+          type="range"
+          min="1"
+          max={MAX_FRAMES}
+          step="1"
+          value={hits}
+          onChange={(e) => setDefaultHits(parseInt(e.target.value, 10))}
+        />
+        <span className="settings-value">{hits}</span>
+      </label>
+      
+      <label className="settings-field">
+        <span className="settings-label">Of Frames</span>
+        <input
+          type="range"
+          min={hits}
+          max={MAX_FRAMES}
+          step="1"
+          value={frames}
+          onChange={(e) => update({ frames: parseInt(e.target.value, 10) })}
+        />
+        <span className="settings-value">{frames}</span>
+      </label>
+      
+      <div className="class-mapping-table">
+        {Object.entries(byType).map(([type, rule]) => (
+          <div key={type} className="confirmation-row">
+            <span className="class-mapping-name" title={type}>{type}</span>
+            <select
+              value={rule.hits}
+              onChange={(e) => setTypeRule(type, { ...rule, hits: parseInt(e.target.value, 10) })}
+            >
+              {FRAME_COUNTS.map(count => <option key={count} value={count}>{count}</option>)}
+            </select>
+            <span className="settings-value">of</span>
+            <select
+              value={rule.frames}
+              onChange={(e) => setTypeRule(type, { ...rule, frames: parseInt(e.target.value, 10) })}
+            >
+              {FRAME_COUNTS.filter(count => count >= rule.hits).map(count => (
+                <option key={count} value={count}>{count}</option>
+              ))}
+            </select>
+            <button
+              className="class-mapping-revert"
+              onClick={() => removeTypeRule(type)}
+              title="Use the default rule"
+            >
+              ×
+            </button>
+          </div>
+        ))}
+      </div>
+      
+      {unsetTypes.length > 0 && (
+        <label className="settings-field">
+          <span className="settings-label">Add Type</span>
+          <select value="" onChange={handleAdd}>
+            <option value="">Choose a type…</option>
+            {unsetTypes.map(type => <option key={type} value={type}>{type}</option>)}
+          </select>
+        </label>
+      )}
+    </section>
+  );
+}
+
+export default TrackConfirmationSettings;
@@ -6,14 +6,20 @@ import NetworkPanel from './NetworkPanel';
 import ChatPanel from './ChatPanel';
 import WalkieTalkie from './WalkieTalkie';
 import FullScreenCamera from './FullScreenCamera';
+import SettingsPanel from './SettingsPanel';
 import peerNetwork from '../utils/peerNetwork';
 import audioAlert from '../utils/audioAlert';
 import { getOverallThreatLevel, isAerialThreat, AERIAL_THREAT_TYPES } from '../utils/objectClassifier';
 import './TrackingPage.css';
 
+// Track history points included in each detection broadcast
+const BROADCAST_HISTORY_LENGTH = 10;
+
 function TrackingPage({ onBackToHome }) {
   const [detections, setDetections] = useState([]);
   const [threatLevel, setThreatLevel] = useState('none');
+  const [threatRule, setThreatRule] = useState(null);
+  const [threatHistory, setThreatHistory] = useState([]);
   const [remoteDetections, setRemoteDetections] = useState([]);
   const [isActive] = useState(true);
   const [isFullScreen, setIsFullScreen] = useState(false);
@@ -51,16 +57,24 @@ function TrackingPage({ onBackToHome }) {
   const handleDetections = (newDetections) => {
     setDetections(newDetections);
     
-    // Broadcast to network if threat detected
+    // Broadcast to network if threat detected (confirmed tracks only)
     const threats = newDetections.filter(isAerialThreat);
     
     if (threats.length > 0) {
       peerNetwork.broadcastDetection({
         threats: threats.map(t => ({
+          trackId: t.trackId,
           type: t.classification.type,
           label: t.classification.label,
           confidence: t.confidence,
-          position: t.boundingBox
+          position: t.boundingBox,
+          trackAge: t.track?.age,
+          velocity: t.velocity,
+          heading: t.heading,
+          range: t.range && { distance: t.range.distance, height: t.range.height },
+          behavior: t.behavior?.state,
+          // Recent path so peers can see where the object has been
+          history: t.track?.history.slice(-BROADCAST_HISTORY_LENGTH)
         }))
       });
     }
@@ -71,22 +85,45 @@ function TrackingPage({ onBackToHome }) {
     localCameraStreamRef.current = stream;
   }, []);
   
-  // Handle threat level changes
-  const handleThreatLevel = (level) => {
+  // Handle threat level changes (rule is the threat policy rule that set the level,
+  // history the recent level changes - levels are already smoothed by the pipeline)
+  const handleThreatLevel = (level, rule = null, history = []) => {
+    if (rule?.id !== threatRule?.id) {
+      setThreatRule(rule);
+    }
+    
     if (level !== threatLevel) {
       setThreatLevel(level);
+      setThreatHistory(history);
       
       // Broadcast alert for high threats
       if (['high', 'critical'].includes(level)) {
         peerNetwork.broadcastAlert({
           level,
-          message: `${level.toUpperCase()} threat detected`,
+          rule: rule?.id,
+          message: rule?.description
+            ? `${level.toUpperCase()}: ${rule.description}`
+            : `${level.toUpperCase()} threat detected`,
           timestamp: Date.now()
         });
       }
     }
   };
   
+  // Watch zone entries get their own alert, separate from threat level changes
+  const handleZoneEntry = (entries) => {
+    for (const detection of entries) {
+      peerNetwork.broadcastAlert({
+        level: 'high',
+        rule: 'watch-zone',
+        zones: detection.zoneEntries,
+        trackId: detection.trackId,
+        message: `WATCH ZONE: ${detection.classification.label} #${detection.trackId} entered ${detection.zoneEntries.join(', ')}`,
+        timestamp: Date.now()
+      });
+    }
+  };
+  
   // Handle remote detections from network
   const handleRemoteDetection = ({ peerId, detection }) => {
     setRemoteDetections(prev => {
@@ -234,6 +271,7 @@ function TrackingPage({ onBackToHome }) {
         onClose={closeFullScreen}
         onDetections={handleDetections}
         onThreatLevel={handleThreatLevel}
+        onZoneEntry={handleZoneEntry}
       />
     );
   }
@@ -329,6 +367,7 @@ function TrackingPage({ onBackToHome }) {
             <CameraView 
               onDetections={handleDetections}
               onThreatLevel={handleThreatLevel}
+              onZoneEntry={handleZoneEntry}
               onCameraStream={handleCameraStream}
               isActive={isActive}
             />
@@ -338,6 +377,8 @@ function TrackingPage({ onBackToHome }) {
         <aside className="sidebar">
           <ThreatDisplay 
             threatLevel={threatLevel}
+            threatRule={threatRule}
+            threatHistory={threatHistory}
             detections={detections}
           />
           
@@ -347,6 +388,8 @@ function TrackingPage({ onBackToHome }) {
             onGridViewToggle={handleGridViewToggle}
           />
           
+          <SettingsPanel />
+          
           <WalkieTalkie />
           
           <ChatPanel />
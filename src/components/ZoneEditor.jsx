@@ -0,0 +1,135 @@
+import { useState, useEffect } from 'react';
+import settingsStore from '../utils/settings';
+import zoneStore, { ZONE_TYPES, MIN_ZONE_POINTS } from '../utils/zones';
+import { fitAspectRatio, videoContentRect } from '../utils/videoFit';
+import './ZoneEditor.css';
+
+// Saved zones are drawn by the overlay renderer; only the zone being drawn is shown here
+function ZoneEditor({ videoRef }) {
+  const [zones, setZones] = useState(() => zoneStore.getZones());
+  const [isEditing, setIsEditing] = useState(false);
+  const [draftPoints, setDraftPoints] = useState([]);
+  const [zoneType, setZoneType] = useState('watch');
+  const [zoneName, setZoneName] = useState('');
+  const [frame, setFrame] = useState({ width: 1, height: 1, fit: 'fill' }); // Video size and object-fit the draft is drawn in
+  
+  // Keep in sync with changes made elsewhere (settings reset, other view)
+  useEffect(() => settingsStore.subscribe(settings => setZones(settings.zones.items)), []);
+  
+  // Points are normalized to the video frame as displayed; clicks on letterbox bars are ignored
+  const handleLayerClick = (e) => {
+    const video = videoRef.current;
+    const rect = videoContentRect(video);
+    const x = (e.clientX - rect.left) / rect.width;
+    const y = (e.clientY - rect.top) / rect.height;
+    if (x < 0 || x > 1 || y < 0 || y > 1) return;
+    
+    setFrame({ width: video.videoWidth || 1, height: video.videoHeight || 1, fit: getComputedStyle(video).objectFit });
+    setDraftPoints(points => [...points, { x, y }]);
+  };
+  
+  const handleFinish = () => {
+    zoneStore.addZone({ name: zoneName, type: zoneType, points: draftPoints });
+    setDraftPoints([]);
+    setZoneName('');
+  };
+  
+  const handleClose = () => {
+    setDraftPoints([]);
+    setIsEditing(false);
+  };
+  
+  if (!isEditing) {
+    return (
+      <button className="zone-editor-toggle" onClick={() => setIsEditing(true)}>
+        ▱ Zones{zones.length > 0 ? ` (${zones.length})` : ''}
+      </button>
+    );
+  }
+  
+  // The draft is drawn in video pixels, scaled the way the video itself is
+  const { width, height, fit } = frame;
+  const draftPath = draftPoints.map(({ x, y }) => `${x * width},${y * height}`).join(' ');
+  
+  return (
+    <>
+      <div className="zone-editor-layer" onClick={handleLayerClick}>
+        <svg
+          viewBox={`0 0 ${width} ${height}`}
+          preserveAspectRatio={fitAspectRatio(fit)}
+          className={`zone-draft ${zoneType}`}
+        >
+          {draftPoints.length > 1 && <polygon points={draftPath} />}
+          {draftPoints.map(({ x, y }, index) => (
+            <circle key={index} cx={x * width} cy={y * height} r={Math.max(width, height) * 0.006} />
+          ))}
+        </svg>
+      </div>
+      
+      <div className="zone-editor-panel">
+        <div className="zone-editor-header">
+          <span>Zones</span>
+          <button className="zone-editor-close" onClick={handleClose} title="Done editing">×</button>
+        </div>
+        
+        <div className="zone-editor-types">
+          {ZONE_TYPES.map(type => (
+            <button
+              key={type}
+              className={`zone-type-btn ${type} ${zoneType === type ? 'active' : ''}`}
+              onClick={() => setZoneType(type)}
+            >
+              {type === 'watch' ? 'Watch' : 'Ignore'}
+            </button>
+          ))}
+        </div>
+        
+        <input
+          type="text"
+          value={zoneName}
+          onChange={(e) => setZoneName(e.target.value)}
+          placeholder="Zone name (optional)"
+        />
+        
+        <p className="zone-editor-hint">
+          {draftPoints.length < MIN_ZONE_POINTS
+            ? `Click the frame to place points (${draftPoints.length}/${MIN_ZONE_POINTS})`
+            : `${draftPoints.length} points`}
+        </p>
+        
+        <div className="zone-editor-actions">
+          <button onClick={() => setDraftPoints(points => points.slice(0, -1))} disabled={draftPoints.length === 0}>
+            Undo
+          </button>
+          <button
+            className="zone-editor-save"
+            onClick={handleFinish}
+            disabled={draftPoints.length < MIN_ZONE_POINTS}
+          >
+            Save Zone
+          </button>
+        </div>
+        
+        {zones.length > 0 && (
+          <ul className="zone-list">
+            {zones.map(zone => (
+              <li key={zone.id} className={`zone-list-item ${zone.type}`}>
+                <span className="zone-list-name">{zone.name}</span>
+                <span className="zone-list-type">{zone.type}</span>
+                <button onClick={() => zoneStore.removeZone(zone.id)} title="Delete zone">×</button>
+              </li>
+            ))}
+          </ul>
+        )}
+        
+        {zones.length > 0 && (
+          <button className="zone-editor-clear" onClick={() => zoneStore.clear()}>
+            Clear All
+          </button>
+        )}
+      </div>
+    </>
+  );
+}
+
+export default ZoneEditor;
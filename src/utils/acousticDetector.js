@@ -0,0 +1,186 @@
+/**
+ * Acoustic Detector
+ * Listens for drone rotor noise on the microphone. Small multirotors produce a
+ * steady blade-pass tone (roughly 80-400 Hz) with a strong series of harmonics,
+ * so each reading searches the FFT spectrum for the fundamental whose harmonics
+ * stand furthest above the noise floor.
+ *
+ * Voices and music are harmonic too, but their pitch moves; rotor pitch holds
+ * steady from one reading to the next, so unstable pitch is penalised and the
+ * confidence is smoothed over readings. Engines and fans with a steady hum can
+ * still trigger it - acoustic confidence alone only raises the threat to 'low'
+ * (see evaluateThreatPolicy in threatRules.js).
+ */
+
+// Fundamentals searched (Hz)
+const MIN_FUNDAMENTAL = 80;
+const MAX_FUNDAMENTAL = 400;
+
+// Harmonics checked per candidate fundamental
+const HARMONICS = 8;
+
+// Spectrum analysed for the noise floor and harmonics (Hz)
+const MAX_ANALYSIS_FREQUENCY = 4000;
+
+// A harmonic counts when its peak stands this far above the median level (dB)
+const HARMONIC_PROMINENCE_DB = 8;
+
+// Levels are clamped to this (dB); silent bins report -Infinity
+const SILENCE_DB = -120;
+
+// FFT size: 8192 gives ~6 Hz bins at 48 kHz, enough to separate low harmonics
+const FFT_SIZE = 8192;
+
+// Fundamentals within this relative distance of the previous reading count as steady
+const PITCH_STABILITY = 0.05;
+
+// Weight of an unsteady reading's confidence
+const UNSTEADY_WEIGHT = 0.3;
+
+// Weight of the newest reading in the smoothed confidence
+const CONFIDENCE_SMOOTHING = 0.3;
+
+/**
+ * Find the strongest harmonic series in a spectrum
+ * @param {Float32Array} spectrum - Magnitudes in dB per bin (AnalyserNode.getFloatFrequencyData)
+ * @param {number} binHz - Width of one bin in Hz
+ * @returns {Object} { fundamental, harmonics, confidence } - fundamental in Hz (null if
+ *   none), number of prominent harmonics, and confidence 0..1 from the harmonic count
+ */
+export function findHarmonicSeries(spectrum, binHz) {
+  const minBin = Math.max(1, Math.floor(MIN_FUNDAMENTAL / binHz));
+  const maxBin = Math.min(spectrum.length - 2, Math.round(MAX_ANALYSIS_FREQUENCY / binHz));
+  if (maxBin <= minBin) return { fundamental: null, harmonics: 0, confidence: 0 };
+
+  const band = Float32Array.from(spectrum.subarray(minBin, maxBin + 1)).sort();
+  const floor = Math.max(band[Math.floor(band.length / 2)], SILENCE_DB);
+
+  let best = { fundamental: null, harmonics: 0, prominence: 0 };
+  for (let fundamental = MIN_FUNDAMENTAL; fundamental <= MAX_FUNDAMENTAL; fundamental += binHz) {
+    let harmonics = 0;
+    let prominence = 0;
+
+    for (let k = 1; k <= HARMONICS; k++) {
+      const bin = Math.round((k * fundamental) / binHz);
+      if (bin > maxBin) break;
+
+      // Allow a bin either side for slight detuning
+      const peak = Math.max(spectrum[bin - 1], spectrum[bin], spectrum[bin + 1], SILENCE_DB);
+      if (peak - floor >= HARMONIC_PROMINENCE_DB) {
+        harmonics++;
+        prominence += peak - floor;
+      }
+    }
+
+    if (harmonics > best.harmonics || (harmonics === best.harmonics && prominence > best.prominence)) {
+      best = { fundamental, harmonics, prominence };
+    }
+  }
+
+  // One prominent peak is just a tone; confidence grows with each further harmonic
+  return {
+    fundamental: best.harmonics > 0 ? best.fundamental : null,
+    harmonics: best.harmonics,
+    confidence: Math.max(0, (best.harmonics - 1) / (HARMONICS - 1))
+  };
+}
+
+class AcousticDetector {
+  constructor() {
+    this.stream = null;
+    this.audioContext = null;
+    this.analyser = null;
+    this.spectrum = null; // Reused frequency data buffer
+    this.threshold = 0.5; // Smoothed confidence at which rotor noise counts as heard
+    this.confidence = 0;
+    this.fundamental = null; // Fundamental of the previous reading, for the stability check
+    this.disposed = false;
+  }
+
+  /**
+   * Open the microphone and start analysing
+   * Echo cancellation, noise suppression and gain control are off - they are
+   * tuned for voices and flatten exactly the steady tones this listens for
+   */
+  async start() {
+    this.stream = await navigator.mediaDevices.getUserMedia({
+      audio: {
+        echoCancellation: false,
+        noiseSuppression: false,
+        autoGainControl: false
+      },
+      video: false
+    });
+    if (this.disposed) {
+      // Turned off while the permission prompt was open
+      this.stream.getTracks().forEach(track => track.stop());
+      throw new Error('Acoustic detector disposed while starting');
+    }
+
+    this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    this.analyser = this.audioContext.createAnalyser();
+    this.analyser.fftSize = FFT_SIZE;
+    this.analyser.smoothingTimeConstant = 0.5;
+    this.audioContext.createMediaStreamSource(this.stream).connect(this.analyser);
+    this.spectrum = new Float32Array(this.analyser.frequencyBinCount);
+
+    console.log('Acoustic detection started at', this.audioContext.sampleRate, 'Hz');
+    return this;
+  }
+
+  /**
+   * Apply settings
+   * @param {Object} options - { threshold }
+   */
+  configure({ threshold } = {}) {
+    if (threshold !== undefined) this.threshold = threshold;
+  }
+
+  /**
+   * Analyse the current spectrum
+   * @returns {Object|null} { confidence, fundamental, harmonics, detected }, or null
+   *   before the microphone is running
+   */
+  analyze() {
+    if (!this.analyser) return null;
+
+    // Contexts created without a user gesture start suspended
+    if (this.audioContext.state === 'suspended') {
+      this.audioContext.resume().catch(() => {});
+      return null;
+    }
+
+    this.analyser.getFloatFrequencyData(this.spectrum);
+    const series = findHarmonicSeries(this.spectrum, this.audioContext.sampleRate / FFT_SIZE);
+
+    const steady = series.fundamental !== null && this.fundamental !== null &&
+      Math.abs(series.fundamental - this.fundamental) <= this.fundamental * PITCH_STABILITY;
+    const reading = steady ? series.confidence : series.confidence * UNSTEADY_WEIGHT;
+    this.confidence += (reading - this.confidence) * CONFIDENCE_SMOOTHING;
+    this.fundamental = series.fundamental;
+
+    return {
+      confidence: this.confidence,
+      fundamental: series.fundamental,
+      harmonics: series.harmonics,
+      detected: this.confidence >= this.threshold
+    };
+  }
+
+  /**
+   * Stop listening and release the microphone
+   */
+  dispose() {
+    this.disposed = true;
+    this.stream?.getTracks().forEach(track => track.stop());
+    this.stream = null;
+    this.audioContext?.close();
+    this.audioContext = null;
+    this.analyser = null;
+    this.confidence = 0;
+    this.fundamental = null;
+  }
+}
+
+export { AcousticDetector };
+export default AcousticDetector;
@@ -66,7 +66,7 @@ class AudioAlert {
     this.isPlaying = false;
   }
   
-  playBeep(frequency, duration) {
+  playBeep(frequency, duration, type = 'square') {
     return new Promise((resolve) => {
       const oscillator = this.audioContext.createOscillator();
       const gainNode = this.audioContext.createGain();
@@ -74,7 +74,7 @@ class AudioAlert {
       oscillator.connect(gainNode);
       gainNode.connect(this.audioContext.destination);
       
-      oscillator.type = 'square';
+      oscillator.type = type;
       oscillator.frequency.value = frequency;
       
       gainNode.gain.setValueAtTime(0.3, this.audioContext.currentTime);
@@ -94,6 +94,32 @@ class AudioAlert {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
   
+  /**
+   * Rising three-note chime for an object entering a watch zone
+   * (sine tones, so it is distinguishable from the threat beeps)
+   */
+  async playZoneChime() {
+    if (!this.initialized || this.isPlaying) return;
+    
+    if (this.audioContext.state === 'suspended') {
+      this.audioContext.resume();
+    }
+    
+    this.isPlaying = true;
+    for (const frequency of [523, 784, 1047]) {
+      await this.playBeep(frequency, 180, 'sine');
+    }
+    this.isPlaying = false;
+  }
+  
+  /**
+   * Watch zone entry alert with sound and vibration
+   */
+  zoneAlert() {
+    this.playZoneChime();
+    this.vibrate([50, 50, 50, 50, 400]);
+  }
+  
   /**
    * Play continuous siren for critical threats
    */
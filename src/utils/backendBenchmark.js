@@ -0,0 +1,179 @@
+/**
+ * Backend Benchmark
+ * Picks the fastest inference backend on this device for each runtime:
+ *   onnx - ONNX Runtime Web execution providers (YOLOv8 detector, pose model)
+ *   tfjs - TensorFlow.js backends (COCO-SSD)
+ *
+ * On first load each available backend runs a few inferences and the fastest
+ * is cached in localStorage, keyed by model and invalidated when the browser
+ * changes. A backend chosen in settings overrides the benchmark. The runtimes
+ * themselves are only touched by the detectors; this module just times them.
+ */
+
+import settingsStore from './settings';
+
+const STORAGE_KEY = 'drone-tracker-backends';
+
+// Backends offered per runtime, fastest-first by typical expectation
+export const BACKEND_OPTIONS = {
+  onnx: ['webgpu', 'webgl', 'wasm'],
+  tfjs: ['webgpu', 'webgl', 'wasm', 'cpu']
+};
+
+export const BACKEND_LABELS = {
+  webgpu: 'WebGPU',
+  webgl: 'WebGL',
+  wasm: 'WASM',
+  cpu: 'CPU'
+};
+
+// Timed inferences per backend, after one warm-up run
+const BENCHMARK_RUNS = 5;
+
+/**
+ * Load the benchmark cache ({} inside workers, where there is no localStorage)
+ */
+function loadCache() {
+  if (typeof localStorage === 'undefined') return {};
+
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+  } catch {
+    return {};
+  }
+}
+
+function saveCache(cache) {
+  if (typeof localStorage === 'undefined') return;
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(cache));
+  } catch (e) {
+    console.warn('Could not save backend benchmark:', e);
+  }
+}
+
+/**
+ * Backend chosen by the user in settings
+ * @param {string} runtime - 'onnx' or 'tfjs'
+ * @returns {string|null} Backend id, or null for automatic selection
+ */
+export function getBackendOverride(runtime) {
+  const choice = settingsStore.get('backends')[runtime];
+  return choice && choice !== 'auto' ? choice : null;
+}
+
+/**
+ * Cached benchmark winner for a model
+ * @param {string} runtime - 'onnx' or 'tfjs'
+ * @param {string} key - Model identifier (URL or name)
+ * @returns {string|null} Backend id, or null if not benchmarked in this browser yet
+ */
+export function getCachedBackend(runtime, key) {
+  const entry = loadCache()[runtime]?.[key];
+  if (!entry || entry.userAgent !== globalThis.navigator?.userAgent) return null;
+  return entry.backend;
+}
+
+/**
+ * Store benchmark results; the fastest successful backend becomes the cached choice
+ * @param {string} runtime - 'onnx' or 'tfjs'
+ * @param {string} key - Model identifier
+ * @param {Object[]} results - From benchmarkBackends
+ */
+export function cacheBenchmark(runtime, key, results) {
+  const backend = fastestBackend(results);
+  if (!backend) return;
+
+  const cache = loadCache();
+  cache[runtime] = {
+    ...cache[runtime],
+    [key]: {
+      backend,
+      results,
+      userAgent: globalThis.navigator?.userAgent,
+      timestamp: Date.now()
+    }
+  };
+  saveCache(cache);
+}
+
+/**
+ * All cached benchmarks, for display
+ * @returns {Object[]} [{ runtime, key, backend, results, timestamp }, ...]
+ */
+export function getBenchmarks() {
+  const cache = loadCache();
+  return Object.entries(cache).flatMap(([runtime, entries]) =>
+    Object.entries(entries).map(([key, entry]) => ({ runtime, key, ...entry }))
+  );
+}
+
+/**
+ * Forget all benchmarks so the next model load measures again
+ */
+export function clearBenchmarks() {
+  if (typeof localStorage !== 'undefined') {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+}
+
+/**
+ * Time inference on each backend
+ * @param {string[]} backends - Backend ids to try
+ * @param {Function} prepare - async (backend) => { run, dispose }; throws if the
+ *   backend can't run the model
+ * @returns {Promise<Object[]>} [{ backend, ms }] (median per inference) or
+ *   [{ backend, error }] for backends that failed, in the order tried
+ */
+export async function benchmarkBackends(backends, prepare) {
+  const results = [];
+
+  for (const backend of backends) {
+    let dispose = null;
+    try {
+      const prepared = await prepare(backend);
+      dispose = prepared.dispose;
+
+      await prepared.run(); // Warm-up: shader compilation, memory allocation
+      const times = [];
+      for (let i = 0; i < BENCHMARK_RUNS; i++) {
+        const start = performance.now();
+        await prepared.run();
+        times.push(performance.now() - start);
+      }
+      times.sort((a, b) => a - b);
+      results.push({ backend, ms: Math.round(times[Math.floor(times.length / 2)] * 10) / 10 });
+    } catch (error) {
+      results.push({ backend, error: error.message });
+    } finally {
+      await dispose?.();
+    }
+  }
+
+  console.log('Backend benchmark:', results);
+  return results;
+}
+
+/**
+ * Fastest backend that ran successfully
+ * @param {Object[]} results - From benchmarkBackends
+ * @returns {string|null}
+ */
+export function fastestBackend(results) {
+  const timed = results.filter(result => result.ms !== undefined);
+  if (timed.length === 0) return null;
+  return timed.reduce((best, result) => result.ms < best.ms ? result : best).backend;
+}
+
+export default {
+  BACKEND_OPTIONS,
+  BACKEND_LABELS,
+  getBackendOverride,
+  getCachedBackend,
+  cacheBenchmark,
+  getBenchmarks,
+  clearBenchmarks,
+  benchmarkBackends,
+  fastestBackend
+};
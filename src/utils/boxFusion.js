@@ -0,0 +1,130 @@
+/**
+ * Weighted Box Fusion
+ * Merges predictions from several models (Solovyev et al., 2021). Unlike NMS,
+ * which keeps one box of an overlapping group and discards the rest, WBF
+ * averages the group's coordinates weighted by score and model weight.
+ *
+ * Confidence is a weighted noisy-OR of each agreeing model's best score rather
+ * than WBF's averaged-and-rescaled score: agreement raises confidence, which
+ * lifts faint small aerial targets that two models see over their thresholds,
+ * and a box seen by the highest-weighted model alone keeps its score - so
+ * confidences don't jump on frames where a slower model also ran.
+ * Boxes are [x, y, width, height] arrays (detector prediction format).
+ */
+
+import { calculateIoU } from './nms';
+
+/**
+ * Fuse predictions from several models
+ * @param {Object[]} sets - [{ model, weight, predictions: [{ bbox, class, score }] }],
+ *   one per model that ran on this frame
+ * @param {Object} options
+ * @param {number} options.iouThreshold - Overlap with a fused box needed to join it
+ * @param {Function} options.groupOf - (prediction, model) => key; only boxes with the
+ *   same key are fused (default: class name)
+ * @param {number} options.maxWeight - Weight at which a model's score counts in full
+ *   (default: the largest weight among the sets)
+ * @returns {Object[]} Fused predictions: the winning class's strongest box's fields plus
+ *   fused bbox and score, model (the member whose class won) and agreement
+ *   ([{ model, class, score }], best box per agreeing model)
+ */
+export function weightedBoxFusion(sets, {
+  iouThreshold = 0.55,
+  groupOf = (prediction) => prediction.class,
+  maxWeight = Math.max(...sets.map(set => set.weight))
+} = {}) {
+  const boxes = sets.flatMap(({ model, weight, predictions }) =>
+    predictions.map(prediction => ({
+      prediction,
+      model,
+      weight,
+      strength: prediction.score * weight,
+      group: groupOf(prediction, model)
+    }))
+  );
+  boxes.sort((a, b) => b.strength - a.strength);
+
+  // Each box joins the best-overlapping cluster of its group, or starts a new one
+  const clusters = [];
+  for (const box of boxes) {
+    let match = null;
+    let bestIoU = iouThreshold;
+    for (const cluster of clusters) {
+      if (cluster.group !== box.group) continue;
+
+      const iou = calculateIoU(cluster.bbox, box.prediction.bbox);
+      if (iou > bestIoU) {
+        match = cluster;
+        bestIoU = iou;
+      }
+    }
+
+    if (match) {
+      match.boxes.push(box);
+      match.bbox = fuseBoxes(match.boxes);
+    } else {
+      clusters.push({ group: box.group, boxes: [box], bbox: box.prediction.bbox.slice() });
+    }
+  }
+
+  return clusters.map(cluster => fusedPrediction(cluster, maxWeight));
+}
+
+/**
+ * Score- and weight-averaged box corners
+ */
+function fuseBoxes(boxes) {
+  let x1 = 0, y1 = 0, x2 = 0, y2 = 0, total = 0;
+
+  for (const { prediction, strength } of boxes) {
+    const [x, y, width, height] = prediction.bbox;
+    x1 += x * strength;
+    y1 += y * strength;
+    x2 += (x + width) * strength;
+    y2 += (y + height) * strength;
+    total += strength;
+  }
+
+  return [x1 / total, y1 / total, (x2 - x1) / total, (y2 - y1) / total];
+}
+
+/**
+ * Turn a cluster into a prediction
+ * Each model's best box counts towards confidence as 1 - prod((1 - score)^(weight / maxWeight));
+ * the class with the most weighted score wins
+ */
+function fusedPrediction(cluster, maxWeight) {
+  const classStrength = new Map();
+  const bestPerModel = new Map(); // Boxes are sorted, so the first per model is its best
+
+  for (const box of cluster.boxes) {
+    const className = box.prediction.class;
+    classStrength.set(className, (classStrength.get(className) || 0) + box.strength);
+    if (!bestPerModel.has(box.model)) bestPerModel.set(box.model, box);
+  }
+
+  const [winningClass] = [...classStrength].reduce((best, entry) => entry[1] > best[1] ? entry : best);
+  const primary = cluster.boxes.find(box => box.prediction.class === winningClass);
+
+  const agreeing = [...bestPerModel.values()];
+  const missProbability = agreeing.reduce(
+    (product, box) => product * Math.pow(1 - box.prediction.score, box.weight / maxWeight),
+    1
+  );
+
+  return {
+    ...primary.prediction,
+    bbox: cluster.bbox,
+    score: 1 - missProbability,
+    model: primary.model,
+    agreement: agreeing.map(box => ({
+      model: box.model,
+      class: box.prediction.class,
+      score: box.prediction.score
+    }))
+  };
+}
+
+export default {
+  weightedBoxFusion
+};
@@ -0,0 +1,462 @@
+/**
+ * Camera Calibration
+ * Camera intrinsics (focal length, principal point, lens distortion) from views
+ * of a printed checkerboard, stored per camera and zoom level in settings.
+ *
+ * The bundled OpenCV.js build has calibrateCameraExtended but not
+ * findChessboardCorners, so the board is found the way OpenCV's classic finder
+ * does it: the thresholded black squares are eroded apart into quads, and each
+ * inner corner is where two quads' corners meet. The corners are then put in
+ * grid order through the perspective transform of the grid's four outer
+ * corners. Corners are located to about a pixel (there is no cornerSubPix),
+ * which is plenty for field of view.
+ *
+ * Range estimation reads the active camera's calibration through
+ * calibrationStore.getActive() and intrinsicsFor(), which scale it to the
+ * frame size and zoom in use.
+ */
+
+import settingsStore from './settings';
+
+// Default board: inner corners per row and column (a 10 x 7 square board)
+export const BOARD_COLUMNS = 9;
+export const BOARD_ROWS = 6;
+
+// Views needed before calibrating
+export const MIN_CALIBRATION_VIEWS = 8;
+
+// Smallest black square kept (px²), to skip noise
+const MIN_QUAD_AREA = 40;
+
+// Black squares on one board differ in area by at most this factor
+const MAX_QUAD_AREA_RATIO = 4;
+
+// Quad corners this close, relative to the smaller quad's side, meet at an inner corner
+const CORNER_PAIR_DISTANCE = 0.4;
+
+// A corner snaps to a grid position when within this fraction of a cell
+const GRID_SNAP_TOLERANCE = 0.3;
+
+// Erosion passes tried in turn to separate the black squares at their corners
+const EROSION_PASSES = [1, 2, 3];
+
+/**
+ * Find the inner corners of a checkerboard
+ * @param {Object} cv - OpenCV.js module (see getOpenCV in contourDetector.js)
+ * @param {ImageData} imageData - Frame to search
+ * @param {Object} board - { columns, rows } - inner corners per row and per column
+ * @returns {Object[]|null} Corners [{ x, y }] in row-major grid order, or null when
+ *   the whole board isn't visible
+ */
+export function findCheckerboard(cv, imageData, { columns = BOARD_COLUMNS, rows = BOARD_ROWS } = {}) {
+  const src = cv.matFromImageData(imageData);
+  const gray = new cv.Mat();
+  const binary = new cv.Mat();
+  const eroded = new cv.Mat();
+  const kernel = cv.getStructuringElement(cv.MORPH_RECT, new cv.Size(3, 3));
+
+  try {
+    cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY);
+
+    // Black squares become foreground; the block spans a few squares at any board size
+    const blockSize = Math.max(11, Math.round(Math.min(imageData.width, imageData.height) / 8) | 1);
+    cv.adaptiveThreshold(gray, binary, 255, cv.ADAPTIVE_THRESH_MEAN_C, cv.THRESH_BINARY_INV, blockSize, 10);
+
+    for (const iterations of EROSION_PASSES) {
+      cv.erode(binary, eroded, kernel, new cv.Point(-1, -1), iterations);
+      const corners = orderCorners(pairQuadCorners(findQuads(cv, eroded)), columns, rows);
+      if (corners) return corners;
+    }
+    return null;
+  } finally {
+    src.delete();
+    gray.delete();
+    binary.delete();
+    eroded.delete();
+    kernel.delete();
+  }
+}
+
+/**
+ * Convex four-sided blobs of a binary image
+ * @returns {Object[]} [{ points: [{ x, y }] x4, side }] - side is the shortest side length
+ */
+function findQuads(cv, binary) {
+  const contours = new cv.MatVector();
+  const hierarchy = new cv.Mat();
+  const quads = [];
+
+  try {
+    cv.findContours(binary, contours, hierarchy, cv.RETR_LIST, cv.CHAIN_APPROX_SIMPLE);
+
+    for (let i = 0; i < contours.size(); i++) {
+      const contour = contours.get(i);
+      const approx = new cv.Mat();
+      cv.approxPolyDP(contour, approx, cv.arcLength(contour, true) * 0.05, true);
+
+      if (approx.rows === 4 && cv.isContourConvex(approx) && cv.contourArea(approx) >= MIN_QUAD_AREA) {
+        const points = [0, 1, 2, 3].map(k => ({ x: approx.data32S[k * 2], y: approx.data32S[k * 2 + 1] }));
+        const sides = points.map((point, k) => distance(point, points[(k + 1) % 4]));
+        if (Math.max(...sides) < Math.min(...sides) * 4) {
+          quads.push({ points, side: Math.min(...sides), area: cv.contourArea(approx) });
+        }
+      }
+
+      approx.delete();
+      contour.delete();
+    }
+  } finally {
+    contours.delete();
+    hierarchy.delete();
+  }
+
+  // Keep the squares of the board: those near the median size
+  if (quads.length === 0) return quads;
+  const median = quads.map(quad => quad.area).sort((a, b) => a - b)[Math.floor(quads.length / 2)];
+  return quads.filter(quad => quad.area <= median * MAX_QUAD_AREA_RATIO && quad.area >= median / MAX_QUAD_AREA_RATIO);
+}
+
+/**
+ * Inner corners: midpoints of mutually nearest corners of different quads
+ */
+function pairQuadCorners(quads) {
+  const vertices = quads.flatMap((quad, index) =>
+    quad.points.map(point => ({ ...point, quad: index, side: quad.side }))
+  );
+
+  const nearest = vertices.map(vertex => {
+    let best = -1;
+    let bestDistance = Infinity;
+    vertices.forEach((other, j) => {
+      if (other.quad === vertex.quad) return;
+      const d = distance(vertex, other);
+      if (d < bestDistance) {
+        best = j;
+        bestDistance = d;
+      }
+    });
+    return { index: best, distance: bestDistance };
+  });
+
+  const corners = [];
+  nearest.forEach(({ index, distance: d }, i) => {
+    if (index > i && nearest[index].index === i &&
+        d < CORNER_PAIR_DISTANCE * Math.min(vertices[i].side, vertices[index].side)) {
+      corners.push({
+        x: (vertices[i].x + vertices[index].x) / 2,
+        y: (vertices[i].y + vertices[index].y) / 2
+      });
+    }
+  });
+  return corners;
+}
+
+/**
+ * Put corners in row-major grid order
+ * The four sharpest turns of the convex hull are the grid's outer corners; every
+ * corner must land on its own grid position under their perspective transform
+ * @returns {Object[]|null}
+ */
+function orderCorners(corners, columns, rows) {
+  if (corners.length !== columns * rows) return null;
+
+  const hull = convexHull(corners);
+  if (hull.length < 4) return null;
+
+  const outer = hull
+    .map((point, k) => ({ point, k, angle: turnAngle(hull[(k + hull.length - 1) % hull.length], point, hull[(k + 1) % hull.length]) }))
+    .sort((a, b) => a.angle - b.angle)
+    .slice(0, 4)
+    .sort((a, b) => a.k - b.k)
+    .map(({ point }) => point);
+
+  // The first hull side may run along a row or a column
+  const layouts = [
+    [[0, 0], [columns - 1, 0], [columns - 1, rows - 1], [0, rows - 1]],
+    [[0, 0], [0, rows - 1], [columns - 1, rows - 1], [columns - 1, 0]]
+  ];
+
+  for (const layout of layouts) {
+    const homography = perspectiveTransform(outer, layout.map(([x, y]) => ({ x, y })));
+    if (!homography) continue;
+
+    const ordered = new Array(columns * rows);
+    const fits = corners.every(corner => {
+      const { x, y } = applyHomography(homography, corner);
+      const gx = Math.round(x);
+      const gy = Math.round(y);
+      const index = gy * columns + gx;
+      if (gx < 0 || gx >= columns || gy < 0 || gy >= rows || ordered[index]) return false;
+      if (Math.hypot(x - gx, y - gy) > GRID_SNAP_TOLERANCE) return false;
+      ordered[index] = corner;
+      return true;
+    });
+    if (fits) return ordered;
+  }
+  return null;
+}
+
+/**
+ * Calibrate from checkerboard views
+ * Tangential distortion and k3 are fixed at zero - a handful of phone views
+ * can't pin them down, and a wide-angle phone lens barely needs them
+ * @param {Object} cv - OpenCV.js module
+ * @param {Object[][]} views - Corners of each view, from findCheckerboard
+ * @param {Object} options - { columns, rows, width, height } - board and frame size
+ * @returns {Object} Calibration { width, height, fx, fy, cx, cy, distortion: [k1, k2, p1, p2, k3],
+ *   error (RMS reprojection error, px), fov: { horizontal, vertical } (degrees), views }
+ */
+export function calibrateFromViews(cv, views, { columns = BOARD_COLUMNS, rows = BOARD_ROWS, width, height }) {
+  const board = [];
+  for (let y = 0; y < rows; y++) {
+    for (let x = 0; x < columns; x++) {
+      board.push(x, y, 0);
+    }
+  }
+
+  const objectPoints = new cv.MatVector();
+  const imagePoints = new cv.MatVector();
+  const mats = [];
+  for (const view of views) {
+    const object = cv.matFromArray(board.length / 3, 1, cv.CV_32FC3, board);
+    const image = cv.matFromArray(view.length, 1, cv.CV_32FC2, view.flatMap(({ x, y }) => [x, y]));
+    objectPoints.push_back(object);
+    imagePoints.push_back(image);
+    mats.push(object, image);
+  }
+
+  const cameraMatrix = new cv.Mat();
+  const distCoeffs = new cv.Mat();
+  const rvecs = new cv.MatVector();
+  const tvecs = new cv.MatVector();
+  const stdIntrinsics = new cv.Mat();
+  const stdExtrinsics = new cv.Mat();
+  const perViewErrors = new cv.Mat();
+
+  try {
+    const error = cv.calibrateCameraExtended(
+      objectPoints, imagePoints, new cv.Size(width, height),
+      cameraMatrix, distCoeffs, rvecs, tvecs, stdIntrinsics, stdExtrinsics, perViewErrors,
+      cv.CALIB_ZERO_TANGENT_DIST | cv.CALIB_FIX_K3,
+      new cv.TermCriteria(cv.TermCriteria_COUNT + cv.TermCriteria_EPS, 30, 1e-6)
+    );
+
+    const [fx, , cx, , fy, cy] = cameraMatrix.data64F;
+    const distortion = Array.from(distCoeffs.data64F.slice(0, 5));
+    return {
+      width,
+      height,
+      fx,
+      fy,
+      cx,
+      cy,
+      distortion,
+      error,
+      fov: {
+        horizontal: 2 * Math.atan(width / 2 / fx) * 180 / Math.PI,
+        vertical: 2 * Math.atan(height / 2 / fy) * 180 / Math.PI
+      },
+      views: views.length
+    };
+  } finally {
+    mats.forEach(mat => mat.delete());
+    [objectPoints, imagePoints, cameraMatrix, distCoeffs, rvecs, tvecs, stdIntrinsics, stdExtrinsics, perViewErrors]
+      .forEach(mat => mat.delete());
+  }
+}
+
+/**
+ * Scale a calibration to a frame size and zoom
+ * Zoom is treated as a crop about the centre (as digital zoom is), so focal
+ * length scales with it and distortion coefficients are unchanged. A frame
+ * rotated against the calibration (portrait vs landscape) swaps the axes.
+ * @param {Object} calibration - Stored calibration
+ * @param {number} frameWidth - Frame width in pixels
+ * @param {number} frameHeight - Frame height in pixels
+ * @param {number} zoom - Current zoom factor
+ * @returns {Object} { fx, fy, cx, cy, k1, k2 } in frame pixels
+ */
+export function intrinsicsFor(calibration, frameWidth, frameHeight, zoom = 1) {
+  const rotated = (frameWidth > frameHeight) !== (calibration.width > calibration.height);
+  const { width, height, fx, fy, cx, cy } = rotated
+    ? { width: calibration.height, height: calibration.width, fx: calibration.fy, fy: calibration.fx, cx: calibration.cy, cy: calibration.cx }
+    : calibration;
+  const scale = (frameWidth / width) * (zoom / (calibration.zoom || 1));
+  const [k1, k2] = calibration.distortion;
+
+  return {
+    fx: fx * scale,
+    fy: fy * scale,
+    cx: frameWidth / 2 + (cx - width / 2) * scale,
+    cy: frameHeight / 2 + (cy - height / 2) * scale,
+    k1,
+    k2
+  };
+}
+
+/**
+ * Undistorted normalized image coordinates of a pixel (tangents of its angles
+ * off the optical axis, y down)
+ * @param {Object} intrinsics - From intrinsicsFor
+ * @returns {Object} { x, y }
+ */
+export function undistortPoint({ fx, fy, cx, cy, k1, k2 }, px, py) {
+  const xd = (px - cx) / fx;
+  const yd = (py - cy) / fy;
+  let x = xd;
+  let y = yd;
+
+  // Invert the radial model by fixed-point iteration
+  for (let i = 0; i < 5; i++) {
+    const r2 = x * x + y * y;
+    const factor = 1 + k1 * r2 + k2 * r2 * r2;
+    x = xd / factor;
+    y = yd / factor;
+  }
+  return { x, y };
+}
+
+/**
+ * Storage key for a camera: its device id (stable per site) or label
+ * @param {MediaStreamTrack} track - Video track
+ */
+export function cameraKey(track) {
+  return track?.getSettings?.().deviceId || track?.label || 'default';
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/**
+ * Interior angle at b (radians); near π for collinear points
+ */
+function turnAngle(a, b, c) {
+  const angle = Math.abs(Math.atan2(a.y - b.y, a.x - b.x) - Math.atan2(c.y - b.y, c.x - b.x));
+  return angle > Math.PI ? 2 * Math.PI - angle : angle;
+}
+
+/**
+ * Convex hull (monotone chain), counter-clockwise
+ */
+function convexHull(points) {
+  const sorted = points.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+  const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+  const half = (list) => {
+    const chain = [];
+    for (const point of list) {
+      while (chain.length >= 2 && cross(chain[chain.length - 2], chain[chain.length - 1], point) <= 0) {
+        chain.pop();
+      }
+      chain.push(point);
+    }
+    chain.pop();
+    return chain;
+  };
+  return [...half(sorted), ...half(sorted.slice().reverse())];
+}
+
+/**
+ * Homography mapping four points onto four others (row-major 3x3), or null if degenerate
+ */
+function perspectiveTransform(from, to) {
+  // Solve the 8 unknowns h0..h7 (h8 = 1) by Gaussian elimination
+  const a = [];
+  from.forEach(({ x, y }, i) => {
+    const { x: u, y: v } = to[i];
+    a.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+    a.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+  });
+
+  for (let col = 0; col < 8; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < 8; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-9) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+
+    for (let row = 0; row < 8; row++) {
+      if (row === col) continue;
+      const f = a[row][col] / a[col][col];
+      for (let k = col; k < 9; k++) a[row][k] -= f * a[col][k];
+    }
+  }
+
+  return [...a.map((row, i) => row[8] / row[i]), 1];
+}
+
+function applyHomography(h, { x, y }) {
+  const w = h[6] * x + h[7] * y + h[8];
+  return {
+    x: (h[0] * x + h[1] * y + h[2]) / w,
+    y: (h[3] * x + h[4] * y + h[5]) / w
+  };
+}
+
+class CalibrationStore {
+  constructor() {
+    this.activeCamera = null; // Key of the camera in use (see cameraKey)
+  }
+
+  /**
+   * Set the camera in use
+   * @param {string} key - From cameraKey()
+   */
+  setActiveCamera(key) {
+    this.activeCamera = key;
+  }
+
+  /**
+   * Calibrations of a camera, one per zoom level
+   * @returns {Object[]}
+   */
+  getAll(key) {
+    return settingsStore.get('cameraCalibration').cameras[key] || [];
+  }
+
+  /**
+   * Calibration of a camera closest to a zoom level
+   * @returns {Object|null}
+   */
+  get(key, zoom = 1) {
+    const offset = (calibration) => Math.abs(Math.log(calibration.zoom / zoom));
+    return this.getAll(key).reduce((best, calibration) =>
+      !best || offset(calibration) < offset(best) ? calibration : best, null);
+  }
+
+  /**
+   * Calibration of the camera in use closest to a zoom level
+   * @returns {Object|null}
+   */
+  getActive(zoom = 1) {
+    return this.activeCamera ? this.get(this.activeCamera, zoom) : null;
+  }
+
+  /**
+   * Store a calibration, replacing the camera's calibration at the same zoom
+   * @param {string} key - Camera key
+   * @param {Object} calibration - From calibrateFromViews, with zoom
+   */
+  save(key, calibration) {
+    const stored = { ...calibration, zoom: calibration.zoom || 1, date: Date.now() };
+    const cameras = settingsStore.get('cameraCalibration').cameras;
+    settingsStore.update('cameraCalibration', {
+      cameras: { ...cameras, [key]: [...this.getAll(key).filter(c => c.zoom !== stored.zoom), stored] }
+    });
+    return stored;
+  }
+
+  /**
+   * Forget a camera's calibrations
+   */
+  remove(key) {
+    const { [key]: _removed, ...cameras } = settingsStore.get('cameraCalibration').cameras;
+    settingsStore.update('cameraCalibration', { cameras });
+  }
+}
+
+// Export singleton instance and class
+const calibrationStore = new CalibrationStore();
+export { CalibrationStore };
+export default calibrationStore;
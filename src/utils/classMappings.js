@@ -0,0 +1,162 @@
+/**
+ * Class Mappings
+ * Single table mapping detector class names to a threat type, level and label.
+ * Every detector's classification resolves class names through this table.
+ *
+ * Resolution order (first match wins):
+ *   1. User overrides, edited in settings and persisted
+ *   2. Model mappings, e.g. the "threats" section of a YOLOv8 model manifest
+ *   3. DEFAULT_CLASS_MAPPINGS below
+ * Unmapped classes resolve to type 'unknown' at 'info' level.
+ */
+
+import settingsStore from './settings';
+
+export const THREAT_LEVELS = ['info', 'low', 'medium', 'high', 'critical'];
+
+// Types offered when editing a mapping
+export const CLASS_TYPES = ['drone', 'quadcopter', 'fixed-wing', 'helicopter', 'unknown-aerial', 'vehicle', 'person', 'object', 'unknown'];
+
+// Aerial threat types, shared by classification, threat policies and the ensemble
+export const AERIAL_THREAT_TYPES = ['drone', 'quadcopter', 'fixed-wing', 'helicopter'];
+
+// Aerial threat types plus unclassified motion in the sky (watch zones, acoustic tagging)
+export const AERIAL_TYPES = [...AERIAL_THREAT_TYPES, 'unknown-aerial'];
+
+// Built-in mappings (COCO class names plus the classes used by demo mode and the motion detector)
+export const DEFAULT_CLASS_MAPPINGS = {
+  // Aerial threats (COCO doesn't have a drone class, so birds/kites act as proxies)
+  'bird': { type: 'drone', threat: 'medium', label: 'Possible sUAS' },
+  'kite': { type: 'drone', threat: 'high', label: 'Aerial Object' },
+  'airplane': { type: 'fixed-wing', threat: 'high', label: 'Fixed-Wing Aircraft' },
+  'aeroplane': { type: 'fixed-wing', threat: 'high', label: 'Fixed-Wing Aircraft' },
+
+  // Dedicated aerial classes (custom drone models, demo mode)
+  'drone': { type: 'drone', threat: 'high', label: 'sUAS' },
+  'quadcopter': { type: 'quadcopter', threat: 'high', label: 'Quadcopter Drone' },
+  'fixed-wing': { type: 'fixed-wing', threat: 'high', label: 'Fixed-Wing UAV' },
+  'helicopter': { type: 'helicopter', threat: 'high', label: 'Helicopter' },
+
+  // Moving blobs in the sky from the motion detector (no class evidence)
+  'unknown aerial': { type: 'unknown-aerial', threat: 'low', label: 'Unknown Aerial' },
+
+  // Vehicles
+  'car': { type: 'vehicle', threat: 'low', label: 'Ground Vehicle' },
+  'truck': { type: 'vehicle', threat: 'low', label: 'Truck' },
+  'bus': { type: 'vehicle', threat: 'low', label: 'Bus' },
+  'motorcycle': { type: 'vehicle', threat: 'low', label: 'Motorcycle' },
+  'boat': { type: 'vehicle', threat: 'low', label: 'Watercraft' },
+  'train': { type: 'vehicle', threat: 'low', label: 'Train' },
+  'bicycle': { type: 'vehicle', threat: 'info', label: 'Bicycle' },
+
+  // People (for context)
+  'person': { type: 'person', threat: 'info', label: 'Person Detected' },
+
+  // Other objects that could be airborne
+  'sports ball': { type: 'object', threat: 'low', label: 'Airborne Object' },
+  'frisbee': { type: 'object', threat: 'low', label: 'Airborne Object' },
+  'umbrella': { type: 'object', threat: 'low', label: 'Aerial Object' }
+};
+
+class ClassMappingTable {
+  constructor() {
+    this.modelMappings = {}; // Mappings from loaded model manifests, for display and as override base
+  }
+
+  /**
+   * Record the mappings a loaded model supplies, so the table shows them and
+   * overrides start from them rather than from 'unknown'
+   * @param {Object} mappings - { className: { type, threat, label } }, lowercase class names
+   */
+  registerModelMappings(mappings = {}) {
+    this.modelMappings = { ...this.modelMappings, ...mappings };
+  }
+
+  /**
+   * User overrides from settings, keyed by lowercase class name
+   */
+  getOverrides() {
+    return settingsStore.get('classMappings').overrides || {};
+  }
+
+  /**
+   * Resolve a detector class name to its classification
+   * @param {string} className - Class name as reported by the detector
+   * @param {Object} modelMappings - Mappings supplied by the detector's model (optional)
+   * @returns {Object} { type, threat, label }
+   */
+  resolve(className, modelMappings = null) {
+    const key = className.toLowerCase();
+    return this.getOverrides()[key] ||
+      modelMappings?.[key] ||
+      DEFAULT_CLASS_MAPPINGS[key] ||
+      { type: 'unknown', threat: 'info', label: className };
+  }
+
+  /**
+   * Effective mapping table for display, with where each entry comes from
+   * @param {string[]} extraClassNames - Further classes to list (e.g. added in settings, not yet edited)
+   * @returns {Object[]} [{ className, type, threat, label, overridden }, ...] sorted by class name
+   */
+  getTable(extraClassNames = []) {
+    const overrides = this.getOverrides();
+    const classNames = new Set([
+      ...Object.keys(DEFAULT_CLASS_MAPPINGS),
+      ...Object.keys(this.modelMappings),
+      ...Object.keys(overrides),
+      ...extraClassNames.map(className => className.toLowerCase())
+    ]);
+
+    return Array.from(classNames).sort().map(className => ({
+      className,
+      ...this.resolve(className, this.modelMappings),
+      overridden: className in overrides
+    }));
+  }
+
+  /**
+   * Override the mapping for a class (persisted)
+   * @param {string} className - Class name
+   * @param {Object} patch - Any of { type, threat, label }
+   */
+  setOverride(className, patch) {
+    const key = className.toLowerCase();
+    if (patch.threat !== undefined && !THREAT_LEVELS.includes(patch.threat)) {
+      throw new Error(`Invalid threat level "${patch.threat}"`);
+    }
+
+    const current = this.resolve(key, this.modelMappings);
+    settingsStore.update('classMappings', {
+      overrides: {
+        ...this.getOverrides(),
+        [key]: {
+          type: patch.type ?? current.type,
+          threat: patch.threat ?? current.threat,
+          label: patch.label ?? current.label
+        }
+      }
+    });
+  }
+
+  /**
+   * Remove a class override, restoring the model/default mapping
+   * @param {string} className - Class name
+   */
+  removeOverride(className) {
+    const overrides = { ...this.getOverrides() };
+    delete overrides[className.toLowerCase()];
+    settingsStore.update('classMappings', { overrides });
+  }
+
+  /**
+   * Remove all overrides
+   */
+  reset() {
+    settingsStore.reset('classMappings');
+  }
+}
+
+// Export singleton instance and class
+const classMappings = new ClassMappingTable();
+export { ClassMappingTable };
+export default classMappings;
@@ -0,0 +1,200 @@
+/**
+ * COCO-SSD Detector using TensorFlow.js
+ * Wraps the coco-ssd model in the common detector interface so it can be
+ * loaded through the detector registry.
+ *
+ * The TF.js backend (WebGPU, WebGL, or WASM with SIMD and threads where the
+ * browser allows) is chosen per device by a startup benchmark, unless
+ * overridden in settings (see backendBenchmark.js). It is selected before the
+ * model loads, so the weights are uploaded to that backend only.
+ */
+
+import * as tf from '@tensorflow/tfjs';
+import '@tensorflow/tfjs-backend-webgpu';
+import { setWasmPaths } from '@tensorflow/tfjs-backend-wasm';
+import * as cocoSsd from '@tensorflow-models/coco-ssd';
+import wasmUrl from '@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm.wasm?url';
+import wasmSimdUrl from '@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm-simd.wasm?url';
+import wasmThreadedSimdUrl from '@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm-threaded-simd.wasm?url';
+import { classifyDetections } from './objectClassifier';
+import { DEFAULT_DETECTION_FILTER, lowestThreshold, filterPredictions } from './detectionFilter';
+import {
+  BACKEND_OPTIONS,
+  getBackendOverride,
+  getCachedBackend,
+  cacheBenchmark,
+  benchmarkBackends,
+  fastestBackend
+} from './backendBenchmark';
+
+// Edge length of the blank frame used to benchmark backends
+const BENCHMARK_FRAME_SIZE = 300;
+
+// Detections returned per frame after thresholds and NMS (coco-ssd default: 20)
+const MAX_BOXES = 20;
+
+// Highest-scoring raw boxes passed on to the shared thresholds and NMS
+const MAX_CANDIDATES = 100;
+
+// The WASM backend picks the SIMD or threaded build itself; the binaries are served by the bundler
+setWasmPaths({
+  'tfjs-backend-wasm.wasm': wasmUrl,
+  'tfjs-backend-wasm-simd.wasm': wasmSimdUrl,
+  'tfjs-backend-wasm-threaded-simd.wasm': wasmThreadedSimdUrl
+});
+
+class CocoSsdDetector {
+  constructor() {
+    this.capabilities = {
+      id: 'coco-ssd',
+      label: 'COCO-SSD'
+    };
+    this.model = null;
+    this.modelBase = 'lite_mobilenet_v2'; // Lighter model for mobile
+    this.backend = null; // TF.js backend in use
+    this.benchmark = null; // Backend benchmark results, when one ran during load
+    this.filter = DEFAULT_DETECTION_FILTER; // Per-class thresholds and NMS mode (see detectionFilter.js)
+  }
+
+  /**
+   * Load the COCO-SSD model
+   */
+  async load() {
+    this.backend = await this.selectBackend();
+    this.model = await cocoSsd.load({ base: this.modelBase });
+    this.capabilities = { ...this.capabilities, backend: this.backend };
+    console.log('COCO-SSD model loaded, backend:', this.backend);
+
+    return this;
+  }
+
+  /**
+   * Switch TF.js to the best backend for this device
+   * Preference: settings override, then the cached benchmark winner. Otherwise
+   * the registered GPU/WASM backends are benchmarked, each with its own copy of
+   * the model (CPU only as a last resort).
+   * @returns {Promise<string>} Active backend
+   */
+  async selectBackend() {
+    const registered = Object.keys(tf.engine().registryFactory);
+    const preferred = getBackendOverride('tfjs') || getCachedBackend('tfjs', this.modelBase);
+
+    if (preferred && registered.includes(preferred) && await tf.setBackend(preferred)) {
+      return tf.getBackend();
+    }
+
+    const candidates = BACKEND_OPTIONS.tfjs.filter(backend => backend !== 'cpu' && registered.includes(backend));
+    if (candidates.length === 0) {
+      await tf.setBackend('cpu');
+      return tf.getBackend();
+    }
+
+    this.benchmark = await benchmarkBackends(candidates, async (backend) => {
+      if (!await tf.setBackend(backend)) {
+        throw new Error(`TF.js backend "${backend}" failed to initialise`);
+      }
+      const model = await cocoSsd.load({ base: this.modelBase });
+      const frame = tf.zeros([BENCHMARK_FRAME_SIZE, BENCHMARK_FRAME_SIZE, 3], 'int32');
+
+      return {
+        run: () => this.infer(frame, model),
+        dispose: () => {
+          frame.dispose();
+          model.dispose();
+        }
+      };
+    });
+    cacheBenchmark('tfjs', this.modelBase, this.benchmark);
+
+    await tf.setBackend(fastestBackend(this.benchmark) || 'cpu');
+    return tf.getBackend();
+  }
+
+  /**
+   * Run the SSD graph and decode its raw boxes, without coco-ssd's own NMS
+   * coco-ssd's detect() uses its score cut-off as the IoU threshold of a
+   * class-agnostic hard NMS too, which would pre-empt the configured NMS mode
+   * @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement|tf.Tensor3D} source
+   * @param {Object} model - Loaded coco-ssd model (the benchmark passes its own)
+   * @returns {Promise<Object[]>} [{ bbox, class, score }] above the lowest class threshold,
+   *   highest score first
+   */
+  async infer(source, model = this.model) {
+    const batched = tf.tidy(() => tf.expandDims(source instanceof tf.Tensor ? source : tf.browser.fromPixels(source)));
+    const [height, width] = batched.shape.slice(1, 3);
+
+    const result = await model.model.executeAsync(batched);
+    batched.dispose();
+    const [scoreTensor, boxTensor] = result;
+    const [numBoxes, numClasses] = scoreTensor.shape.slice(1);
+    const scores = scoreTensor.dataSync();
+    const boxes = boxTensor.dataSync();
+    tf.dispose(result);
+
+    // Best class per box, then the strongest candidates (decoding reuses coco-ssd's class table)
+    const [maxScores, classes] = model.calculateMaxScores(scores, numBoxes, numClasses);
+    const minScore = lowestThreshold(this.filter);
+    const indexes = [];
+    for (let i = 0; i < numBoxes; i++) {
+      if (maxScores[i] >= minScore) indexes.push(i);
+    }
+    indexes.sort((a, b) => maxScores[b] - maxScores[a]);
+
+    return model.buildDetectedObjects(width, height, boxes, maxScores, indexes.slice(0, MAX_CANDIDATES), classes);
+  }
+
+  /**
+   * Run inference on an image/video frame
+   * Per-class thresholds and the configured NMS mode are applied to the raw boxes,
+   * as on the YOLOv8 path
+   * @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement} source
+   * @returns {Promise<Object[]>} COCO-SSD predictions
+   */
+  async detect(source) {
+    if (!this.model) {
+      throw new Error('Model not loaded. Call load() first.');
+    }
+    const predictions = await this.infer(source);
+    return filterPredictions(predictions, this.filter).slice(0, MAX_BOXES);
+  }
+
+  /**
+   * Apply runtime detection settings
+   * @param {Object} options - { filter: detectionFilter settings }
+   */
+  configure({ filter } = {}) {
+    if (filter) {
+      this.filter = { ...this.filter, ...filter };
+    }
+  }
+
+  /**
+   * Classify predictions with threat levels
+   * @param {Object[]} predictions - COCO-SSD predictions
+   * @param {number} frameWidth - Frame width for altitude estimation
+   * @param {number} frameHeight - Frame height for altitude estimation
+   */
+  classify(predictions, frameWidth, frameHeight) {
+    return classifyDetections(predictions, frameWidth, frameHeight);
+  }
+
+  /**
+   * Check if model is loaded
+   */
+  isLoaded() {
+    return this.model !== null;
+  }
+
+  /**
+   * Dispose of resources
+   */
+  dispose() {
+    if (this.model) {
+      this.model.dispose();
+      this.model = null;
+    }
+  }
+}
+
+export { CocoSsdDetector };
+export default CocoSsdDetector;
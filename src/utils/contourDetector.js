@@ -70,6 +70,14 @@ export function isOpenCVReady() {
   return cvReady && cv !== null;
 }
 
+/**
+ * Get the initialized OpenCV module, for other OpenCV-based detectors
+ * @returns {Object|null} The cv namespace, or null if not ready
+ */
+export function getOpenCV() {
+  return isOpenCVReady() ? cv : null;
+}
+
 /**
  * Extract contours from a region of interest in a video frame
  * @param {HTMLVideoElement|HTMLCanvasElement} source - Video or canvas element
@@ -316,6 +324,160 @@ export function drawFallbackOutline(ctx, boundingBox, color, lineWidth = 2) {
   ctx.restore();
 }
 
+/**
+ * Draw the recent path of a tracked object as a fading polyline
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Array} history - Track history entries [{x, y}, ...] (box centers, oldest first)
+ * @param {string} color - Stroke color
+ * @param {number} lineWidth - Line width
+ */
+export function drawTrackHistory(ctx, history, color, lineWidth = 2) {
+  if (!history || history.length < 2) return;
+  
+  ctx.save();
+  
+  ctx.strokeStyle = color;
+  ctx.lineWidth = lineWidth;
+  ctx.lineJoin = 'round';
+  ctx.lineCap = 'round';
+  
+  // Older segments fade out
+  for (let i = 1; i < history.length; i++) {
+    ctx.globalAlpha = (i / history.length) * 0.6;
+    ctx.beginPath();
+    ctx.moveTo(history[i - 1].x, history[i - 1].y);
+    ctx.lineTo(history[i].x, history[i].y);
+    ctx.stroke();
+  }
+  
+  ctx.restore();
+}
+
+/**
+ * Draw a predicted trajectory as a dashed line ending in an arrowhead
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} origin - Current position {x, y}
+ * @param {Array} path - Predicted positions [{x, y}, ...] (nearest first)
+ * @param {string} color - Stroke color
+ * @param {number} lineWidth - Line width
+ */
+export function drawPredictedPath(ctx, origin, path, color, lineWidth = 2) {
+  if (!origin || !path || path.length === 0) return;
+  
+  const end = path[path.length - 1];
+  const angle = Math.atan2(end.y - origin.y, end.x - origin.x);
+  const headLength = 8;
+  
+  ctx.save();
+  
+  ctx.strokeStyle = color;
+  ctx.lineWidth = lineWidth;
+  ctx.lineJoin = 'round';
+  ctx.lineCap = 'round';
+  ctx.globalAlpha = 0.7;
+  
+  // Dashed path ahead of the object
+  ctx.setLineDash([6, 6]);
+  ctx.beginPath();
+  ctx.moveTo(origin.x, origin.y);
+  for (const point of path) {
+    ctx.lineTo(point.x, point.y);
+  }
+  ctx.stroke();
+  
+  // Arrowhead at the end of the prediction
+  ctx.setLineDash([]);
+  ctx.beginPath();
+  ctx.moveTo(end.x - headLength * Math.cos(angle - Math.PI / 6), end.y - headLength * Math.sin(angle - Math.PI / 6));
+  ctx.lineTo(end.x, end.y);
+  ctx.lineTo(end.x - headLength * Math.cos(angle + Math.PI / 6), end.y - headLength * Math.sin(angle + Math.PI / 6));
+  ctx.stroke();
+  
+  ctx.restore();
+}
+
+/**
+ * Draw the estimated horizon as a faint dashed line across the frame
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number[]} profile - Normalized horizon y per column (0 = top)
+ * @param {string} color - Stroke color
+ */
+export function drawHorizon(ctx, profile, color = 'rgba(0, 212, 255, 0.5)') {
+  if (!profile || profile.length === 0) return;
+  
+  const { width, height } = ctx.canvas;
+  const columnWidth = width / profile.length;
+  
+  ctx.save();
+  
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 1;
+  ctx.setLineDash([4, 8]);
+  ctx.beginPath();
+  profile.forEach((y, column) => {
+    const x = column * columnWidth;
+    if (column === 0) {
+      ctx.moveTo(x, y * height);
+    } else {
+      ctx.lineTo(x, y * height);
+    }
+    ctx.lineTo(x + columnWidth, y * height);
+  });
+  ctx.stroke();
+  
+  ctx.restore();
+}
+
+/**
+ * Draw user zones: ignore zones shaded grey, watch zones outlined in amber
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object[]} zones - Zones with normalized points
+ * @param {string[]} occupied - Names of watch zones with a detection inside (drawn brighter)
+ */
+export function drawZones(ctx, zones, occupied = []) {
+  if (!zones || zones.length === 0) return;
+  
+  const { width, height } = ctx.canvas;
+  
+  ctx.save();
+  ctx.lineWidth = 2;
+  ctx.font = '11px "SF Mono", "Fira Code", monospace';
+  
+  for (const zone of zones) {
+    const isWatch = zone.type === 'watch';
+    const isOccupied = isWatch && occupied.includes(zone.name);
+    
+    ctx.beginPath();
+    zone.points.forEach((point, index) => {
+      if (index === 0) {
+        ctx.moveTo(point.x * width, point.y * height);
+      } else {
+        ctx.lineTo(point.x * width, point.y * height);
+      }
+    });
+    ctx.closePath();
+    
+    if (isWatch) {
+      ctx.fillStyle = isOccupied ? 'rgba(255, 170, 0, 0.2)' : 'rgba(255, 170, 0, 0.06)';
+      ctx.strokeStyle = isOccupied ? 'rgba(255, 170, 0, 1)' : 'rgba(255, 170, 0, 0.6)';
+      ctx.setLineDash([]);
+    } else {
+      ctx.fillStyle = 'rgba(120, 120, 130, 0.25)';
+      ctx.strokeStyle = 'rgba(160, 160, 170, 0.6)';
+      ctx.setLineDash([6, 4]);
+    }
+    ctx.fill();
+    ctx.stroke();
+    
+    // Name at the first vertex
+    const [first] = zone.points;
+    ctx.fillStyle = ctx.strokeStyle;
+    ctx.fillText(zone.name, first.x * width + 4, first.y * height + 14);
+  }
+  
+  ctx.restore();
+}
+
 /**
  * Draw a rounded rectangle path (polyfill for older browsers)
  * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -376,8 +538,13 @@ export function drawMinimalLabel(ctx, label, x, y, color) {
 export default {
   initOpenCV,
   isOpenCVReady,
+  getOpenCV,
   extractContours,
   drawContour,
   drawFallbackOutline,
-  drawMinimalLabel
+  drawMinimalLabel,
+  drawTrackHistory,
+  drawPredictedPath,
+  drawHorizon,
+  drawZones
 };
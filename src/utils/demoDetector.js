@@ -3,21 +3,20 @@
  * Used when real detection models (YOLOv8, COCO-SSD) are unavailable
  */
 
-// Demo detection classes with drone-specific detections
-// Note: In demo mode, we simulate various aerial threat detections
-// 'bird' is mapped to 'drone' because COCO models use birds as proxy for drones
-const DEMO_CLASSES = [
-  { class: 'drone', type: 'drone', threat: 'high', label: 'Quadcopter Drone' },
-  { class: 'drone', type: 'drone', threat: 'medium', label: 'Small sUAS' },
-  { class: 'fixed-wing', type: 'fixed-wing', threat: 'high', label: 'Fixed-Wing UAV' },
-  { class: 'helicopter', type: 'helicopter', threat: 'high', label: 'Helicopter' },
-  { class: 'bird', type: 'drone', threat: 'medium', label: 'Possible sUAS' }, // Birds used as drone proxy
-  { class: 'person', type: 'person', threat: 'info', label: 'Person Detected' },
-  { class: 'car', type: 'vehicle', threat: 'low', label: 'Ground Vehicle' },
-];
+import classMappings from './classMappings';
+
+// Demo detection classes, classified through the shared class mapping table
+// The first four are aerial threats; 'bird' maps to 'drone' because COCO
+// models use birds as proxy for drones
+const DEMO_CLASSES = ['quadcopter', 'drone', 'fixed-wing', 'helicopter', 'bird', 'person', 'car'];
 
 class DemoDetector {
   constructor() {
+    this.capabilities = {
+      id: 'demo',
+      label: 'DEMO MODE',
+      simulated: true
+    };
     this.isReady = false;
     this.detectionInterval = null;
     this.lastDetectionTime = 0;
@@ -83,14 +82,9 @@ class DemoDetector {
       const confidence = 0.6 + Math.random() * 0.35;
 
       detections.push({
-        class: demoClass.class,
+        class: demoClass,
         score: confidence,
-        bbox: [x, y, boxWidth, boxHeight],
-        classification: {
-          type: demoClass.type,
-          threat: demoClass.threat,
-          label: demoClass.label
-        }
+        bbox: [x, y, boxWidth, boxHeight]
       });
     }
 
@@ -99,11 +93,12 @@ class DemoDetector {
   }
 
   /**
-   * Classify detections (already classified in detect method)
+   * Classify detections through the shared class mapping table
    */
   classifyDetections(detections) {
     return detections.map(det => ({
       ...det,
+      classification: classMappings.resolve(det.class),
       confidence: det.score,
       boundingBox: {
         x: det.bbox[0],
@@ -116,14 +111,31 @@ class DemoDetector {
     }));
   }
 
+  /**
+   * Detector registry classification hook
+   */
+  classify(detections) {
+    return this.classifyDetections(detections);
+  }
+
   /**
    * Check if detector is ready
    */
   isLoaded() {
     return this.isReady;
   }
+
+  /**
+   * Reset simulated state
+   */
+  dispose() {
+    this.isReady = false;
+    this.currentDetections = [];
+    this.lastDetectionTime = 0;
+  }
 }
 
-// Export singleton instance
+// Export singleton instance and class
 export const demoDetector = new DemoDetector();
+export { DemoDetector };
 export default demoDetector;
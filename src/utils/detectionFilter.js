@@ -0,0 +1,55 @@
+/**
+ * Detection Filter
+ * Per-class confidence thresholds and non-maximum suppression, applied the
+ * same way to every model's raw predictions (YOLOv8 postprocess, COCO-SSD).
+ * Aerial classes get low thresholds so faint, distant aircraft and birds in
+ * the sky are kept; persons get a high one to avoid ground false positives.
+ * Settings live in the 'detectionFilter' section (see settings.js).
+ */
+
+import { DEFAULT_SETTINGS } from './settings';
+import { nonMaxSuppression } from './nms';
+
+export const DEFAULT_DETECTION_FILTER = DEFAULT_SETTINGS.detectionFilter;
+
+/**
+ * Minimum confidence for a class
+ * @param {string} className - Model class name
+ * @param {Object} filter - detectionFilter settings
+ * @returns {number}
+ */
+export function thresholdFor(className, filter = DEFAULT_DETECTION_FILTER) {
+  return filter.classThresholds[className?.toLowerCase()] ?? filter.defaultThreshold;
+}
+
+/**
+ * Lowest threshold of any class - raw candidates below it can be skipped
+ * before their class is known
+ * @param {Object} filter - detectionFilter settings
+ * @returns {number}
+ */
+export function lowestThreshold(filter = DEFAULT_DETECTION_FILTER) {
+  return Math.min(filter.defaultThreshold, ...Object.values(filter.classThresholds));
+}
+
+/**
+ * Drop predictions below their class threshold, then suppress overlaps
+ * @param {Object[]} predictions - [{ bbox, class, score }]
+ * @param {Object} filter - detectionFilter settings
+ * @returns {Object[]} Kept predictions, highest score first
+ */
+export function filterPredictions(predictions, filter = DEFAULT_DETECTION_FILTER) {
+  const minScore = (prediction) => thresholdFor(prediction.class, filter);
+
+  return nonMaxSuppression(
+    predictions.filter(prediction => prediction.score >= minScore(prediction)),
+    { mode: filter.nmsMode, iouThreshold: filter.iouThreshold, minScore }
+  );
+}
+
+export default {
+  DEFAULT_DETECTION_FILTER,
+  thresholdFor,
+  lowestThreshold,
+  filterPredictions
+};
@@ -0,0 +1,434 @@
+/**
+ * Detection Pipeline
+ * Shared detection path for CameraView and FullScreenCamera:
+ * loads a detector through the registry, then turns video frames into
+ * classified detections with persistent track IDs, annotated by the optional
+ * analyses enabled in settings, and assesses their threat level.
+ */
+
+import { loadDetector } from './detectorRegistry';
+import { initOpenCV } from './contourDetector';
+import { ObjectTracker } from './objectTracker';
+import { MotionDetector } from './motionDetector';
+import { AcousticDetector } from './acousticDetector';
+import { SkySegmenter } from './skySegmenter';
+import { RangeEstimator } from './rangeEstimator';
+import { PoseEstimator } from './poseEstimator';
+import { isWorkerInferenceSupported } from './yolov8WorkerDetector';
+import { analyzePose } from './poseAnalysis';
+import { classifyTrackBehavior } from './trackBehavior';
+import { DetectionScheduler } from './detectionScheduler';
+import { ThreatHysteresis } from './threatHysteresis';
+import { getThreatAssessment, estimateAltitude, AERIAL_THREAT_TYPES, AERIAL_TYPES } from './objectClassifier';
+import zoneStore, { WATCH_ZONE_TYPES } from './zones';
+import settingsStore from './settings';
+
+// Detector id to try first (registry priority order otherwise)
+const PREFERRED_DETECTOR = 'yolov8';
+
+// Detector id tried first when the ensemble is enabled in settings (YOLOv8 and COCO-SSD together)
+const ENSEMBLE_DETECTOR = 'ensemble';
+
+// Minimum overlap for a pose model person to belong to a detected person
+const POSE_MATCH_IOU = 0.5;
+
+// A track must stay out of a watch zone this long before re-entering counts again
+const ZONE_EXIT_MS = 2000;
+
+class DetectionPipeline {
+  constructor() {
+    this.detector = null;
+    this.ensembleEnabled = false; // Whether the loaded detector is the ensemble
+    this.detecting = null; // Detector inference in flight, awaited before a replaced detector is released
+    this.tracker = new ObjectTracker();
+    this.motionDetector = null;
+    this.acousticDetector = null;
+    this.acoustic = null; // Latest acoustic reading, or null when acoustic detection is off
+    this.skySegmenter = new SkySegmenter();
+    this.rangeEstimator = null;
+    this.zoom = 1; // Camera zoom factor, for range estimation
+    this.poseEstimator = null;
+    this.scheduler = new DetectionScheduler(); // Paces the owning camera loop's inference
+    this.threatHysteresis = new ThreatHysteresis(); // Smooths assessed threat levels
+    this.zoneVisits = new Map(); // `${trackId}:${zoneId}` -> last time seen inside
+    this.unsubscribeSettings = null;
+  }
+
+  /**
+   * Load OpenCV and the best available detector
+   * @param {Object} options
+   * @param {Function} options.onStatus - Loading progress callback
+   * @returns {Promise<DetectionPipeline>}
+   */
+  async load({ onStatus } = {}) {
+    // Initialize OpenCV for contour detection (start early, await later)
+    onStatus?.('Initializing contour detection...');
+    const openCVPromise = initOpenCV().catch(err => {
+      console.warn('OpenCV initialization failed, will use fallback outlines:', err);
+    });
+
+    this.ensembleEnabled = settingsStore.get('ensemble').enabled;
+    this.detector = await this.loadDetector(this.ensembleEnabled, onStatus);
+
+    // Apply user settings now and whenever they change
+    this.applySettings(settingsStore.get());
+    this.unsubscribeSettings = settingsStore.subscribe(settings => this.applySettings(settings));
+
+    // Wait for OpenCV to be ready before completing
+    onStatus?.('Finalizing contour detection...');
+    await openCVPromise;
+
+    return this;
+  }
+
+  /**
+   * Load the ensemble or the single preferred detector through the registry
+   * @param {boolean} ensemble - Whether to try the ensemble first
+   * @param {Function} onStatus - Loading progress callback (optional)
+   */
+  loadDetector(ensemble, onStatus) {
+    return loadDetector({
+      preferred: ensemble ? ENSEMBLE_DETECTOR : PREFERRED_DETECTOR,
+      onStatus,
+      loadOptions: { baseUrl: import.meta.env.BASE_URL }
+    });
+  }
+
+  /**
+   * Swap in the detector for the current ensemble setting
+   * The old detector keeps running until the new one has loaded, and is released
+   * once its last inference has finished
+   */
+  async reloadDetector() {
+    const ensemble = this.ensembleEnabled;
+    let detector;
+    try {
+      detector = await this.loadDetector(ensemble);
+    } catch (err) {
+      console.warn('Detector reload failed, keeping the current detector:', err);
+      return;
+    }
+
+    // Disposed, or the setting changed again while loading
+    if (!this.detector || this.ensembleEnabled !== ensemble) {
+      detector.dispose();
+      return;
+    }
+
+    const previous = this.detector;
+    this.detector = detector;
+    this.applySettings(settingsStore.get());
+    await this.detecting?.catch(() => {});
+    previous.dispose();
+  }
+
+  /**
+   * Forward detection settings to the detector (detectors ignore what they don't support)
+   * @param {Object} settings - Full settings object from the settings store
+   */
+  applySettings(settings) {
+    // Turning the ensemble on or off swaps the detector in the background
+    if (this.detector && settings.ensemble.enabled !== this.ensembleEnabled) {
+      this.ensembleEnabled = settings.ensemble.enabled;
+      this.reloadDetector();
+    }
+
+    this.detector?.configure?.({
+      ensemble: settings.ensemble,
+      filter: settings.detectionFilter,
+      tiling: settings.tiling,
+      input: settings.modelInput
+    });
+
+    const { enabled, ...motionOptions } = settings.motion;
+    if (enabled && !this.motionDetector) {
+      this.motionDetector = new MotionDetector();
+      this.motionDetector.load().catch(err => {
+        console.warn('Motion detection unavailable without OpenCV:', err);
+      });
+    } else if (!enabled && this.motionDetector) {
+      this.motionDetector.dispose();
+      this.motionDetector = null;
+    }
+    this.motionDetector?.configure(motionOptions);
+
+    if (settings.acoustic.enabled && !this.acousticDetector) {
+      const acousticDetector = new AcousticDetector();
+      this.acousticDetector = acousticDetector;
+      acousticDetector.start().catch(err => {
+        console.warn('Acoustic detection unavailable:', err);
+        if (this.acousticDetector === acousticDetector) this.acousticDetector = null;
+      });
+    } else if (!settings.acoustic.enabled && this.acousticDetector) {
+      this.acousticDetector.dispose();
+      this.acousticDetector = null;
+      this.acoustic = null;
+    }
+    this.acousticDetector?.configure({ threshold: settings.acoustic.threshold });
+
+    this.skySegmenter.configure(settings.sky);
+
+    const { enabled: rangeEnabled, ...rangeOptions } = settings.rangeEstimation;
+    if (rangeEnabled && !this.rangeEstimator) {
+      this.rangeEstimator = new RangeEstimator().start();
+      this.rangeEstimator.setZoom(this.zoom);
+    } else if (!rangeEnabled && this.rangeEstimator) {
+      this.rangeEstimator.dispose();
+      this.rangeEstimator = null;
+    }
+    this.rangeEstimator?.configure(rangeOptions);
+
+    this.tracker.configure(settings.confirmation);
+    this.threatHysteresis.configure(settings.threatHysteresis);
+
+    // Region-of-interest passes only for detectors that can search regions
+    this.scheduler.configure({
+      ...settings.scheduling,
+      roiPasses: settings.scheduling.roiPasses && Boolean(this.capabilities?.regions)
+    });
+
+    // Pose inference only runs in a worker, never on the main thread
+    if (settings.pose.enabled && !this.poseEstimator && isWorkerInferenceSupported()) {
+      const poseEstimator = new PoseEstimator();
+      this.poseEstimator = poseEstimator;
+      poseEstimator.load({ baseUrl: import.meta.env.BASE_URL }).catch(err => {
+        console.warn('Pose estimation unavailable (add public/models/yolov8n-pose.onnx):', err);
+        if (this.poseEstimator === poseEstimator) this.poseEstimator = null;
+      });
+    } else if (!settings.pose.enabled && this.poseEstimator) {
+      this.poseEstimator.dispose();
+      this.poseEstimator = null;
+    }
+    this.poseEstimator?.configure({ filter: settings.detectionFilter });
+  }
+
+  /**
+   * Capabilities of the loaded detector
+   */
+  get capabilities() {
+    return this.detector?.capabilities || null;
+  }
+
+  /**
+   * Set the camera zoom factor (1 = widest), for range estimation
+   */
+  setZoom(zoom) {
+    this.zoom = zoom;
+    this.rangeEstimator?.setZoom(zoom);
+  }
+
+  /**
+   * Current horizon profile (normalized y per column), or null when sky segmentation is off
+   */
+  get horizon() {
+    return this.skySegmenter.profile;
+  }
+
+  /**
+   * User-drawn ignore and watch zones
+   */
+  get zones() {
+    return zoneStore.getZones();
+  }
+
+  /**
+   * Detect, classify and track objects in a frame
+   * @param {HTMLVideoElement} source - Video frame source
+   * @param {number} frameWidth - Frame width in pixels
+   * @param {number} frameHeight - Frame height in pixels
+   * @param {Object} options - { regions } - regions of interest to search instead of
+   *   the whole frame (from the scheduler)
+   * @returns {Promise<Object[]>} Classified detections with trackId, track history,
+   *   motion estimates, altitude (size-based proximity, for every detector), behavior, keypoints and pose (people, with pose estimation), zones (watch zone names) and zoneEntries
+   *   (watch zones entered this frame), heard (aerial objects while rotor noise is heard)
+   *   and range (metric distance and height, with range estimation; see RangeEstimator.estimate)
+   */
+  async process(source, frameWidth, frameHeight, { regions = null } = {}) {
+    if (!this.detector) {
+      throw new Error('Pipeline not loaded. Call load() first.');
+    }
+
+    // Predictions inside ignore zones are dropped before classification
+    const detector = this.detector;
+    this.detecting = detector.detect(source, { regions });
+    const predictions = zoneStore.filterIgnored(await this.detecting, frameWidth, frameHeight);
+    let classified = detector.classify(predictions, frameWidth, frameHeight);
+
+    // People get keypoints and posture flags
+    if (this.poseEstimator?.isLoaded() && classified.some(detection => detection.classification.type === 'person')) {
+      classified = attachPoses(classified, await this.poseEstimator.detect(source));
+    }
+
+    if (this.skySegmenter.enabled) {
+      // Aerial detections count as sky, so a close, dark drone doesn't drag the horizon down to itself
+      this.skySegmenter.update(source, classified
+        .filter(detection => AERIAL_THREAT_TYPES.includes(detection.classification.type))
+        .map(detection => detection.boundingBox));
+      classified = classified.map(detection => ({
+        ...detection,
+        belowHorizon: this.skySegmenter.isBelowHorizon(detection.boundingBox, frameWidth, frameHeight)
+      }));
+    }
+
+    // Motion cues from background subtraction stand in for objects the detector missed;
+    // motion below the horizon is ground clutter (traffic, trees in the wind)
+    if (this.motionDetector) {
+      const motionPredictions = zoneStore.filterIgnored(this.motionDetector.detect(source), frameWidth, frameHeight);
+      const motion = this.motionDetector.classify(motionPredictions, frameWidth, frameHeight)
+        .filter(detection => !this.skySegmenter.isBelowHorizon(detection.boundingBox, frameWidth, frameHeight));
+      classified = fuseMotionDetections(classified, motion);
+    }
+
+    // The latest acoustic reading is kept for threat scoring
+    if (this.acousticDetector) {
+      this.acoustic = this.acousticDetector.analyze();
+      if (this.acoustic?.detected) {
+        // Aerial detections are marked heard while rotor noise is picked up, unclassified motion included
+        classified = classified.map(detection =>
+          AERIAL_TYPES.includes(detection.classification.type) ? { ...detection, heard: true } : detection
+        );
+      }
+    }
+
+    const timestamp = Date.now();
+    const tracked = this.tracker.update(classified, timestamp, frameWidth, frameHeight);
+
+    const results = tracked.map(detection => ({
+      ...detection,
+      // Size-based proximity for threat rules; not every detector's classify() sets it
+      altitude: detection.altitude ?? estimateAltitude(detection.boundingBox, frameWidth, frameHeight),
+      behavior: classifyTrackBehavior(detection.track.history, frameWidth, frameHeight),
+      range: this.rangeEstimator?.estimate(detection, frameWidth, frameHeight) ?? null,
+      ...this.locateInWatchZones(detection, frameWidth, frameHeight, timestamp)
+    }));
+
+    // Forget visits of tracks that left their zones (or ended)
+    for (const [key, lastInside] of this.zoneVisits) {
+      if (timestamp - lastInside > ZONE_EXIT_MS) this.zoneVisits.delete(key);
+    }
+
+    return results;
+  }
+
+  /**
+   * Assess the threat level of a frame's detections with the active threat policy
+   * and the latest acoustic reading, smoothed by hysteresis
+   * @param {Object[]} detections - Detections from process()
+   * @returns {Object} { level, rule, held } (see ThreatHysteresis.update)
+   */
+  assessThreat(detections) {
+    return this.threatHysteresis.update(getThreatAssessment(detections, this.acoustic), Date.now());
+  }
+
+  /**
+   * Recent threat level changes, oldest first (see ThreatHysteresis.getHistory)
+   */
+  get threatHistory() {
+    return this.threatHysteresis.getHistory();
+  }
+
+  /**
+   * Find the watch zones containing a detection and which of them it just entered
+   * Only confirmed aerial tracks raise entries; a zone counts as left after ZONE_EXIT_MS
+   * outside, so jitter along an edge doesn't repeat the alert
+   * @returns {Object} { zones: [zone names], zoneEntries: [zone names] }
+   */
+  locateInWatchZones(detection, frameWidth, frameHeight, timestamp) {
+    const { centerX, centerY } = detection.boundingBox;
+    const inside = zoneStore.zonesAt(centerX / frameWidth, centerY / frameHeight, 'watch');
+    const zoneEntries = [];
+
+    if (detection.track?.state === 'confirmed' && WATCH_ZONE_TYPES.includes(detection.classification.type)) {
+      for (const zone of inside) {
+        const key = `${detection.trackId}:${zone.id}`;
+        if (!this.zoneVisits.has(key)) zoneEntries.push(zone.name);
+        this.zoneVisits.set(key, timestamp);
+      }
+    }
+
+    return { zones: inside.map(zone => zone.name), zoneEntries };
+  }
+
+  /**
+   * Release the detector
+   */
+  dispose() {
+    this.unsubscribeSettings?.();
+    this.unsubscribeSettings = null;
+    this.tracker.reset();
+    this.scheduler.reset();
+    this.threatHysteresis.reset();
+    this.zoneVisits.clear();
+    this.motionDetector?.dispose();
+    this.motionDetector = null;
+    this.acousticDetector?.dispose();
+    this.acousticDetector = null;
+    this.acoustic = null;
+    this.skySegmenter.dispose();
+    this.rangeEstimator?.dispose();
+    this.rangeEstimator = null;
+    this.poseEstimator?.dispose();
+    this.poseEstimator = null;
+
+    if (this.detector) {
+      this.detector.dispose();
+      this.detector = null;
+    }
+    this.detecting = null;
+  }
+}
+
+/**
+ * Give each detected person the keypoints of the pose model person it overlaps most
+ * @param {Object[]} detections - Classified detector output
+ * @param {Object[]} people - Pose estimator predictions with bbox and keypoints
+ * @returns {Object[]}
+ */
+function attachPoses(detections, people) {
+  const iou = (box, [x, y, width, height]) => {
+    const overlapX = Math.max(0, Math.min(box.x + box.width, x + width) - Math.max(box.x, x));
+    const overlapY = Math.max(0, Math.min(box.y + box.height, y + height) - Math.max(box.y, y));
+    const intersection = overlapX * overlapY;
+    return intersection / (box.width * box.height + width * height - intersection);
+  };
+
+  return detections.map(detection => {
+    if (detection.classification.type !== 'person') return detection;
+
+    let best = null;
+    let bestIoU = POSE_MATCH_IOU;
+    for (const person of people) {
+      const overlap = iou(detection.boundingBox, person.bbox);
+      if (overlap >= bestIoU) {
+        best = person;
+        bestIoU = overlap;
+      }
+    }
+
+    return best
+      ? { ...detection, keypoints: best.keypoints, pose: analyzePose(best.keypoints) }
+      : detection;
+  });
+}
+
+/**
+ * Add motion detections that no detector box already covers
+ * The detector's classification always wins where both see the same object
+ * @param {Object[]} detections - Classified detector output
+ * @param {Object[]} motionDetections - Classified motion blobs
+ * @returns {Object[]}
+ */
+function fuseMotionDetections(detections, motionDetections) {
+  const overlaps = (a, b) =>
+    a.x < b.x + b.width && b.x < a.x + a.width &&
+    a.y < b.y + b.height && b.y < a.y + a.height;
+
+  const unexplained = motionDetections.filter(motion =>
+    !detections.some(detection => overlaps(motion.boundingBox, detection.boundingBox))
+  );
+
+  return [...detections, ...unexplained];
+}
+
+export { DetectionPipeline };
+export default DetectionPipeline;
@@ -0,0 +1,211 @@
+/**
+ * Detection Scheduler
+ * Decouples inference from rendering. The camera loop draws every animation
+ * frame but only starts inference when the scheduler says one is due:
+ *   - at most targetFps inferences per second, never more than one in flight
+ *   - between full-frame scans (every fullScanInterval ms), only regions of
+ *     interest around the current detections are searched, when the detector
+ *     supports region inference
+ * Between inferences, detections are moved along their tracks' filtered
+ * velocity so outlines stay smooth on devices that infer a few times a second.
+ */
+
+import { isOpenCVReady, extractContours } from './contourDetector';
+
+// Each region spans this multiple of the object's larger box dimension
+const ROI_SCALE = 3;
+
+// Smallest region edge in pixels, so tiny distant objects keep some context
+const MIN_ROI_SIZE = 192;
+
+// More regions than this, or regions covering more than this fraction of the
+// frame, cost as much as a full scan
+const MAX_ROIS = 4;
+const MAX_ROI_COVERAGE = 0.5;
+
+// Detections are extrapolated at most this far past their inference
+const MAX_INTERPOLATION_MS = 500;
+
+// Edge threshold for outlines traced around detections without a polygon (0-255)
+const CONTOUR_THRESHOLD = 40;
+
+/**
+ * Regions of interest around detections, merged where they overlap
+ * @param {Object[]} detections - Detections with boundingBox
+ * @param {number} frameWidth - Frame width in pixels
+ * @param {number} frameHeight - Frame height in pixels
+ * @returns {Object[]|null} Regions as { x, y, width, height }, or null when a
+ *   full-frame scan is the better choice (nothing to follow, or too much of the frame)
+ */
+export function computeRegionsOfInterest(detections, frameWidth, frameHeight) {
+  if (detections.length === 0) return null;
+
+  let boxes = detections.map(({ boundingBox }) => {
+    const size = Math.min(
+      Math.max(MIN_ROI_SIZE, ROI_SCALE * Math.max(boundingBox.width, boundingBox.height)),
+      frameWidth,
+      frameHeight
+    );
+    const x1 = Math.min(Math.max(boundingBox.centerX - size / 2, 0), frameWidth - size);
+    const y1 = Math.min(Math.max(boundingBox.centerY - size / 2, 0), frameHeight - size);
+    return { x1, y1, x2: x1 + size, y2: y1 + size };
+  });
+
+  // Merge overlapping regions until none overlap
+  let merged = true;
+  while (merged) {
+    merged = false;
+    const next = [];
+    for (const box of boxes) {
+      const overlapping = next.find(other =>
+        box.x1 < other.x2 && other.x1 < box.x2 && box.y1 < other.y2 && other.y1 < box.y2
+      );
+      if (overlapping) {
+        overlapping.x1 = Math.min(overlapping.x1, box.x1);
+        overlapping.y1 = Math.min(overlapping.y1, box.y1);
+        overlapping.x2 = Math.max(overlapping.x2, box.x2);
+        overlapping.y2 = Math.max(overlapping.y2, box.y2);
+        merged = true;
+      } else {
+        next.push({ ...box });
+      }
+    }
+    boxes = next;
+  }
+
+  const area = boxes.reduce((sum, box) => sum + (box.x2 - box.x1) * (box.y2 - box.y1), 0);
+  if (boxes.length > MAX_ROIS || area > frameWidth * frameHeight * MAX_ROI_COVERAGE) return null;
+
+  return boxes.map(box => ({
+    x: Math.round(box.x1),
+    y: Math.round(box.y1),
+    width: Math.round(box.x2 - box.x1),
+    height: Math.round(box.y2 - box.y1)
+  }));
+}
+
+/**
+ * Move detections along their filtered velocity
+ * Shifts the box, outline polygon or contour, keypoints and position; track history and
+ * predicted path are left as they were measured
+ * @param {Object[]} detections - Tracked detections (velocity in pixels per second)
+ * @param {number} elapsedMs - Time since the detections' frame
+ * @returns {Object[]}
+ */
+export function interpolateDetections(detections, elapsedMs) {
+  const seconds = Math.min(Math.max(elapsedMs, 0), MAX_INTERPOLATION_MS) / 1000;
+  if (seconds === 0) return detections;
+
+  return detections.map(detection => {
+    if (!detection.velocity) return detection;
+
+    const dx = detection.velocity.x * seconds;
+    const dy = detection.velocity.y * seconds;
+    const shift = (point) => ({ ...point, x: point.x + dx, y: point.y + dy });
+    const { boundingBox } = detection;
+
+    return {
+      ...detection,
+      bbox: detection.bbox && [detection.bbox[0] + dx, detection.bbox[1] + dy, detection.bbox[2], detection.bbox[3]],
+      boundingBox: {
+        ...boundingBox,
+        x: boundingBox.x + dx,
+        y: boundingBox.y + dy,
+        centerX: boundingBox.centerX + dx,
+        centerY: boundingBox.centerY + dy
+      },
+      position: detection.position && shift(detection.position),
+      polygon: detection.polygon?.map(shift),
+      contour: detection.contour?.map(shift),
+      keypoints: detection.keypoints?.map(shift)
+    };
+  });
+}
+
+class DetectionScheduler {
+  constructor() {
+    this.targetFps = 15;
+    this.roiPasses = true;
+    this.fullScanInterval = 1000; // ms between full-frame scans while following objects
+    this.inFlight = false;
+    this.frameTime = -Infinity; // Start time of the latest inference
+    this.lastFullScan = -Infinity;
+    this.detections = [];
+    this.detectedAt = 0; // Frame time of this.detections
+  }
+
+  /**
+   * Apply scheduling settings
+   * @param {Object} options - { targetFps, roiPasses, fullScanInterval }
+   */
+  configure({ targetFps, roiPasses, fullScanInterval } = {}) {
+    if (targetFps !== undefined) this.targetFps = targetFps;
+    if (roiPasses !== undefined) this.roiPasses = roiPasses;
+    if (fullScanInterval !== undefined) this.fullScanInterval = fullScanInterval;
+  }
+
+  /**
+   * Start the next inference if one is due
+   * @param {number} now - Current time (performance.now())
+   * @param {number} frameWidth - Frame width in pixels
+   * @param {number} frameHeight - Frame height in pixels
+   * @returns {Object|null} { regions } - regions to search, or null for a full-frame
+   *   scan; null (no plan) when no inference should start this frame. Every plan
+   *   must be followed by complete().
+   */
+  next(now, frameWidth, frameHeight) {
+    if (this.inFlight || now - this.frameTime < 1000 / this.targetFps) return null;
+
+    let regions = null;
+    if (this.roiPasses && now - this.lastFullScan < this.fullScanInterval) {
+      regions = computeRegionsOfInterest(this.current(now), frameWidth, frameHeight);
+    }
+    if (!regions) this.lastFullScan = now;
+
+    this.inFlight = true;
+    this.frameTime = now;
+    return { regions };
+  }
+
+  /**
+   * Record the result of the inference started by next()
+   * Detections without a segmentation polygon get their outline traced once here
+   * (OpenCV contour from the source), so frames drawn in between only move it
+   * @param {Object[]|null} detections - New detections, or null if inference failed
+   * @param {HTMLVideoElement|HTMLCanvasElement} source - Frame to trace outlines in (optional)
+   */
+  complete(detections, source = null) {
+    this.inFlight = false;
+
+    if (detections) {
+      this.detections = source && isOpenCVReady()
+        ? detections.map(detection => detection.polygon?.length > 2
+          ? detection
+          : { ...detection, contour: extractContours(source, detection.boundingBox, CONTOUR_THRESHOLD) })
+        : detections;
+      this.detectedAt = this.frameTime;
+    }
+  }
+
+  /**
+   * Latest detections, extrapolated to the given time for drawing
+   * @param {number} now - Current time (performance.now())
+   * @returns {Object[]}
+   */
+  current(now) {
+    return interpolateDetections(this.detections, now - this.detectedAt);
+  }
+
+  /**
+   * Forget detections and timing (camera stopped)
+   * An inference still in flight keeps blocking the next one until it completes
+   */
+  reset() {
+    this.frameTime = -Infinity;
+    this.lastFullScan = -Infinity;
+    this.detections = [];
+  }
+}
+
+export { DetectionScheduler };
+export default DetectionScheduler;
@@ -0,0 +1,135 @@
+/**
+ * Detector Registry
+ * Central list of detection backends. Camera components never reference a
+ * model directly - they ask the registry for the best detector that loads
+ * on this device, trying registered detectors in priority order.
+ *
+ * Every detector implements the same interface:
+ *   capabilities                       { id, label, ... }
+ *   load(options)                      resolves when ready, throws if unavailable
+ *   detect(source)                     raw predictions (sync or async)
+ *   classify(predictions, width, height) classified detections
+ *   dispose()                          release model resources
+ */
+
+import { YOLOv8Detector } from './yolov8Detector';
+import { YOLOv8WorkerDetector, isWorkerInferenceSupported } from './yolov8WorkerDetector';
+import { CocoSsdDetector } from './cocoSsdDetector';
+import { DemoDetector } from './demoDetector';
+import { EnsembleDetector } from './ensembleDetector';
+
+const detectors = new Map();
+
+/**
+ * Register a detector
+ * @param {string} id - Unique detector id
+ * @param {Object} entry - { create, priority, loadingStatus }
+ *   create: factory returning a new detector instance
+ *   priority: higher priorities are tried first
+ *   loadingStatus: message shown while the detector loads
+ * @returns {Function} Unregister function
+ */
+export function registerDetector(id, { create, priority = 0, loadingStatus }) {
+  if (typeof create !== 'function') {
+    throw new Error(`Detector "${id}" must provide a create() factory`);
+  }
+
+  detectors.set(id, {
+    id,
+    create,
+    priority,
+    loadingStatus: loadingStatus || `Loading ${id} detector...`
+  });
+
+  return () => unregisterDetector(id);
+}
+
+/**
+ * Remove a detector from the registry
+ * @param {string} id - Detector id
+ */
+export function unregisterDetector(id) {
+  detectors.delete(id);
+}
+
+/**
+ * Get registered detectors, highest priority first
+ * @returns {Object[]} Registry entries
+ */
+export function getRegisteredDetectors() {
+  return Array.from(detectors.values()).sort((a, b) => b.priority - a.priority);
+}
+
+/**
+ * Load the first detector that initializes successfully
+ * @param {Object} options
+ * @param {string} options.preferred - Detector id to try before the others
+ * @param {Function} options.onStatus - Progress callback for loading messages
+ * @param {Object} options.loadOptions - Passed through to detector.load()
+ * @returns {Promise<Object>} Loaded detector instance
+ */
+export async function loadDetector({ preferred, onStatus, loadOptions = {} } = {}) {
+  const entries = getRegisteredDetectors();
+
+  if (preferred) {
+    const index = entries.findIndex(entry => entry.id === preferred);
+    if (index > 0) {
+      entries.unshift(...entries.splice(index, 1));
+    }
+  }
+
+  let lastError = null;
+
+  for (const entry of entries) {
+    const detector = entry.create();
+
+    try {
+      onStatus?.(entry.loadingStatus);
+      await detector.load(loadOptions);
+      console.log(`Detector loaded: ${entry.id}`);
+      return detector;
+    } catch (err) {
+      console.warn(`Detector "${entry.id}" failed to load, trying next:`, err);
+      lastError = err;
+      detector.dispose?.();
+    }
+  }
+
+  throw lastError || new Error('No detectors registered');
+}
+
+// YOLOv8 runs in a Web Worker where OffscreenCanvas is available, on the main thread otherwise
+const createYOLOv8Detector = () => isWorkerInferenceSupported() ? new YOLOv8WorkerDetector() : new YOLOv8Detector();
+
+// Built-in detectors: YOLOv8 preferred, COCO-SSD fallback, demo as last resort
+registerDetector('yolov8', {
+  create: createYOLOv8Detector,
+  priority: 100,
+  loadingStatus: 'Loading YOLOv8 model via ONNX Runtime...'
+});
+
+registerDetector('coco-ssd', {
+  create: () => new CocoSsdDetector(),
+  priority: 50,
+  loadingStatus: 'Loading TensorFlow.js COCO-SSD model...'
+});
+
+registerDetector('demo', {
+  create: () => new DemoDetector(),
+  priority: 0,
+  loadingStatus: 'Using demo detection mode...'
+});
+
+// YOLOv8 and COCO-SSD with fused boxes; below the demo, so only loaded when preferred
+registerDetector('ensemble', {
+  create: () => new EnsembleDetector([createYOLOv8Detector(), new CocoSsdDetector()]),
+  priority: -1,
+  loadingStatus: 'Loading YOLOv8 and COCO-SSD ensemble...'
+});
+
+export default {
+  registerDetector,
+  unregisterDetector,
+  getRegisteredDetectors,
+  loadDetector
+};
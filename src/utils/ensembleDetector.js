@@ -0,0 +1,151 @@
+/**
+ * Ensemble Detector
+ * Runs several detectors on the same frame and fuses their boxes with weighted
+ * box fusion (see boxFusion.js). Each member can run at its own cadence - e.g.
+ * YOLOv8 every inference and the slower COCO-SSD every second one - and only
+ * the members that ran contribute to a frame's fusion.
+ *
+ * Boxes are fused by threat type rather than class name, since the models'
+ * vocabularies differ: a drone model's "drone" and COCO's "bird" or "kite"
+ * around the same object count as agreement. Each fused box is classified by
+ * the member whose class won, so model manifest mappings still apply.
+ */
+
+import classMappings from './classMappings';
+import { weightedBoxFusion } from './boxFusion';
+import { AERIAL_THREAT_TYPES } from './objectClassifier';
+import { DEFAULT_SETTINGS } from './settings';
+
+class EnsembleDetector {
+  /**
+   * @param {Object[]} members - Detector instances (see detectorRegistry.js for the interface)
+   */
+  constructor(members) {
+    this.members = members;
+    this.capabilities = {
+      id: 'ensemble',
+      label: 'Ensemble'
+    };
+    this.options = DEFAULT_SETTINGS.ensemble; // { weights, intervals, iouThreshold }
+    this.inferences = 0; // Inferences so far, for member cadences
+  }
+
+  /**
+   * Load every member in turn (their backend benchmarks shouldn't compete)
+   * Fails if any member fails, so the registry falls back to a single detector
+   * @param {Object} options - Passed through to each member's load()
+   */
+  async load(options = {}) {
+    for (const member of this.members) {
+      await member.load(options);
+    }
+
+    const labels = this.members.map(member => member.capabilities.label);
+    this.capabilities = {
+      ...this.capabilities,
+      label: labels.join(' + '),
+      // Region passes only search with members that support them
+      regions: this.members.some(member => member.capabilities.regions)
+    };
+
+    return this;
+  }
+
+  /**
+   * Run the members due this inference and fuse their predictions
+   * @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement} source
+   * @param {Object} options - { regions } - regions of interest; members that can't
+   *   search regions sit those passes out
+   * @returns {Promise<Object[]>} Fused predictions with model and agreement
+   */
+  async detect(source, { regions = null } = {}) {
+    const eligible = regions
+      ? this.members.filter(member => member.capabilities.regions)
+      : this.members;
+    let due = eligible.filter(member => this.inferences % this.intervalOf(member) === 0);
+    if (due.length === 0) due = eligible.slice(0, 1);
+    this.inferences++;
+
+    const results = await Promise.all(due.map(member => member.detect(source, { regions })));
+
+    return weightedBoxFusion(
+      due.map((member, i) => ({
+        model: member.capabilities.id,
+        weight: this.weightOf(member),
+        predictions: results[i]
+      })),
+      {
+        iouThreshold: this.options.iouThreshold,
+        // Against every member, so scores don't shift with which members ran
+        maxWeight: Math.max(...this.members.map(member => this.weightOf(member))),
+        groupOf: (prediction, model) => this.fusionGroup(prediction, model)
+      }
+    );
+  }
+
+  /**
+   * Fusion key of a prediction: its threat type, with all aerial types as one
+   */
+  fusionGroup(prediction, model) {
+    const { type } = classMappings.resolve(prediction.class, this.member(model)?.modelMappings);
+    return AERIAL_THREAT_TYPES.includes(type) ? 'aerial' : type;
+  }
+
+  /**
+   * Classify each fused prediction with the member that produced its class
+   * @param {Object[]} predictions - Fused predictions
+   * @param {number} frameWidth - Frame width
+   * @param {number} frameHeight - Frame height
+   */
+  classify(predictions, frameWidth, frameHeight) {
+    return this.members.flatMap(member => {
+      const own = predictions.filter(prediction => prediction.model === member.capabilities.id);
+      return own.length > 0 ? member.classify(own, frameWidth, frameHeight) : [];
+    });
+  }
+
+  member(id) {
+    return this.members.find(member => member.capabilities.id === id);
+  }
+
+  weightOf(member) {
+    return this.options.weights[member.capabilities.id] ?? 1;
+  }
+
+  intervalOf(member) {
+    return Math.max(1, this.options.intervals[member.capabilities.id] ?? 1);
+  }
+
+  /**
+   * Apply runtime settings
+   * @param {Object} options - { ensemble: { weights, intervals, iouThreshold }, ... } -
+   *   everything else is forwarded to the members
+   */
+  configure({ ensemble, ...memberOptions } = {}) {
+    if (ensemble) {
+      this.options = { ...this.options, ...ensemble };
+    }
+    for (const member of this.members) {
+      member.configure?.(memberOptions);
+    }
+  }
+
+  /**
+   * Check if every member is loaded
+   */
+  isLoaded() {
+    return this.members.every(member => member.isLoaded());
+  }
+
+  /**
+   * Dispose of every member
+   */
+  dispose() {
+    for (const member of this.members) {
+      member.dispose();
+    }
+  }
+}
+
+export { EnsembleDetector };
+export default EnsembleDetector;
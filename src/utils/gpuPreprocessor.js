@@ -0,0 +1,380 @@
+/**
+ * GPU Preprocessor
+ * Builds the YOLOv8 input tensor on the GPU: letterbox (grey padding), crop,
+ * resize, normalisation to 0-1 and planar CHW layout in one shader pass.
+ *
+ *   WebGPUPreprocessor - compute shader on ONNX Runtime's own GPUDevice; the
+ *                        output storage buffer is handed to the session as is
+ *   WebGLPreprocessor  - WebGL2 fragment shader rendering into a float target
+ *                        that is read back straight into the tensor's buffer
+ *
+ * Only the WebGPU path is zero-copy. The WebGL path is not: it runs on its own
+ * context rather than ONNX Runtime's, so every frame costs one readPixels
+ * (GPU to CPU) and the session uploads the CPU tensor again. What it saves
+ * over the canvas path is the per-pixel letterbox and CHW loop on the CPU.
+ *
+ * Textures and output buffers are reused across frames and only reallocated
+ * when the frame or input size changes. Both work on OffscreenCanvas, so they
+ * also run inside the inference worker.
+ */
+
+import * as ort from 'onnxruntime-web/experimental';
+
+// Letterbox padding, matching the canvas path's #808080 fill
+const PAD_VALUE = 128 / 255;
+
+// Compute shader workgroup edge (8 x 8 invocations)
+const WORKGROUP_SIZE = 8;
+
+// Uniform block of the compute shader: region, content (vec4 each), frame size, input size
+const PARAMS_BYTES = 48;
+
+const WEBGPU_SHADER = `
+struct Params {
+  region: vec4<f32>,     // Crop x, y, width, height in frame pixels
+  content: vec4<f32>,    // Letterboxed image x, y, width, height in input pixels
+  frameSize: vec2<f32>,
+  inputSize: vec2<u32>,
+};
+
+@group(0) @binding(0) var frame: texture_2d<f32>;
+@group(0) @binding(1) var frameSampler: sampler;
+@group(0) @binding(2) var<storage, read_write> output: array<f32>;
+@group(0) @binding(3) var<uniform> params: Params;
+
+@compute @workgroup_size(${WORKGROUP_SIZE}, ${WORKGROUP_SIZE})
+fn main(@builtin(global_invocation_id) id: vec3<u32>) {
+  let size = params.inputSize;
+  if (id.x >= size.x || id.y >= size.y) {
+    return;
+  }
+
+  let local = (vec2<f32>(id.xy) + 0.5 - params.content.xy) / params.content.zw;
+  var color = vec3<f32>(${PAD_VALUE});
+  if (all(local >= vec2<f32>(0.0)) && all(local < vec2<f32>(1.0))) {
+    let uv = (params.region.xy + local * params.region.zw) / params.frameSize;
+    color = textureSampleLevel(frame, frameSampler, uv, 0.0).rgb;
+  }
+
+  let plane = size.x * size.y;
+  let index = id.y * size.x + id.x;
+  output[index] = color.r;
+  output[plane + index] = color.g;
+  output[2u * plane + index] = color.b;
+}
+`;
+
+const WEBGL_VERTEX_SHADER = `#version 300 es
+in vec2 a_position;
+void main() {
+  gl_Position = vec4(a_position, 0.0, 1.0);
+}
+`;
+
+// Output texel (tx, row) holds input pixels 4tx..4tx+3 of channel row / height,
+// so reading the target back row by row gives the CHW array directly
+const WEBGL_FRAGMENT_SHADER = `#version 300 es
+precision highp float;
+
+uniform sampler2D u_frame;
+uniform vec2 u_frameSize;
+uniform vec4 u_region;
+uniform vec4 u_content;
+uniform float u_inputHeight;
+
+out vec4 outColor;
+
+vec3 sampleInput(vec2 point) {
+  vec2 local = (point - u_content.xy) / u_content.zw;
+  if (any(lessThan(local, vec2(0.0))) || any(greaterThanEqual(local, vec2(1.0)))) {
+    return vec3(${PAD_VALUE});
+  }
+  return texture(u_frame, (u_region.xy + local * u_region.zw) / u_frameSize).rgb;
+}
+
+float channelOf(vec3 color, float channel) {
+  return channel < 0.5 ? color.r : (channel < 1.5 ? color.g : color.b);
+}
+
+void main() {
+  float row = floor(gl_FragCoord.y);
+  float channel = floor(row / u_inputHeight);
+  float y = row - channel * u_inputHeight + 0.5;
+  float x = floor(gl_FragCoord.x) * 4.0 + 0.5;
+
+  outColor = vec4(
+    channelOf(sampleInput(vec2(x, y)), channel),
+    channelOf(sampleInput(vec2(x + 1.0, y)), channel),
+    channelOf(sampleInput(vec2(x + 2.0, y)), channel),
+    channelOf(sampleInput(vec2(x + 3.0, y)), channel)
+  );
+}
+`;
+
+/**
+ * Compute-shader preprocessing on ONNX Runtime's WebGPU device
+ */
+class WebGPUPreprocessor {
+  /**
+   * @param {GPUDevice} device - Device of the ONNX Runtime WebGPU backend
+   */
+  constructor(device) {
+    this.device = device;
+    this.pipeline = device.createComputePipeline({
+      layout: 'auto',
+      compute: {
+        module: device.createShaderModule({ code: WEBGPU_SHADER }),
+        entryPoint: 'main'
+      }
+    });
+    this.sampler = device.createSampler({ magFilter: 'linear', minFilter: 'linear' });
+    this.paramsBuffer = device.createBuffer({
+      size: PARAMS_BYTES,
+      usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+    });
+    this.params = new ArrayBuffer(PARAMS_BYTES);
+    this.frameTexture = null;
+    this.output = null;
+    this.outputSize = 0;
+    this.bindGroup = null;
+  }
+
+  /**
+   * Build the input tensor for one frame
+   * @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement|ImageBitmap} source
+   * @param {Object} frame - { width, height } of the source
+   * @param {Object} region - Crop { x, y, width, height } in source pixels
+   * @param {Object} content - Where the crop lands in the input { x, y, width, height }
+   * @param {number} inputWidth - Model input width
+   * @param {number} inputHeight - Model input height
+   * @returns {ort.Tensor} [1, 3, inputHeight, inputWidth] tensor backed by a GPU buffer
+   */
+  run(source, frame, region, content, inputWidth, inputHeight) {
+    const { device } = this;
+
+    if (!this.frameTexture || this.frameTexture.width !== frame.width || this.frameTexture.height !== frame.height) {
+      this.frameTexture?.destroy();
+      this.frameTexture = device.createTexture({
+        size: [frame.width, frame.height],
+        format: 'rgba8unorm',
+        usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.RENDER_ATTACHMENT
+      });
+      this.bindGroup = null;
+    }
+
+    const outputSize = 3 * inputWidth * inputHeight * Float32Array.BYTES_PER_ELEMENT;
+    if (this.outputSize !== outputSize) {
+      this.output?.destroy();
+      this.output = device.createBuffer({
+        size: outputSize,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
+      });
+      this.outputSize = outputSize;
+      this.bindGroup = null;
+    }
+
+    if (!this.bindGroup) {
+      this.bindGroup = device.createBindGroup({
+        layout: this.pipeline.getBindGroupLayout(0),
+        entries: [
+          { binding: 0, resource: this.frameTexture.createView() },
+          { binding: 1, resource: this.sampler },
+          { binding: 2, resource: { buffer: this.output } },
+          { binding: 3, resource: { buffer: this.paramsBuffer } }
+        ]
+      });
+    }
+
+    device.queue.copyExternalImageToTexture({ source }, { texture: this.frameTexture }, [frame.width, frame.height]);
+
+    new Float32Array(this.params, 0, 10).set([
+      region.x, region.y, region.width, region.height,
+      content.x, content.y, content.width, content.height,
+      frame.width, frame.height
+    ]);
+    new Uint32Array(this.params, 40, 2).set([inputWidth, inputHeight]);
+    device.queue.writeBuffer(this.paramsBuffer, 0, this.params);
+
+    const encoder = device.createCommandEncoder();
+    const pass = encoder.beginComputePass();
+    pass.setPipeline(this.pipeline);
+    pass.setBindGroup(0, this.bindGroup);
+    pass.dispatchWorkgroups(Math.ceil(inputWidth / WORKGROUP_SIZE), Math.ceil(inputHeight / WORKGROUP_SIZE));
+    pass.end();
+    device.queue.submit([encoder.finish()]);
+
+    // No dispose callback: the buffer is reused for the next frame
+    return ort.Tensor.fromGpuBuffer(this.output, {
+      dataType: 'float32',
+      dims: [1, 3, inputHeight, inputWidth]
+    });
+  }
+
+  dispose() {
+    this.frameTexture?.destroy();
+    this.output?.destroy();
+    this.paramsBuffer.destroy();
+    this.frameTexture = null;
+    this.output = null;
+    this.bindGroup = null;
+  }
+}
+
+/**
+ * Fragment-shader preprocessing with a WebGL2 float render target
+ * Not zero-copy: the result is read back to the CPU once per frame
+ */
+class WebGLPreprocessor {
+  constructor() {
+    const canvas = typeof OffscreenCanvas !== 'undefined'
+      ? new OffscreenCanvas(1, 1)
+      : document.createElement('canvas');
+    const gl = canvas.getContext('webgl2', { antialias: false, depth: false, stencil: false });
+    if (!gl) {
+      throw new Error('WebGL2 is not available');
+    }
+    if (!gl.getExtension('EXT_color_buffer_float')) {
+      throw new Error('WebGL2 float render targets are not supported');
+    }
+
+    this.gl = gl;
+    this.program = this.createProgram(WEBGL_VERTEX_SHADER, WEBGL_FRAGMENT_SHADER);
+    this.uniforms = Object.fromEntries(
+      ['u_frame', 'u_frameSize', 'u_region', 'u_content', 'u_inputHeight']
+        .map(name => [name, gl.getUniformLocation(this.program, name)])
+    );
+
+    // One triangle covering the whole target
+    this.vertexArray = gl.createVertexArray();
+    gl.bindVertexArray(this.vertexArray);
+    gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 3, -1, -1, 3]), gl.STATIC_DRAW);
+    const position = gl.getAttribLocation(this.program, 'a_position');
+    gl.enableVertexAttribArray(position);
+    gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+
+    this.frameTexture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, this.frameTexture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+    this.targetTexture = null;
+    this.framebuffer = null;
+    this.data = null; // Reused CHW output
+    this.inputWidth = 0;
+    this.inputHeight = 0;
+  }
+
+  createProgram(vertexSource, fragmentSource) {
+    const { gl } = this;
+    const compile = (type, source) => {
+      const shader = gl.createShader(type);
+      gl.shaderSource(shader, source);
+      gl.compileShader(shader);
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        throw new Error(`Preprocessing shader failed to compile: ${gl.getShaderInfoLog(shader)}`);
+      }
+      return shader;
+    };
+
+    const program = gl.createProgram();
+    gl.attachShader(program, compile(gl.VERTEX_SHADER, vertexSource));
+    gl.attachShader(program, compile(gl.FRAGMENT_SHADER, fragmentSource));
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      throw new Error(`Preprocessing shader failed to link: ${gl.getProgramInfoLog(program)}`);
+    }
+    return program;
+  }
+
+  /**
+   * (Re)allocate the float render target: inputWidth / 4 RGBA texels by 3 planes of rows
+   */
+  resizeTarget(inputWidth, inputHeight) {
+    if (inputWidth % 4 !== 0) {
+      throw new Error(`Input width ${inputWidth} is not a multiple of 4`);
+    }
+
+    const { gl } = this;
+    gl.deleteTexture(this.targetTexture);
+    gl.deleteFramebuffer(this.framebuffer);
+
+    this.targetTexture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, this.targetTexture);
+    gl.texStorage2D(gl.TEXTURE_2D, 1, gl.RGBA32F, inputWidth / 4, inputHeight * 3);
+
+    this.framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.targetTexture, 0);
+    if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+      throw new Error('WebGL2 float render target is incomplete');
+    }
+
+    this.data = new Float32Array(3 * inputWidth * inputHeight);
+    this.inputWidth = inputWidth;
+    this.inputHeight = inputHeight;
+  }
+
+  /**
+   * Build the input tensor for one frame (see WebGPUPreprocessor.run)
+   * Blocks on a synchronous readPixels of the rendered tensor
+   * @returns {ort.Tensor} [1, 3, inputHeight, inputWidth] CPU tensor over a reused Float32Array
+   */
+  run(source, frame, region, content, inputWidth, inputHeight) {
+    const { gl } = this;
+
+    if (inputWidth !== this.inputWidth || inputHeight !== this.inputHeight) {
+      this.resizeTarget(inputWidth, inputHeight);
+    }
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.frameTexture);
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+
+    gl.useProgram(this.program);
+    gl.uniform1i(this.uniforms.u_frame, 0);
+    gl.uniform2f(this.uniforms.u_frameSize, frame.width, frame.height);
+    gl.uniform4f(this.uniforms.u_region, region.x, region.y, region.width, region.height);
+    gl.uniform4f(this.uniforms.u_content, content.x, content.y, content.width, content.height);
+    gl.uniform1f(this.uniforms.u_inputHeight, inputHeight);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+    gl.viewport(0, 0, inputWidth / 4, inputHeight * 3);
+    gl.bindVertexArray(this.vertexArray);
+    gl.drawArrays(gl.TRIANGLES, 0, 3);
+
+    gl.readPixels(0, 0, inputWidth / 4, inputHeight * 3, gl.RGBA, gl.FLOAT, this.data);
+
+    return new ort.Tensor('float32', this.data, [1, 3, inputHeight, inputWidth]);
+  }
+
+  dispose() {
+    this.gl.getExtension('WEBGL_lose_context')?.loseContext();
+    this.data = null;
+  }
+}
+
+/**
+ * Create the preprocessor suited to an execution provider
+ * WebGPU sessions get the compute path (no readback); everything else, or a
+ * WebGPU path that fails to set up, gets the WebGL2 path
+ * @param {string} backend - ONNX Runtime execution provider in use
+ * @returns {WebGPUPreprocessor|WebGLPreprocessor}
+ * @throws When neither path is available (callers fall back to the canvas)
+ */
+export function createGpuPreprocessor(backend) {
+  if (backend === 'webgpu' && ort.env.webgpu?.device) {
+    try {
+      return new WebGPUPreprocessor(ort.env.webgpu.device);
+    } catch (error) {
+      console.warn('WebGPU preprocessing unavailable, trying WebGL2:', error.message);
+    }
+  }
+  return new WebGLPreprocessor();
+}
+
+export { WebGPUPreprocessor, WebGLPreprocessor };
+export default createGpuPreprocessor;
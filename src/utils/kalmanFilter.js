@@ -0,0 +1,141 @@
+/**
+ * Constant-Velocity Kalman Filter
+ * Filters a 2D point (e.g. a tracked box center) into a smoothed position and
+ * velocity estimate. The x and y axes are independent, so each axis runs its
+ * own 2-state filter [position, velocity] with a 2x2 covariance.
+ */
+
+// Default process noise: expected acceleration standard deviation (px/s²)
+const DEFAULT_ACCELERATION_NOISE = 400;
+
+// Default measurement noise: detector center jitter standard deviation (px)
+const DEFAULT_MEASUREMENT_NOISE = 6;
+
+// Initial velocity uncertainty (px/s) for a newly created filter
+const INITIAL_VELOCITY_UNCERTAINTY = 500;
+
+/**
+ * Create the state of one axis
+ */
+function createAxis(position, measurementVariance) {
+  return {
+    position,
+    velocity: 0,
+    // Covariance [[pp, pv], [pv, vv]]
+    pp: measurementVariance,
+    pv: 0,
+    vv: INITIAL_VELOCITY_UNCERTAINTY * INITIAL_VELOCITY_UNCERTAINTY
+  };
+}
+
+/**
+ * Propagate one axis forward by dt seconds (white-noise acceleration model)
+ */
+function predictAxis(axis, dt, q) {
+  const dt2 = dt * dt;
+  const dt3 = dt2 * dt;
+  const dt4 = dt3 * dt;
+
+  axis.position += axis.velocity * dt;
+
+  const pp = axis.pp + 2 * dt * axis.pv + dt2 * axis.vv + (dt4 / 4) * q;
+  const pv = axis.pv + dt * axis.vv + (dt3 / 2) * q;
+  const vv = axis.vv + dt2 * q;
+
+  axis.pp = pp;
+  axis.pv = pv;
+  axis.vv = vv;
+}
+
+/**
+ * Correct one axis with a position measurement
+ */
+function updateAxis(axis, measurement, r) {
+  const innovation = measurement - axis.position;
+  const s = axis.pp + r;
+  const kp = axis.pp / s;
+  const kv = axis.pv / s;
+
+  axis.position += kp * innovation;
+  axis.velocity += kv * innovation;
+
+  const pp = (1 - kp) * axis.pp;
+  const pv = (1 - kp) * axis.pv;
+  const vv = axis.vv - kv * axis.pv;
+
+  axis.pp = pp;
+  axis.pv = pv;
+  axis.vv = vv;
+}
+
+class KalmanFilter2D {
+  /**
+   * @param {number} x - Initial x position
+   * @param {number} y - Initial y position
+   * @param {Object} options - { accelerationNoise, measurementNoise } as standard deviations
+   */
+  constructor(x, y, { accelerationNoise = DEFAULT_ACCELERATION_NOISE, measurementNoise = DEFAULT_MEASUREMENT_NOISE } = {}) {
+    this.q = accelerationNoise * accelerationNoise;
+    this.r = measurementNoise * measurementNoise;
+    this.x = createAxis(x, this.r);
+    this.y = createAxis(y, this.r);
+  }
+
+  /**
+   * Advance the state estimate by dt seconds
+   * @param {number} dt - Time step in seconds
+   */
+  predict(dt) {
+    if (dt <= 0) return;
+    predictAxis(this.x, dt, this.q);
+    predictAxis(this.y, dt, this.q);
+  }
+
+  /**
+   * Correct the estimate with a measured position
+   * @param {number} x - Measured x
+   * @param {number} y - Measured y
+   */
+  update(x, y) {
+    updateAxis(this.x, x, this.r);
+    updateAxis(this.y, y, this.r);
+  }
+
+  /**
+   * Current filtered position
+   * @returns {Object} { x, y }
+   */
+  getPosition() {
+    return { x: this.x.position, y: this.y.position };
+  }
+
+  /**
+   * Current filtered velocity in units per second
+   * @returns {Object} { x, y }
+   */
+  getVelocity() {
+    return { x: this.x.velocity, y: this.y.velocity };
+  }
+
+  /**
+   * Extrapolate future positions without changing the filter state
+   * @param {number} horizon - How far ahead to predict, in seconds
+   * @param {number} steps - Number of points along the path
+   * @returns {Object[]} Points [{ x, y, dt }, ...]
+   */
+  predictPath(horizon, steps) {
+    const points = [];
+    for (let i = 1; i <= steps; i++) {
+      const dt = (horizon * i) / steps;
+      points.push({
+        x: this.x.position + this.x.velocity * dt,
+        y: this.y.position + this.y.velocity * dt,
+        dt
+      });
+    }
+    return points;
+  }
+}
+
+export { KalmanFilter2D };
+export default KalmanFilter2D;
@@ -0,0 +1,222 @@
+/**
+ * Motion Detector using OpenCV.js background subtraction
+ * Finds small moving blobs in the sky region that the neural detectors miss
+ * (distant drones only a few pixels across) and reports them as
+ * 'unknown aerial' predictions in the same format as the other detectors.
+ *
+ * Uses MOG2 when the OpenCV build provides it, otherwise frame differencing.
+ */
+
+import { initOpenCV, getOpenCV } from './contourDetector';
+import { classifyDetections } from './objectClassifier';
+
+// Class name reported for motion blobs (mapped in classMappings.js)
+export const MOTION_CLASS = 'unknown aerial';
+
+// Frames are downscaled to this width before processing
+const PROCESS_WIDTH = 320;
+
+// Frames used to learn the background before blobs are reported
+const WARMUP_FRAMES = 30;
+
+// MOG2 background history length in frames
+const MOG2_HISTORY = 300;
+
+// Blob size limits: minimum in processed pixels, maximum as a fraction of the processed area
+const MIN_BLOB_AREA = 4;
+const MAX_BLOB_FRACTION = 0.02;
+
+// Above this foreground fraction the camera moved or the light changed; report nothing
+const MAX_FOREGROUND_FRACTION = 0.15;
+
+// Confidence assigned to motion blobs (they carry no class evidence)
+const MOTION_SCORE = 0.5;
+
+class MotionDetector {
+  constructor() {
+    this.capabilities = {
+      id: 'motion',
+      label: 'Motion Cue'
+    };
+    this.subtractor = null;
+    this.previousFrame = null;
+    this.kernel = null;
+    this.processCanvas = null;
+    this.processSize = null;
+    this.frameCount = 0;
+    this.skyFraction = 0.6;
+    this.sensitivity = 25;
+  }
+
+  /**
+   * Wait for OpenCV to be available
+   */
+  async load() {
+    await initOpenCV();
+    return this;
+  }
+
+  /**
+   * Apply runtime settings
+   * @param {Object} options - { skyFraction, sensitivity }
+   */
+  configure({ skyFraction, sensitivity } = {}) {
+    if (skyFraction !== undefined && skyFraction !== this.skyFraction) {
+      this.skyFraction = skyFraction;
+      this.resetBackground();
+    }
+    if (sensitivity !== undefined && sensitivity !== this.sensitivity) {
+      this.sensitivity = sensitivity;
+      this.resetBackground();
+    }
+  }
+
+  /**
+   * Get a reusable 2D context for downscaling frames
+   */
+  getProcessContext(width, height) {
+    if (!this.processCanvas) {
+      this.processCanvas = typeof OffscreenCanvas !== 'undefined'
+        ? new OffscreenCanvas(width, height)
+        : document.createElement('canvas');
+    }
+    if (this.processCanvas.width !== width || this.processCanvas.height !== height) {
+      this.processCanvas.width = width;
+      this.processCanvas.height = height;
+    }
+    return this.processCanvas.getContext('2d', { willReadFrequently: true });
+  }
+
+  /**
+   * Find moving blobs in the sky region of a frame
+   * @param {HTMLVideoElement|HTMLCanvasElement} source - Video frame source
+   * @returns {Object[]} Predictions [{ class, score, bbox: [x, y, w, h], source: 'motion' }] in source pixels
+   */
+  detect(source) {
+    const cv = getOpenCV();
+    const srcWidth = source.videoWidth || source.width;
+    const srcHeight = source.videoHeight || source.height;
+    if (!cv || !srcWidth || !srcHeight) return [];
+
+    const scale = Math.min(1, PROCESS_WIDTH / srcWidth);
+    const width = Math.round(srcWidth * scale);
+    const height = Math.max(1, Math.round(srcHeight * scale * this.skyFraction));
+
+    // Background model is only valid for one frame size
+    if (this.processSize?.width !== width || this.processSize?.height !== height) {
+      this.resetBackground();
+      this.processSize = { width, height };
+    }
+
+    // Only the top of the frame (the sky) is searched
+    const ctx = this.getProcessContext(width, height);
+    ctx.drawImage(source, 0, 0, srcWidth, height / scale, 0, 0, width, height);
+    const imageData = ctx.getImageData(0, 0, width, height);
+
+    const frame = cv.matFromImageData(imageData);
+    const gray = new cv.Mat();
+    const mask = new cv.Mat();
+    const contours = new cv.MatVector();
+    const hierarchy = new cv.Mat();
+
+    try {
+      cv.cvtColor(frame, gray, cv.COLOR_RGBA2GRAY);
+      cv.GaussianBlur(gray, gray, new cv.Size(3, 3), 0);
+
+      if (!this.subtractForeground(cv, gray, mask)) return [];
+      if (++this.frameCount < WARMUP_FRAMES) return [];
+
+      // Remove single-pixel noise, then join fragments of the same object
+      this.kernel ??= cv.getStructuringElement(cv.MORPH_ELLIPSE, new cv.Size(3, 3));
+      cv.morphologyEx(mask, mask, cv.MORPH_OPEN, this.kernel);
+      cv.dilate(mask, mask, this.kernel);
+
+      if (cv.countNonZero(mask) / (width * height) > MAX_FOREGROUND_FRACTION) {
+        return [];
+      }
+
+      cv.findContours(mask, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
+
+      const maxArea = width * height * MAX_BLOB_FRACTION;
+      const predictions = [];
+      for (let i = 0; i < contours.size(); i++) {
+        const contour = contours.get(i);
+        const rect = cv.boundingRect(contour);
+        contour.delete();
+
+        const area = rect.width * rect.height;
+        if (area < MIN_BLOB_AREA || area > maxArea) continue;
+
+        predictions.push({
+          class: MOTION_CLASS,
+          score: MOTION_SCORE,
+          bbox: [rect.x / scale, rect.y / scale, rect.width / scale, rect.height / scale],
+          source: 'motion'
+        });
+      }
+
+      return predictions;
+    } finally {
+      frame.delete();
+      gray.delete();
+      mask.delete();
+      contours.delete();
+      hierarchy.delete();
+    }
+  }
+
+  /**
+   * Compute the foreground mask for a grayscale frame
+   * @returns {boolean} false while there is no background to compare against yet
+   */
+  subtractForeground(cv, gray, mask) {
+    if (typeof cv.BackgroundSubtractorMOG2 === 'function') {
+      this.subtractor ??= new cv.BackgroundSubtractorMOG2(MOG2_HISTORY, this.sensitivity, false);
+      this.subtractor.apply(gray, mask);
+      return true;
+    }
+
+    // Frame differencing fallback
+    if (!this.previousFrame) {
+      this.previousFrame = gray.clone();
+      return false;
+    }
+    cv.absdiff(gray, this.previousFrame, mask);
+    cv.threshold(mask, mask, this.sensitivity, 255, cv.THRESH_BINARY);
+    this.previousFrame.delete();
+    this.previousFrame = gray.clone();
+    return true;
+  }
+
+  /**
+   * Forget the learned background (after size or setting changes)
+   */
+  resetBackground() {
+    this.subtractor?.delete();
+    this.subtractor = null;
+    this.previousFrame?.delete();
+    this.previousFrame = null;
+    this.frameCount = 0;
+  }
+
+  /**
+   * Classify motion blobs through the shared classification path
+   */
+  classify(predictions, frameWidth, frameHeight) {
+    return classifyDetections(predictions, frameWidth, frameHeight);
+  }
+
+  /**
+   * Release OpenCV objects
+   */
+  dispose() {
+    this.resetBackground();
+    this.kernel?.delete();
+    this.kernel = null;
+    this.processCanvas = null;
+    this.processSize = null;
+  }
+}
+
+export { MotionDetector };
+export default MotionDetector;
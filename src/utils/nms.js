@@ -0,0 +1,135 @@
+/**
+ * Non-Maximum Suppression
+ * Shared box suppression for every detector, with selectable strategy:
+ *   class-aware - hard NMS among boxes of the same class (YOLOv8 default)
+ *   agnostic    - hard NMS across classes; one box per object even when the
+ *                 model is unsure between e.g. bird and kite
+ *   soft        - Gaussian soft-NMS among boxes of the same class: overlapping
+ *                 boxes are down-weighted instead of removed, so two drones
+ *                 flying close together both survive; near-duplicates of one
+ *                 object are still removed outright
+ * Boxes are [x, y, width, height] arrays (detector prediction format).
+ */
+
+export const NMS_MODES = ['class-aware', 'agnostic', 'soft'];
+
+// Soft-NMS Gaussian width: score *= exp(-IoU^2 / sigma)
+const SOFT_NMS_SIGMA = 0.5;
+
+// Soft-NMS removes same-class boxes overlapping a kept one by more than this:
+// two separate objects rarely overlap so much, and the decay alone leaves a
+// duplicate above a low class threshold (IoU 0.7 only scales a score by ~0.37)
+const SOFT_NMS_DUPLICATE_IOU = 0.7;
+
+/**
+ * Calculate Intersection over Union
+ * @param {number[]} box1 - [x, y, width, height]
+ * @param {number[]} box2 - [x, y, width, height]
+ * @returns {number}
+ */
+export function calculateIoU(box1, box2) {
+  const [x1, y1, w1, h1] = box1;
+  const [x2, y2, w2, h2] = box2;
+
+  const intersectX = Math.max(0, Math.min(x1 + w1, x2 + w2) - Math.max(x1, x2));
+  const intersectY = Math.max(0, Math.min(y1 + h1, y2 + h2) - Math.max(y1, y2));
+  const intersection = intersectX * intersectY;
+  const union = w1 * h1 + w2 * h2 - intersection;
+
+  return union > 0 ? intersection / union : 0;
+}
+
+/**
+ * Calculate intersection over the smaller box's area
+ * @param {number[]} box1 - [x, y, width, height]
+ * @param {number[]} box2 - [x, y, width, height]
+ * @returns {number}
+ */
+export function calculateIoS(box1, box2) {
+  const [x1, y1, w1, h1] = box1;
+  const [x2, y2, w2, h2] = box2;
+
+  const intersectX = Math.max(0, Math.min(x1 + w1, x2 + w2) - Math.max(x1, x2));
+  const intersectY = Math.max(0, Math.min(y1 + h1, y2 + h2) - Math.max(y1, y2));
+  const smaller = Math.min(w1 * h1, w2 * h2);
+
+  return smaller > 0 ? (intersectX * intersectY) / smaller : 0;
+}
+
+/**
+ * Suppress overlapping predictions
+ * @param {Object[]} predictions - [{ bbox, class, score }] (sorted in place)
+ * @param {Object} options
+ * @param {string} options.mode - One of NMS_MODES
+ * @param {number} options.iouThreshold - Overlap above which hard NMS removes a box
+ * @param {Function} options.minScore - (prediction) => score below which soft-NMS drops a box
+ * @returns {Object[]} Kept predictions, highest score first (soft-NMS lowers scores in place)
+ */
+export function nonMaxSuppression(predictions, { mode = 'class-aware', iouThreshold = 0.45, minScore = () => 0 } = {}) {
+  if (mode === 'soft') {
+    return softNonMaxSuppression(predictions, minScore);
+  }
+
+  const agnostic = mode === 'agnostic';
+  predictions.sort((a, b) => b.score - a.score);
+
+  const selected = [];
+  const active = new Array(predictions.length).fill(true);
+
+  for (let i = 0; i < predictions.length; i++) {
+    if (!active[i]) continue;
+
+    selected.push(predictions[i]);
+
+    for (let j = i + 1; j < predictions.length; j++) {
+      if (!active[j]) continue;
+      if (!agnostic && predictions[i].class !== predictions[j].class) continue;
+
+      if (calculateIoU(predictions[i].bbox, predictions[j].bbox) > iouThreshold) {
+        active[j] = false;
+      }
+    }
+  }
+
+  return selected;
+}
+
+/**
+ * Gaussian soft-NMS within each class
+ * Near-duplicates (IoU above SOFT_NMS_DUPLICATE_IOU) are removed as in hard NMS
+ */
+function softNonMaxSuppression(predictions, minScore) {
+  const remaining = predictions.slice();
+  const selected = [];
+
+  while (remaining.length > 0) {
+    // Take the highest remaining score
+    let best = 0;
+    for (let i = 1; i < remaining.length; i++) {
+      if (remaining[i].score > remaining[best].score) best = i;
+    }
+    const [kept] = remaining.splice(best, 1);
+    selected.push(kept);
+
+    // Decay overlapping boxes of the same class, dropping duplicates and those that fall too low
+    for (let i = remaining.length - 1; i >= 0; i--) {
+      const other = remaining[i];
+      if (other.class !== kept.class) continue;
+
+      const iou = calculateIoU(kept.bbox, other.bbox);
+      other.score *= Math.exp(-(iou * iou) / SOFT_NMS_SIGMA);
+      if (iou > SOFT_NMS_DUPLICATE_IOU || other.score < minScore(other)) {
+        remaining.splice(i, 1);
+      }
+    }
+  }
+
+  return selected;
+}
+
+export default {
+  NMS_MODES,
+  calculateIoU,
+  calculateIoS,
+  nonMaxSuppression
+};
@@ -1,42 +1,17 @@
 /**
  * Object Classifier for drone/aircraft detection
- * Maps COCO-SSD classes to threat categories
+ * Maps COCO-SSD classes to threat categories (via the shared class mapping table)
  * Enhanced with altitude estimation and size-based classification
  */
 
-// COCO-SSD classes that may indicate aerial threats or vehicles
-const THREAT_MAPPINGS = {
-  // Aerial threats (simulated - COCO doesn't have drone class, we use birds/kites as proxy)
-  'bird': { type: 'drone', threat: 'medium', label: 'Possible sUAS' },
-  'kite': { type: 'drone', threat: 'high', label: 'Aerial Object' },
-  'airplane': { type: 'fixed-wing', threat: 'high', label: 'Fixed-Wing Aircraft' },
-  'aeroplane': { type: 'fixed-wing', threat: 'high', label: 'Fixed-Wing Aircraft' },
-  
-  // Vehicles
-  'car': { type: 'vehicle', threat: 'low', label: 'Ground Vehicle' },
-  'truck': { type: 'vehicle', threat: 'low', label: 'Truck' },
-  'bus': { type: 'vehicle', threat: 'low', label: 'Bus' },
-  'motorcycle': { type: 'vehicle', threat: 'low', label: 'Motorcycle' },
-  
-  // People (for context)
-  'person': { type: 'person', threat: 'info', label: 'Person Detected' },
-  
-  // Other objects that could be threats
-  'sports ball': { type: 'object', threat: 'low', label: 'Airborne Object' },
-  'frisbee': { type: 'object', threat: 'low', label: 'Airborne Object' },
-  
-  // Additional aerial objects
-  'umbrella': { type: 'object', threat: 'low', label: 'Aerial Object' },
-};
+import threatRuleEngine from './threatRules';
+import classMappings, { AERIAL_THREAT_TYPES, AERIAL_TYPES } from './classMappings';
 
-// Minimum confidence threshold for detection
-const MIN_CONFIDENCE = 0.5;
-
-// Aerial threat types for consistent filtering across the app
-export const AERIAL_THREAT_TYPES = ['drone', 'quadcopter', 'fixed-wing', 'helicopter'];
+// Aerial type lists for consistent filtering across the app (defined with the class mappings)
+export { AERIAL_THREAT_TYPES, AERIAL_TYPES };
 
 // All trackable types that should have Minovsky particle trails
-export const TRACKABLE_TYPES = ['drone', 'quadcopter', 'fixed-wing', 'helicopter', 'person', 'hand', 'vehicle', 'object'];
+export const TRACKABLE_TYPES = [...AERIAL_TYPES, 'person', 'hand', 'vehicle', 'object'];
 
 // Hand position estimation constants (proportional positions within person bounding box)
 const HAND_POSITION_LEFT_X = 0.15;
@@ -88,6 +63,8 @@ export function estimateAltitude(boundingBox, canvasWidth, canvasHeight) {
 
 /**
  * Estimate hand positions within a person's bounding box
+ * Fixed proportions of the box - only used when pose estimation is off
+ * (poseAnalysis.getHandPositions uses real wrist keypoints)
  * @param {Object} boundingBox - Bounding box with x, y, width, height
  * @param {number} canvasWidth - Canvas width for normalization
  * @param {number} canvasHeight - Canvas height for normalization
@@ -132,13 +109,24 @@ export function estimateFramePosition(boundingBox, canvasWidth, canvasHeight) {
   return { horizontal, vertical, quadrant, normalizedX: centerX, normalizedY: centerY };
 }
 
+/**
+ * Check if a detection's track has been confirmed (see objectTracker.js)
+ * Detections without a track, such as peers' broadcasts, count as confirmed
+ * @param {Object} detection - Detection object
+ * @returns {boolean}
+ */
+export function isConfirmed(detection) {
+  return detection?.track?.state !== 'tentative';
+}
+
 /**
  * Check if a detection is an aerial threat
+ * Aerial detections on tentative tracks aren't threats until confirmed
  * @param {Object} detection - Detection object with classification
  * @returns {boolean}
  */
 export function isAerialThreat(detection) {
-  return AERIAL_THREAT_TYPES.includes(detection?.classification?.type);
+  return AERIAL_THREAT_TYPES.includes(detection?.classification?.type) && isConfirmed(detection);
 }
 
 /**
@@ -152,7 +140,7 @@ export function formatConfidence(confidence) {
 
 /**
  * Format velocity for display
- * @param {Object} velocity - Velocity object with magnitude
+ * @param {Object} velocity - Velocity object with magnitude (frame fractions per second, from the tracker)
  * @returns {string} Formatted velocity string
  */
 export function formatVelocity(velocity) {
@@ -166,8 +154,22 @@ export function formatVelocity(velocity) {
   return 'VERY FAST';
 }
 
+/**
+ * Format a screen-space heading as a compass-style direction
+ * @param {number|null} heading - Degrees clockwise from up (0 = up, 90 = right)
+ * @returns {string} Formatted heading, e.g. "↗ 045°", or '' when unknown
+ */
+export function formatHeading(heading) {
+  if (heading === null || heading === undefined) return '';
+  
+  const arrows = ['↑', '↗', '→', '↘', '↓', '↙', '←', '↖'];
+  const arrow = arrows[Math.round(heading / 45) % 8];
+  return `${arrow} ${String(Math.round(heading) % 360).padStart(3, '0')}°`;
+}
+
 /**
  * Classify detected objects and determine threat level
+ * Confidence filtering happens in the detector (see detectionFilter.js)
  * @param {Object[]} predictions - COCO-SSD predictions
  * @param {number} canvasWidth - Optional canvas width for altitude estimation
  * @param {number} canvasHeight - Optional canvas height for altitude estimation
@@ -175,14 +177,8 @@ export function formatVelocity(velocity) {
  */
 export function classifyDetections(predictions, canvasWidth = 1920, canvasHeight = 1080) {
   return predictions
-    .filter(pred => pred.score >= MIN_CONFIDENCE)
     .map(pred => {
-      const className = pred.class.toLowerCase();
-      const mapping = THREAT_MAPPINGS[className] || {
-        type: 'unknown',
-        threat: 'info',
-        label: pred.class
-      };
+      const mapping = classMappings.resolve(pred.class);
       
       const boundingBox = {
         x: pred.bbox[0],
@@ -211,55 +207,24 @@ export function classifyDetections(predictions, canvasWidth = 1920, canvasHeight
     });
 }
 
+/**
+ * Assess the overall threat from detections using the active threat policy
+ * (see threatRules.js; the policy is selected in settings)
+ * @param {Object[]} classifiedDetections 
+ * @param {Object} acoustic - Latest acoustic reading (see acousticDetector.js), or null
+ * @returns {Object} { level, rule } - rule is the policy rule that set the level, or null
+ */
+export function getThreatAssessment(classifiedDetections, acoustic = null) {
+  return threatRuleEngine.evaluate(classifiedDetections, acoustic);
+}
+
 /**
  * Get overall threat level from detections
  * @param {Object[]} classifiedDetections 
- * @returns {string} 'none', 'low', 'medium', 'high', 'critical'
+ * @returns {string} 'none', 'info', 'low', 'medium', 'high', 'critical'
  */
 export function getOverallThreatLevel(classifiedDetections) {
-  if (!classifiedDetections || classifiedDetections.length === 0) {
-    return 'none';
-  }
-  
-  const threatLevels = { info: 0, low: 1, medium: 2, high: 3, critical: 4 };
-  
-  let maxThreat = 'none';
-  let threatScore = 0;
-  let droneCount = 0;
-  let closeThreats = 0;
-  
-  for (const detection of classifiedDetections) {
-    const level = detection.classification.threat;
-    const type = detection.classification.type;
-    
-    if (type === 'drone' || type === 'fixed-wing' || type === 'quadcopter' || type === 'helicopter') {
-      droneCount++;
-      
-      // Close aerial threats are more dangerous
-      if (detection.altitude && ['very-close', 'close'].includes(detection.altitude.level)) {
-        closeThreats++;
-      }
-    }
-    
-    if (threatLevels[level] > threatScore) {
-      threatScore = threatLevels[level];
-      maxThreat = level;
-    }
-  }
-  
-  // Close threats escalate threat level
-  if (closeThreats > 0 && threatScore < threatLevels.high) {
-    return 'high';
-  }
-  
-  // Multiple drone-like objects = higher threat
-  if (droneCount >= 3) {
-    return 'critical';
-  } else if (droneCount >= 2) {
-    return Math.max(threatLevels[maxThreat], threatLevels.high) === threatLevels.high ? 'high' : maxThreat;
-  }
-  
-  return maxThreat;
+  return getThreatAssessment(classifiedDetections).level;
 }
 
 /**
@@ -365,20 +330,22 @@ export function drawCornerBrackets(ctx, boundingBox, color, lineWidth = 4) {
 
 export default {
   classifyDetections,
+  getThreatAssessment,
   getOverallThreatLevel,
   getThreatColor,
   getTypeColor,
   getAltitudeColor,
   isAerialThreat,
+  isConfirmed,
   formatConfidence,
   formatVelocity,
+  formatHeading,
   estimateHandPositions,
   estimateAltitude,
   estimateFramePosition,
   drawCornerBrackets,
-  THREAT_MAPPINGS,
   AERIAL_THREAT_TYPES,
+  AERIAL_TYPES,
   TRACKABLE_TYPES,
-  MIN_CONFIDENCE,
   CORNER_BRACKET_RATIO
 };
@@ -0,0 +1,370 @@
+/**
+ * Multi-Object Tracker
+ * Associates classified detections across frames so each physical object keeps
+ * a stable track ID. Association uses IoU against each track's predicted box,
+ * falling back to center distance for small fast objects whose boxes no longer
+ * overlap between frames.
+ *
+ * Each track's center runs through a constant-velocity Kalman filter, which
+ * provides the predicted box for association plus the filtered velocity,
+ * heading and predicted path attached to every tracked detection.
+ *
+ * Track lifecycle:
+ *   tentative -> confirmed  once matched in N of the last M frames (N-of-M, per type)
+ *   confirmed -> lost       when a frame has no match (track keeps coasting)
+ *   lost      -> confirmed  when matched again
+ *   deleted                 tentative tracks once N of M is out of reach, others after MAX_AGE_MS unseen
+ * Tentative tracks are not threats yet: a single-frame false positive never
+ * reaches threat scoring, while objects a detector only sees every other frame
+ * can still be confirmed.
+ */
+
+import { KalmanFilter2D } from './kalmanFilter';
+
+// Type of motion-only detections; these can hand over to a classified track and back
+const UNCLASSIFIED_TYPE = 'unknown-aerial';
+
+// Minimum IoU with the predicted box for a match
+const IOU_THRESHOLD = 0.2;
+
+// Center-distance gate, as a multiple of the track's larger box dimension
+const DISTANCE_GATE = 2.0;
+
+// Default confirmation: matched in CONFIRMATION_HITS of the last CONFIRMATION_FRAMES frames
+const CONFIRMATION_HITS = 3;
+const CONFIRMATION_FRAMES = 5;
+
+// Time a track may go unseen before it is deleted
+const MAX_AGE_MS = 1500;
+
+// History entries kept per track, at most one per HISTORY_INTERVAL_MS
+// (60 x 100ms = 6s of history regardless of frame rate)
+const HISTORY_LENGTH = 60;
+const HISTORY_INTERVAL_MS = 100;
+
+// Box size smoothing factor (weight of the newest measurement)
+const SIZE_SMOOTHING = 0.5;
+
+// Predicted path horizon and number of points along it
+const PREDICTION_HORIZON_S = 1.0;
+const PREDICTION_STEPS = 5;
+
+// Below this speed (frame fractions per second) heading is not reported
+const MIN_HEADING_SPEED = 0.01;
+
+class ObjectTracker {
+  constructor() {
+    this.tracks = new Map();
+    this.nextTrackId = 1;
+    this.confirmation = { hits: CONFIRMATION_HITS, frames: CONFIRMATION_FRAMES, byType: {} };
+  }
+
+  /**
+   * Apply confirmation settings
+   * @param {Object} confirmation - { hits, frames, byType: { [type]: { hits, frames } } }
+   */
+  configure(confirmation = {}) {
+    this.confirmation = { ...this.confirmation, ...confirmation };
+  }
+
+  /**
+   * N-of-M confirmation rule for a classification type
+   * @returns {Object} { hits, frames }
+   */
+  confirmationFor(type) {
+    const { hits, frames, byType } = this.confirmation;
+    const rule = { hits, frames, ...byType?.[type] };
+    return { hits: rule.hits, frames: Math.max(rule.frames, rule.hits) };
+  }
+
+  /**
+   * Update tracks with a new frame of classified detections
+   * @param {Object[]} detections - Classified detections (with boundingBox and classification)
+   * @param {number} timestamp - Frame time in ms
+   * @param {number} frameWidth - Frame width in pixels
+   * @param {number} frameHeight - Frame height in pixels
+   * @returns {Object[]} The same detections annotated with trackId, track,
+   *   velocity, heading and predictedPath
+   */
+  update(detections, timestamp = Date.now(), frameWidth = 1920, frameHeight = 1080) {
+    const tracks = Array.from(this.tracks.values());
+
+    // Advance every filter to this frame before matching against the predictions
+    for (const track of tracks) {
+      track.filter.predict((timestamp - track.filterTime) / 1000);
+      track.filterTime = timestamp;
+    }
+
+    const matches = this.associate(tracks, detections);
+
+    const matchedTracks = new Set();
+    const tracked = detections.map((detection, index) => {
+      let track = matches.get(index);
+
+      if (track) {
+        this.updateTrack(track, detection, timestamp);
+      } else {
+        track = this.createTrack(detection, timestamp);
+      }
+      matchedTracks.add(track.id);
+
+      const motion = this.estimateMotion(track, frameWidth, frameHeight);
+      return {
+        ...detection,
+        ...motion,
+        trackId: track.id,
+        track: this.summarize(track, timestamp)
+      };
+    });
+
+    // Age out tracks that were not matched this frame
+    for (const track of tracks) {
+      if (matchedTracks.has(track.id)) continue;
+
+      if (track.state === 'tentative') {
+        // Delete once the remaining frames can no longer make up the hits needed
+        const { hits, frames } = this.recordFrame(track, false);
+        const seen = track.recentFrames.filter(Boolean).length;
+        if (seen + frames - track.recentFrames.length < hits || timestamp - track.lastSeen > MAX_AGE_MS) {
+          this.tracks.delete(track.id);
+        }
+      } else if (timestamp - track.lastSeen > MAX_AGE_MS) {
+        this.tracks.delete(track.id);
+      } else {
+        track.state = 'lost';
+      }
+    }
+
+    return tracked;
+  }
+
+  /**
+   * Greedy association of detections to tracks by match score
+   * @returns {Map<number, Object>} Detection index -> matched track
+   */
+  associate(tracks, detections) {
+    const candidates = [];
+
+    tracks.forEach(track => {
+      const predicted = this.predictBox(track);
+
+      detections.forEach((detection, index) => {
+        if (!typesCompatible(track.type, detection.classification.type)) return;
+
+        const score = this.matchScore(predicted, detection.boundingBox);
+        if (score > 0) {
+          candidates.push({ track, index, score });
+        }
+      });
+    });
+
+    candidates.sort((a, b) => b.score - a.score);
+
+    const matches = new Map();
+    const usedTracks = new Set();
+    for (const { track, index, score } of candidates) {
+      if (score <= 0 || matches.has(index) || usedTracks.has(track.id)) continue;
+      matches.set(index, track);
+      usedTracks.add(track.id);
+    }
+
+    return matches;
+  }
+
+  /**
+   * Score how well a detection box matches a predicted track box (0 = no match)
+   * IoU dominates; center distance within the gate breaks ties and catches
+   * small objects that moved further than their own size
+   */
+  matchScore(predicted, box) {
+    const iou = calculateIoU(predicted, box);
+
+    const dx = (predicted.x + predicted.width / 2) - box.centerX;
+    const dy = (predicted.y + predicted.height / 2) - box.centerY;
+    const distance = Math.hypot(dx, dy);
+    const gate = Math.max(predicted.width, predicted.height) * DISTANCE_GATE;
+    const proximity = Math.max(0, 1 - distance / gate);
+
+    if (iou < IOU_THRESHOLD && proximity === 0) return 0;
+    return iou + proximity * 0.5;
+  }
+
+  /**
+   * Predicted box for a track: the filter's current center with the smoothed size
+   */
+  predictBox(track) {
+    const center = track.filter.getPosition();
+    return {
+      x: center.x - track.size.width / 2,
+      y: center.y - track.size.height / 2,
+      width: track.size.width,
+      height: track.size.height
+    };
+  }
+
+  /**
+   * Filtered motion of a track
+   * velocity.x/y are pixels per second; velocity.magnitude is the speed in
+   * frame fractions per second so it is independent of the video resolution.
+   * Heading is screen-space degrees clockwise from up (0 = up, 90 = right).
+   * @returns {Object} { position, velocity, heading, predictedPath }
+   */
+  estimateMotion(track, frameWidth, frameHeight) {
+    const velocity = track.filter.getVelocity();
+    const magnitude = Math.hypot(velocity.x / frameWidth, velocity.y / frameHeight);
+
+    let heading = null;
+    if (magnitude >= MIN_HEADING_SPEED) {
+      heading = (Math.atan2(velocity.x, -velocity.y) * 180 / Math.PI + 360) % 360;
+    }
+
+    return {
+      position: track.filter.getPosition(),
+      velocity: { x: velocity.x, y: velocity.y, magnitude },
+      heading,
+      predictedPath: track.filter.predictPath(PREDICTION_HORIZON_S, PREDICTION_STEPS)
+    };
+  }
+
+  createTrack(detection, timestamp) {
+    const track = {
+      id: this.nextTrackId++,
+      type: detection.classification.type,
+      state: 'tentative',
+      hits: 1,
+      recentFrames: [true], // Matched or not, per frame while tentative (newest last)
+      firstSeen: timestamp,
+      lastSeen: timestamp,
+      filter: new KalmanFilter2D(detection.boundingBox.centerX, detection.boundingBox.centerY),
+      filterTime: timestamp,
+      size: { width: detection.boundingBox.width, height: detection.boundingBox.height },
+      history: []
+    };
+
+    this.recordHistory(track, detection.boundingBox, timestamp);
+    this.tracks.set(track.id, track);
+    if (this.confirmationFor(track.type).hits <= 1) track.state = 'confirmed';
+    return track;
+  }
+
+  updateTrack(track, detection, timestamp) {
+    const box = detection.boundingBox;
+
+    // A motion-only track takes on the type once a detector classifies it
+    if (track.type === UNCLASSIFIED_TYPE) {
+      track.type = detection.classification.type;
+    }
+
+    track.filter.update(box.centerX, box.centerY);
+    track.size = {
+      width: track.size.width + (box.width - track.size.width) * SIZE_SMOOTHING,
+      height: track.size.height + (box.height - track.size.height) * SIZE_SMOOTHING
+    };
+    track.hits++;
+    track.lastSeen = timestamp;
+
+    // Only confirmed tracks can become lost, so a re-acquired lost track is confirmed again
+    if (track.state === 'lost') {
+      track.state = 'confirmed';
+    } else if (track.state === 'tentative') {
+      const { hits } = this.recordFrame(track, true);
+      if (track.recentFrames.filter(Boolean).length >= hits) {
+        track.state = 'confirmed';
+        track.recentFrames = [];
+      }
+    }
+
+    this.recordHistory(track, box, timestamp);
+  }
+
+  /**
+   * Add a frame to a tentative track's confirmation window
+   * @param {Object} track - Tentative track
+   * @param {boolean} matched - Whether the track was matched this frame
+   * @returns {Object} The track type's { hits, frames } rule
+   */
+  recordFrame(track, matched) {
+    const rule = this.confirmationFor(track.type);
+    track.recentFrames.push(matched);
+    if (track.recentFrames.length > rule.frames) {
+      track.recentFrames.shift();
+    }
+    return rule;
+  }
+
+  recordHistory(track, box, timestamp) {
+    const entry = {
+      x: box.centerX,
+      y: box.centerY,
+      width: box.width,
+      height: box.height,
+      timestamp
+    };
+
+    // Keep the newest entry current, but only start a new one every HISTORY_INTERVAL_MS
+    const { history } = track;
+    if (history.length >= 2 && timestamp - history[history.length - 2].timestamp < HISTORY_INTERVAL_MS) {
+      history[history.length - 1] = entry;
+    } else {
+      history.push(entry);
+    }
+
+    if (track.history.length > HISTORY_LENGTH) {
+      track.history.shift();
+    }
+  }
+
+  /**
+   * Snapshot of a track attached to its detection
+   * size is the smoothed box size in pixels
+   */
+  summarize(track, timestamp) {
+    return {
+      id: track.id,
+      state: track.state,
+      hits: track.hits,
+      age: timestamp - track.firstSeen,
+      size: { ...track.size },
+      history: track.history.slice()
+    };
+  }
+
+  /**
+   * Get all live tracks
+   * @returns {Object[]}
+   */
+  getTracks() {
+    return Array.from(this.tracks.values());
+  }
+
+  /**
+   * Drop all tracks
+   */
+  reset() {
+    this.tracks.clear();
+  }
+}
+
+/**
+ * Whether a detection of one type may continue a track of another
+ * Motion-only detections match any track type, so a blob first found by
+ * motion keeps its ID when the network recognises it (and vice versa)
+ */
+function typesCompatible(trackType, detectionType) {
+  return trackType === detectionType || trackType === UNCLASSIFIED_TYPE || detectionType === UNCLASSIFIED_TYPE;
+}
+
+/**
+ * Calculate Intersection over Union for { x, y, width, height } boxes
+ */
+function calculateIoU(a, b) {
+  const intersectX = Math.max(0, Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x));
+  const intersectY = Math.max(0, Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y));
+  const intersection = intersectX * intersectY;
+  const union = a.width * a.height + b.width * b.height - intersection;
+
+  return union > 0 ? intersection / union : 0;
+}
+
+export { ObjectTracker };
+export default ObjectTracker;
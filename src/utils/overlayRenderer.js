@@ -0,0 +1,131 @@
+/**
+ * Overlay Renderer
+ * Draws classified, tracked detections onto the camera overlay canvas and
+ * feeds the Minovsky fluid trails. Shared by CameraView and FullScreenCamera.
+ */
+
+import { isAerialThreat, isConfirmed, formatConfidence, formatVelocity, estimateHandPositions, TRACKABLE_TYPES } from './objectClassifier';
+import { getHandPositions } from './poseAnalysis';
+import { drawContour, drawFallbackOutline, drawMinimalLabel, drawTrackHistory, drawPredictedPath, drawHorizon, drawZones } from './contourDetector';
+
+// Colors for threat-based highlighting
+const THREAT_COLOR = 'rgba(255, 50, 50, 1)'; // Red for threats
+const SAFE_COLOR = 'rgba(50, 255, 100, 1)'; // Green for non-threats
+const TENTATIVE_COLOR = 'rgba(255, 190, 50, 1)'; // Amber for tracks awaiting confirmation
+
+// Opacity of tentative tracks' outline and label
+const TENTATIVE_ALPHA = 0.55;
+
+// Only draw the predicted path for objects moving at least this fast (frame fractions/s)
+const MIN_PREDICTION_SPEED = 0.02;
+
+/**
+ * Build the pill label for a detection
+ * @param {Object} detection - Classified detection
+ * @param {boolean} isThreat - Whether to append the range (or size-based altitude), speed, behaviour
+ *   and heard marker
+ * @returns {string} Non-threats get their posture flag (people with pose estimation) instead;
+ *   tentative tracks are marked '?'
+ */
+export function buildDetectionLabel(detection, isThreat) {
+  const { classification, confidence, trackId } = detection;
+  const trackLabel = trackId ? ` #${trackId}` : '';
+  const distance = detection.range || detection.altitude;
+  const altitudeLabel = isThreat && distance ? ` ${distance.label}` : '';
+  const velocityLabel = isThreat && detection.velocity ? ` ${formatVelocity(detection.velocity)}` : '';
+  const behaviorLabel = isThreat && detection.behavior?.label ? ` ${detection.behavior.label}` : '';
+  const heardLabel = isThreat && detection.heard ? ' ♪' : '';
+  const poseLabel = !isThreat && detection.pose?.label ? ` ${detection.pose.label}` : '';
+  const tentativeLabel = isConfirmed(detection) ? '' : '?';
+  return `${classification.label}${tentativeLabel}${trackLabel} ${formatConfidence(confidence)}${altitudeLabel}${velocityLabel}${behaviorLabel}${heardLabel}${poseLabel}`;
+}
+
+/**
+ * Render detections: outline (segmentation polygon or contour), track history, predicted path, label and fluid trail
+ * Tentative tracks are drawn faded in amber, with a '?' label and no fluid trail
+ * @param {CanvasRenderingContext2D} ctx - Overlay canvas context
+ * @param {Object[]} detections - Classified, tracked detections; contour is the outline
+ *   traced by the detection scheduler when there is no polygon
+ * @param {FluidSimulation} fluidSim - Fluid trail simulation (optional)
+ * @param {Object} options - { uppercaseLabels, horizon, zones } - horizon is the sky segmentation
+ *   profile, zones the user-drawn ignore/watch zones
+ */
+export function renderDetectionOverlay(ctx, detections, fluidSim, { uppercaseLabels = false, horizon = null, zones = null } = {}) {
+  const { width, height } = ctx.canvas;
+  
+  ctx.clearRect(0, 0, width, height);
+  
+  drawHorizon(ctx, horizon);
+  drawZones(ctx, zones, detections.flatMap(detection => detection.zones || []));
+  
+  // Draw contour outlines instead of bounding boxes
+  for (const detection of detections) {
+    const { boundingBox, classification } = detection;
+    
+    // Determine if this is a threat (aerial threat types on confirmed tracks are threats)
+    const isThreat = isAerialThreat(detection);
+    const tentative = !isConfirmed(detection);
+    
+    // Choose color based on threat status: red for threats, green for non-threats, amber until confirmed
+    const strokeColor = tentative ? TENTATIVE_COLOR : isThreat ? THREAT_COLOR : SAFE_COLOR;
+    
+    ctx.save();
+    if (tentative) ctx.globalAlpha = TENTATIVE_ALPHA;
+    
+    // Segmentation models give the true outline; otherwise the edges traced with OpenCV
+    if (detection.polygon?.length > 2) {
+      drawContour(ctx, detection.polygon, strokeColor, 3, true);
+    } else if (detection.contour?.length > 2) {
+      // Draw the actual shape contour
+      drawContour(ctx, detection.contour, strokeColor, 3, true);
+    } else {
+      // No contour (OpenCV not ready or no clear edges), use stylized fallback
+      drawFallbackOutline(ctx, boundingBox, strokeColor, 3);
+    }
+    
+    // Recent path of the tracked object
+    if (detection.track) {
+      drawTrackHistory(ctx, detection.track.history, strokeColor);
+    }
+    
+    // Where the object is heading, once the track is established and moving
+    if (detection.track?.state === 'confirmed' && detection.velocity?.magnitude >= MIN_PREDICTION_SPEED) {
+      drawPredictedPath(ctx, detection.position, detection.predictedPath, strokeColor);
+    }
+    
+    // Draw minimal label (small, non-intrusive)
+    const label = buildDetectionLabel(detection, isThreat);
+    drawMinimalLabel(ctx, uppercaseLabels ? label.toUpperCase() : label, boundingBox.x, boundingBox.y, strokeColor);
+    ctx.restore();
+    
+    // Add fluid trail for trackable detections (motion tracking), once confirmed
+    if (fluidSim && !tentative && TRACKABLE_TYPES.includes(classification.type)) {
+      const normalizedX = boundingBox.centerX / width;
+      const normalizedY = boundingBox.centerY / height;
+      // Stable per-object ID from the tracker keeps trail velocity meaningful
+      const objectId = detection.trackId
+        ? `track_${detection.trackId}`
+        : `${classification.type}_${Math.round(boundingBox.x)}_${Math.round(boundingBox.y)}`;
+      // Pass threat status to fluid simulation for color
+      fluidSim.addTrailPoint(normalizedX, normalizedY, classification.type, objectId, isThreat);
+      
+      // For person detections, also trail the hands: wrist keypoints with pose
+      // estimation (hidden wrists get no trail), otherwise estimated from the box
+      if (classification.type === 'person') {
+        const { leftHand, rightHand } = detection.keypoints
+          ? getHandPositions(detection.keypoints, width, height)
+          : estimateHandPositions(boundingBox, width, height);
+        if (leftHand) fluidSim.addTrailPoint(leftHand.x, leftHand.y, 'hand', `${objectId}_left_hand`, isThreat);
+        if (rightHand) fluidSim.addTrailPoint(rightHand.x, rightHand.y, 'hand', `${objectId}_right_hand`, isThreat);
+      }
+    }
+  }
+  
+  // Render fluid trails
+  fluidSim?.render();
+}
+
+export default {
+  renderDetectionOverlay,
+  buildDetectionLabel
+};
@@ -0,0 +1,123 @@
+/**
+ * Pose Analysis
+ * Derives posture flags for a person from pose keypoints (see poseEstimator.js):
+ *   pointingUp        - an arm extended and raised towards the sky
+ *   holdingController - both hands together in front of the chest with elbows
+ *                       bent, the usual stance of a drone pilot
+ * Distances are relative to the person's own shoulder width and arm length,
+ * so the flags don't depend on how far away the person is.
+ */
+
+// Keypoints below this visibility score are treated as missing
+const MIN_KEYPOINT_SCORE = 0.5;
+
+// Pointing: shoulder-to-wrist at least this fraction of the full arm length,
+// within this angle of straight up
+const POINTING_EXTENSION = 0.8;
+const POINTING_MAX_ANGLE = 35;
+
+// Controller: wrists closer together than this fraction of the shoulder width,
+// and shoulder-to-wrist shorter than this fraction of the arm length (elbows bent)
+const CONTROLLER_WRIST_GAP = 0.7;
+const CONTROLLER_MAX_EXTENSION = 0.8;
+
+export const POSE_LABELS = {
+  holdingController: 'CONTROLLER',
+  pointingUp: 'POINTING UP'
+};
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+/**
+ * Index visible keypoints by name
+ */
+function visibleKeypoints(keypoints) {
+  const points = {};
+  for (const keypoint of keypoints) {
+    if (keypoint.score >= MIN_KEYPOINT_SCORE) points[keypoint.name] = keypoint;
+  }
+  return points;
+}
+
+/**
+ * Whether one arm is extended upward
+ */
+function isPointingUp(shoulder, elbow, wrist) {
+  if (!shoulder || !elbow || !wrist) return false;
+
+  const armLength = distance(shoulder, elbow) + distance(elbow, wrist);
+  if (armLength === 0 || distance(shoulder, wrist) < armLength * POINTING_EXTENSION) return false;
+
+  // Angle from vertical (image y grows downward)
+  const angle = Math.atan2(Math.abs(wrist.x - shoulder.x), shoulder.y - wrist.y) * 180 / Math.PI;
+  return angle <= POINTING_MAX_ANGLE;
+}
+
+/**
+ * Whether both hands are held together in front of the chest
+ */
+function isHoldingController(points) {
+  const { left_shoulder: leftShoulder, right_shoulder: rightShoulder, left_wrist: leftWrist, right_wrist: rightWrist } = points;
+  if (!leftShoulder || !rightShoulder || !leftWrist || !rightWrist) return false;
+
+  const shoulderWidth = distance(leftShoulder, rightShoulder);
+  if (shoulderWidth === 0 || distance(leftWrist, rightWrist) > shoulderWidth * CONTROLLER_WRIST_GAP) return false;
+
+  // Hands below the shoulders, and above the hips when those are visible
+  const shoulderY = Math.max(leftShoulder.y, rightShoulder.y);
+  const hipY = points.left_hip && points.right_hip ? Math.min(points.left_hip.y, points.right_hip.y) : Infinity;
+  if ([leftWrist, rightWrist].some(wrist => wrist.y <= shoulderY || wrist.y >= hipY)) return false;
+
+  // Elbows bent, when visible
+  const arms = [
+    [leftShoulder, points.left_elbow, leftWrist],
+    [rightShoulder, points.right_elbow, rightWrist]
+  ];
+  return arms.every(([shoulder, elbow, wrist]) =>
+    !elbow || distance(shoulder, wrist) < (distance(shoulder, elbow) + distance(elbow, wrist)) * CONTROLLER_MAX_EXTENSION
+  );
+}
+
+/**
+ * Posture flags for a person
+ * @param {Object[]} keypoints - [{ name, x, y, score }] in frame pixels
+ * @returns {Object} { pointingUp, holdingController, label } - label is the display
+ *   text for the most significant flag, or '' when none is set
+ */
+export function analyzePose(keypoints) {
+  const points = visibleKeypoints(keypoints);
+
+  const pointingUp =
+    isPointingUp(points.left_shoulder, points.left_elbow, points.left_wrist) ||
+    isPointingUp(points.right_shoulder, points.right_elbow, points.right_wrist);
+  const holdingController = isHoldingController(points);
+
+  let label = '';
+  if (holdingController) label = POSE_LABELS.holdingController;
+  else if (pointingUp) label = POSE_LABELS.pointingUp;
+
+  return { pointingUp, holdingController, label };
+}
+
+/**
+ * Wrist positions for hand trails
+ * @param {Object[]} keypoints - [{ name, x, y, score }] in frame pixels
+ * @param {number} canvasWidth - Canvas width for normalization
+ * @param {number} canvasHeight - Canvas height for normalization
+ * @returns {Object} { leftHand, rightHand } as normalized {x, y}, or null where the wrist isn't visible
+ */
+export function getHandPositions(keypoints, canvasWidth, canvasHeight) {
+  const points = visibleKeypoints(keypoints);
+  const normalize = (point) => point ? { x: point.x / canvasWidth, y: point.y / canvasHeight } : null;
+
+  return {
+    leftHand: normalize(points.left_wrist),
+    rightHand: normalize(points.right_wrist)
+  };
+}
+
+export default {
+  analyzePose,
+  getHandPositions,
+  POSE_LABELS
+};
@@ -0,0 +1,53 @@
+/**
+ * Pose Estimator using a YOLOv8-pose ONNX export
+ * Finds people and their 17 COCO keypoints so hand trails follow real wrists
+ * and person detections can be flagged by posture (see poseAnalysis.js).
+ *
+ * Optional: enabled in settings, and only used when
+ * public/models/yolov8n-pose.onnx exists. Inference (and the backend
+ * benchmark) runs in its own YOLOv8 worker, so browsers without worker
+ * inference get no poses. The pipeline only asks for frames in which the
+ * detector found a person.
+ */
+
+import { YOLOv8WorkerDetector } from './yolov8WorkerDetector';
+
+// COCO keypoint order of YOLOv8-pose exports
+export const KEYPOINT_NAMES = [
+  'nose', 'left_eye', 'right_eye', 'left_ear', 'right_ear',
+  'left_shoulder', 'right_shoulder', 'left_elbow', 'right_elbow',
+  'left_wrist', 'right_wrist', 'left_hip', 'right_hip',
+  'left_knee', 'right_knee', 'left_ankle', 'right_ankle'
+];
+
+// Pose model file in public/models/
+const POSE_MODEL_FILE = 'models/yolov8n-pose.onnx';
+
+class PoseEstimator extends YOLOv8WorkerDetector {
+  constructor() {
+    super();
+    this.capabilities = {
+      ...this.capabilities,
+      id: 'yolov8-pose',
+      label: 'YOLOv8 Pose'
+    };
+  }
+
+  /**
+   * Load the pose model in the worker
+   * The manifest's keypoint names make the worker decode keypoints after the class score.
+   * @param {Object} options - { baseUrl }
+   */
+  async load({ baseUrl = '/' } = {}) {
+    await this.loadModel({
+      model: baseUrl + POSE_MODEL_FILE,
+      name: 'YOLOv8-pose',
+      classes: ['person'],
+      keypoints: KEYPOINT_NAMES
+    });
+    return this;
+  }
+}
+
+export { PoseEstimator };
+export default PoseEstimator;
@@ -0,0 +1,190 @@
+/**
+ * Range Estimator
+ * Estimates an object's distance in metres from its apparent size, assuming a
+ * typical real size for its class (a 0.35 m quadcopter, a 30 m airliner):
+ *
+ *   distance = realSize * focalLength / sizeInPixels
+ *
+ * The focal length in pixels comes from the camera's calibration when it has
+ * one (see cameraCalibration.js), otherwise from the field of view in settings,
+ * narrowed by the current zoom. With the phone's tilt from DeviceOrientation,
+ * the object's elevation angle (camera pitch plus its undistorted offset from
+ * the optical axis) gives its height above ground. The frame is assumed held level (no roll), and the
+ * estimate is only as good as the size assumption - a large drone reads closer
+ * than it is.
+ */
+
+import { DEFAULT_SETTINGS } from './settings';
+import calibrationStore, { intrinsicsFor, undistortPoint } from './cameraCalibration';
+
+// Typical size in metres per class name, compared with the box's longer side
+const TYPICAL_SIZES = {
+  quadcopter: 0.35,
+  drone: 0.35,
+  bird: 0.35,        // COCO's drone proxy, so sized as the small drone it stands in for
+  kite: 1.0,
+  'fixed-wing': 2.0, // Small fixed-wing UAV
+  helicopter: 12,
+  airplane: 30,      // Airliner
+  aeroplane: 30,
+  person: 1.7,
+  car: 4.5,
+  truck: 8,
+  bus: 12,
+  motorcycle: 2.0,
+  bicycle: 1.7,
+  boat: 6
+};
+
+// Fallback size per classification type for classes not listed above
+const TYPE_SIZES = {
+  drone: 0.35,
+  quadcopter: 0.35,
+  'fixed-wing': 2.0,
+  helicopter: 12,
+  person: 1.7,
+  vehicle: 4.5
+};
+
+const DEG = Math.PI / 180;
+
+/**
+ * Ask for permission to read the device's tilt
+ * iOS only grants it from a user gesture, so call this from a click handler
+ * @returns {Promise<boolean>} Whether orientation events will be delivered
+ */
+export async function requestOrientationPermission() {
+  if (typeof DeviceOrientationEvent === 'undefined') return false;
+  if (typeof DeviceOrientationEvent.requestPermission !== 'function') return true;
+
+  try {
+    return await DeviceOrientationEvent.requestPermission() === 'granted';
+  } catch (err) {
+    console.warn('Device orientation permission request failed:', err);
+    return false;
+  }
+}
+
+/**
+ * Elevation of the rear camera's optical axis above the horizon
+ * The camera looks along the device's -z axis; with the W3C Z-X'-Y'' Euler
+ * angles its upward component is -cos(beta) * cos(gamma)
+ * @param {number} beta - Front-back tilt in degrees
+ * @param {number} gamma - Left-right tilt in degrees
+ * @returns {number} Elevation in degrees (0 = level, 90 = straight up)
+ */
+export function cameraElevation(beta, gamma) {
+  const up = -Math.cos(beta * DEG) * Math.cos(gamma * DEG);
+  return Math.asin(Math.max(-1, Math.min(1, up))) / DEG;
+}
+
+/**
+ * Format a distance, e.g. "85m" or "1.2km"
+ */
+export function formatDistance(metres) {
+  return metres < 1000 ? `${Math.round(metres)}m` : `${(metres / 1000).toFixed(1)}km`;
+}
+
+class RangeEstimator {
+  constructor() {
+    this.options = DEFAULT_SETTINGS.rangeEstimation; // { fov, cameraHeight }
+    this.zoom = 1;
+    this.elevation = null; // Camera pitch in degrees, null until the device reports its tilt
+    this.handleOrientation = this.handleOrientation.bind(this);
+  }
+
+  /**
+   * Start following the device's tilt (call requestOrientationPermission first on iOS)
+   */
+  start() {
+    window.addEventListener('deviceorientation', this.handleOrientation);
+    return this;
+  }
+
+  handleOrientation(event) {
+    if (event.beta === null || event.gamma === null) return;
+    this.elevation = cameraElevation(event.beta, event.gamma);
+  }
+
+  /**
+   * Apply settings
+   * @param {Object} options - { fov, cameraHeight } - field of view across the frame's
+   *   long side at 1x zoom (degrees; calibrated cameras use their calibration), and
+   *   the camera's height above ground (m)
+   */
+  configure(options = {}) {
+    this.options = { ...this.options, ...options };
+  }
+
+  /**
+   * Set the camera zoom factor (1 = widest)
+   */
+  setZoom(zoom) {
+    this.zoom = zoom || 1;
+  }
+
+  /**
+   * Camera intrinsics for a frame: from the active camera's calibration, or a
+   * distortion-free pinhole with the configured field of view
+   * @returns {Object} { fx, fy, cx, cy, k1, k2 }
+   */
+  intrinsics(frameWidth, frameHeight) {
+    const calibration = calibrationStore.getActive(this.zoom);
+    if (calibration) {
+      return intrinsicsFor(calibration, frameWidth, frameHeight, this.zoom);
+    }
+
+    const halfFov = (this.options.fov / 2) * DEG;
+    const focal = (Math.max(frameWidth, frameHeight) / 2 / Math.tan(halfFov)) * this.zoom;
+    return { fx: focal, fy: focal, cx: frameWidth / 2, cy: frameHeight / 2, k1: 0, k2: 0 };
+  }
+
+  /**
+   * Estimate a detection's distance and height
+   * @param {Object} detection - Tracked detection (the track's smoothed size is used when present)
+   * @param {number} frameWidth - Frame width in pixels
+   * @param {number} frameHeight - Frame height in pixels
+   * @returns {Object|null} { distance, height, elevation, label } - metres and degrees;
+   *   height and elevation are null without device tilt. null for classes without a
+   *   typical size (e.g. motion-only Unknown Aerial)
+   */
+  estimate(detection, frameWidth, frameHeight) {
+    const realSize = TYPICAL_SIZES[detection.class?.toLowerCase()] ?? TYPE_SIZES[detection.classification?.type];
+    if (!realSize) return null;
+
+    const { width, height } = detection.track?.size || detection.boundingBox;
+    const sizeInPixels = Math.max(width, height);
+    if (sizeInPixels <= 0) return null;
+
+    const intrinsics = this.intrinsics(frameWidth, frameHeight);
+    const distance = (realSize * (intrinsics.fx + intrinsics.fy) / 2) / sizeInPixels;
+
+    let elevation = null;
+    let heightAboveGround = null;
+    if (this.elevation !== null) {
+      const { centerX, centerY } = detection.boundingBox;
+      const offset = -Math.atan(undistortPoint(intrinsics, centerX, centerY).y) / DEG;
+      elevation = this.elevation + offset;
+      heightAboveGround = Math.max(0, this.options.cameraHeight + distance * Math.sin(elevation * DEG));
+    }
+
+    const heightLabel = heightAboveGround !== null ? ` ↑${formatDistance(heightAboveGround)}` : '';
+    return {
+      distance,
+      height: heightAboveGround,
+      elevation,
+      label: `${formatDistance(distance)}${heightLabel}`
+    };
+  }
+
+  /**
+   * Stop following the device's tilt
+   */
+  dispose() {
+    window.removeEventListener('deviceorientation', this.handleOrientation);
+    this.elevation = null;
+  }
+}
+
+export { RangeEstimator };
+export default RangeEstimator;
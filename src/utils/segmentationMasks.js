@@ -0,0 +1,207 @@
+/**
+ * Segmentation Masks
+ * Decodes YOLOv8-seg instance masks and turns them into outline polygons.
+ *
+ * A -seg export has a second output of mask prototypes [1, K, Ph, Pw] (K = 32,
+ * Ph/Pw = input size / 4). Each detection carries K mask coefficients; its mask
+ * is sigmoid(coefficients · prototypes), cropped to the detection box.
+ * Runs without OpenCV so it also works inside the inference worker.
+ */
+
+// Neighbour offsets, clockwise starting east (image coordinates, y down)
+const DIRECTIONS = [[1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1], [1, -1]];
+
+/**
+ * Decode one detection's mask on the prototype grid, cropped to its box
+ * @param {Object} protos - Prototype tensor { data, dims: [1, K, Ph, Pw] }
+ * @param {Float32Array|number[]} coefficients - The detection's K mask coefficients
+ * @param {number[]} box - [x1, y1, x2, y2] in model input pixels
+ * @param {number} inputWidth - Model input width in pixels
+ * @param {number} inputHeight - Model input height in pixels
+ * @returns {Object|null} { data: Uint8Array (1 = object), width, height, x, y } with
+ *   x/y the crop offset on the prototype grid, or null for an empty crop
+ */
+export function decodeMask(protos, coefficients, box, inputWidth, inputHeight) {
+  const [, numProtos, protoHeight, protoWidth] = protos.dims;
+  const gridScaleX = protoWidth / inputWidth;
+  const gridScaleY = protoHeight / inputHeight;
+
+  const x1 = Math.max(0, Math.floor(box[0] * gridScaleX));
+  const y1 = Math.max(0, Math.floor(box[1] * gridScaleY));
+  const x2 = Math.min(protoWidth, Math.ceil(box[2] * gridScaleX));
+  const y2 = Math.min(protoHeight, Math.ceil(box[3] * gridScaleY));
+  const width = x2 - x1;
+  const height = y2 - y1;
+  if (width <= 0 || height <= 0) return null;
+
+  const planeSize = protoWidth * protoHeight;
+  const data = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = (y1 + y) * protoWidth + x1 + x;
+      let logit = 0;
+      for (let k = 0; k < numProtos; k++) {
+        logit += coefficients[k] * protos.data[k * planeSize + offset];
+      }
+      // sigmoid(logit) > 0.5
+      data[y * width + x] = logit > 0 ? 1 : 0;
+    }
+  }
+
+  return { data, width, height, x: x1, y: y1 };
+}
+
+/**
+ * Keep only the largest 4-connected region of a mask (drops speckle and
+ * fragments of neighbouring objects that fall inside the box)
+ * @param {Object} mask - Mask from decodeMask
+ * @returns {number} Pixel count of the kept region
+ */
+export function keepLargestRegion(mask) {
+  const { data, width, height } = mask;
+  const labels = new Int32Array(data.length);
+  const stack = [];
+  let bestLabel = 0;
+  let bestSize = 0;
+  let label = 0;
+
+  for (let start = 0; start < data.length; start++) {
+    if (!data[start] || labels[start]) continue;
+
+    label++;
+    let size = 0;
+    labels[start] = label;
+    stack.push(start);
+    while (stack.length > 0) {
+      const index = stack.pop();
+      size++;
+      const x = index % width;
+      const y = (index - x) / width;
+      for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+        const nx = x + dx;
+        const ny = y + dy;
+        const neighbour = ny * width + nx;
+        if (nx >= 0 && nx < width && ny >= 0 && ny < height && data[neighbour] && !labels[neighbour]) {
+          labels[neighbour] = label;
+          stack.push(neighbour);
+        }
+      }
+    }
+
+    if (size > bestSize) {
+      bestSize = size;
+      bestLabel = label;
+    }
+  }
+
+  for (let i = 0; i < data.length; i++) {
+    data[i] = labels[i] === bestLabel && bestLabel > 0 ? 1 : 0;
+  }
+  return bestSize;
+}
+
+/**
+ * Trace the outer boundary of a mask's first region (Moore-neighbour tracing)
+ * @param {Object} mask - Mask from decodeMask (ideally after keepLargestRegion)
+ * @returns {Object[]} Boundary cells [{ x, y }] in mask coordinates, clockwise,
+ *   with runs of collinear cells reduced to their end points
+ */
+export function traceMaskOutline(mask) {
+  const { data, width, height } = mask;
+  const isSet = (x, y) => x >= 0 && x < width && y >= 0 && y < height && data[y * width + x] === 1;
+
+  const startIndex = data.indexOf(1);
+  if (startIndex < 0) return [];
+  const start = { x: startIndex % width, y: Math.floor(startIndex / width) };
+
+  const outline = [start];
+  let current = start;
+  let direction = 0; // Pretend we arrived moving east: west, north-west, north and north-east are empty
+  let firstDirection = null;
+  const maxSteps = data.length * 4;
+
+  for (let step = 0; step < maxSteps; step++) {
+    // Sweep clockwise starting just after the cell we came from
+    let next = null;
+    for (let turn = 0; turn < 8; turn++) {
+      const candidate = (direction + 5 + turn) % 8;
+      const [dx, dy] = DIRECTIONS[candidate];
+      if (isSet(current.x + dx, current.y + dy)) {
+        next = { x: current.x + dx, y: current.y + dy, direction: candidate };
+        break;
+      }
+    }
+    if (!next) break; // Isolated cell
+
+    // Back at the start, about to repeat the first move (Jacob's stopping criterion)
+    if (current.x === start.x && current.y === start.y && next.direction === firstDirection) break;
+    firstDirection ??= next.direction;
+
+    direction = next.direction;
+    current = { x: next.x, y: next.y };
+    if (current.x !== start.x || current.y !== start.y) {
+      outline.push(current);
+    }
+  }
+
+  return simplifyOutline(outline);
+}
+
+/**
+ * Drop cells in the middle of straight runs (keeping the tips of one-cell-wide spurs)
+ */
+function simplifyOutline(points) {
+  if (points.length < 4) return points;
+
+  return points.filter((point, i) => {
+    const prev = points[(i - 1 + points.length) % points.length];
+    const next = points[(i + 1) % points.length];
+    const inX = point.x - prev.x;
+    const inY = point.y - prev.y;
+    const outX = next.x - point.x;
+    const outY = next.y - point.y;
+    const straight = inX * outY === inY * outX && inX * outX + inY * outY > 0;
+    return !straight;
+  });
+}
+
+/**
+ * Decode a detection's mask and outline it in source pixels
+ * @param {Object} protos - Prototype tensor { data, dims }
+ * @param {Float32Array|number[]} coefficients - Mask coefficients
+ * @param {number[]} box - [x1, y1, x2, y2] in model input pixels
+ * @param {Object} letterbox - { inputWidth, inputHeight, scale, padX, padY } used to map back to source pixels
+ * @returns {Object|null} { mask, polygon } - mask as from decodeMask plus its source-pixel
+ *   bbox [x, y, w, h]; polygon [{ x, y }] in source pixels. null when the mask is empty
+ */
+export function segmentDetection(protos, coefficients, box, { inputWidth, inputHeight, scale, padX, padY }) {
+  const mask = decodeMask(protos, coefficients, box, inputWidth, inputHeight);
+  if (!mask || keepLargestRegion(mask) === 0) return null;
+
+  // Prototype cell centre -> model input pixels -> source pixels
+  const cellWidth = inputWidth / protos.dims[3];
+  const cellHeight = inputHeight / protos.dims[2];
+  const toSourceX = (gridX) => ((gridX + 0.5) * cellWidth - padX) / scale;
+  const toSourceY = (gridY) => ((gridY + 0.5) * cellHeight - padY) / scale;
+
+  const polygon = traceMaskOutline(mask).map(({ x, y }) => ({
+    x: toSourceX(mask.x + x),
+    y: toSourceY(mask.y + y)
+  }));
+
+  mask.bbox = [
+    (mask.x * cellWidth - padX) / scale,
+    (mask.y * cellHeight - padY) / scale,
+    mask.width * cellWidth / scale,
+    mask.height * cellHeight / scale
+  ];
+
+  return { mask, polygon };
+}
+
+export default {
+  decodeMask,
+  keepLargestRegion,
+  traceMaskOutline,
+  segmentDetection
+};
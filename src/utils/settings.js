@@ -0,0 +1,218 @@
+/**
+ * Settings Store
+ * User-adjustable detection settings, persisted to localStorage.
+ * Settings are grouped into sections; components subscribe to changes.
+ */
+
+const STORAGE_KEY = 'drone-tracker-settings';
+
+// Default values for every settings section
+const DEFAULT_SETTINGS = {
+  // Sliced inference: run the model over overlapping native-resolution crops
+  tiling: {
+    enabled: false,
+    tileSize: 640,  // Tile edge length in source pixels
+    overlap: 0.2    // Fraction of the tile shared with its neighbour
+  },
+  // Model input size, for models exported with dynamic axes (see resolveInputSize in yolov8Detector.js)
+  modelInput: {
+    size: 'model',   // Long side in pixels (320, 480, 640, 960), or 'model' for the manifest size
+    fitFrame: false  // Shrink the short side to the frame's aspect ratio instead of letterboxing
+  },
+  // Inference pacing and region-of-interest passes (see detectionScheduler.js)
+  scheduling: {
+    targetFps: 15,          // Inferences per second at most; overlays still draw every frame
+    roiPasses: true,        // Search only around current detections between full scans
+    fullScanInterval: 1000  // ms between full-frame scans while ROI passes are on
+  },
+  // Confidence thresholds and box suppression for model predictions (see detectionFilter.js)
+  detectionFilter: {
+    defaultThreshold: 0.4,   // Minimum confidence for classes without their own threshold
+    classThresholds: {       // Per-class minimum confidence, keyed by lowercase class name
+      airplane: 0.25,
+      bird: 0.25,
+      kite: 0.25,
+      drone: 0.25,
+      quadcopter: 0.25,
+      'fixed-wing': 0.25,
+      helicopter: 0.25,
+      person: 0.6
+    },
+    nmsMode: 'class-aware',  // 'class-aware', 'agnostic' or 'soft' (see nms.js)
+    iouThreshold: 0.45       // Overlap above which boxes suppress each other
+  },
+  // Run YOLOv8 and COCO-SSD together and fuse their boxes (see ensembleDetector.js)
+  ensemble: {
+    enabled: false,                           // Switching reloads the detector in the background
+    weights: { yolov8: 2, 'coco-ssd': 1 },    // Fusion weight per detector id
+    intervals: { yolov8: 1, 'coco-ssd': 2 },  // Run each detector every Nth inference
+    iouThreshold: 0.55                        // Overlap at which boxes of different models are fused
+  },
+  // N-of-M track confirmation before a track counts as a threat (see objectTracker.js)
+  confirmation: {
+    hits: 3,    // Frames a new track must be matched in...
+    frames: 5,  // ...out of its most recent frames
+    byType: {   // Per-type { hits, frames }, keyed by classification type
+      'unknown-aerial': { hits: 4, frames: 6 },
+      person: { hits: 2, frames: 4 }
+    }
+  },
+  // Threat escalation policy (see threatRules.js)
+  threatPolicy: {
+    preset: 'default',  // Key of THREAT_POLICY_PRESETS, or 'custom'
+    customPolicy: null  // Policy object used when preset is 'custom'
+  },
+  // Smoothing of the displayed threat level (see threatHysteresis.js)
+  threatHysteresis: {
+    riseMs: 0,     // A higher level must hold this long before it is shown
+    fallMs: 3000   // Quiet period before the level drops, one level per period
+  },
+  // Background-subtraction motion cues in the sky region (see motionDetector.js)
+  motion: {
+    enabled: false,
+    skyFraction: 0.6,  // Top fraction of the frame searched for motion
+    sensitivity: 25    // Foreground threshold; lower finds fainter motion
+  },
+  // Rotor noise on the microphone (see acousticDetector.js)
+  acoustic: {
+    enabled: false,
+    threshold: 0.5  // Acoustic confidence at which rotor noise counts as heard
+  },
+  // Metric distance and height from apparent size (see rangeEstimator.js)
+  rangeEstimation: {
+    enabled: false,
+    fov: 66,          // Field of view across the frame's long side at 1x zoom (degrees)
+    cameraHeight: 1.5 // Camera height above ground (m)
+  },
+  // Checkerboard calibrations per camera key, one per zoom level (see cameraCalibration.js)
+  cameraCalibration: {
+    cameras: {}
+  },
+  // Horizon used to tell sky from ground clutter (see skySegmenter.js)
+  sky: {
+    mode: 'off',                 // 'off', 'auto' (OpenCV sky mask) or 'manual'
+    horizon: 0.6,                // Manual horizon height (fraction from the top); auto fallback
+    belowHorizon: 'deprioritise' // Aerial detections below it: 'deprioritise' or 'exclude' from threat scoring
+  },
+  // Person keypoints from a YOLOv8-pose model (see poseEstimator.js)
+  pose: {
+    enabled: false
+  },
+  // Ignore and watch polygons drawn on the camera frame (see zones.js)
+  zones: {
+    items: []
+  },
+  // Inference backend per runtime: 'auto' (startup benchmark) or a backend id (see backendBenchmark.js)
+  backends: {
+    onnx: 'auto',
+    tfjs: 'auto'
+  },
+  // Per-class threat mapping edits, keyed by class name (see classMappings.js)
+  classMappings: {
+    overrides: {}
+  }
+};
+
+class SettingsStore {
+  constructor() {
+    this.settings = this.loadSettings();
+    this.listeners = new Set();
+  }
+
+  /**
+   * Load persisted settings merged over the defaults
+   */
+  loadSettings() {
+    const settings = structuredClone(DEFAULT_SETTINGS);
+
+    // No persisted settings inside workers
+    if (typeof localStorage === 'undefined') return settings;
+
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+      for (const section of Object.keys(settings)) {
+        if (stored[section] && typeof stored[section] === 'object') {
+          settings[section] = { ...settings[section], ...stored[section] };
+        }
+      }
+    } catch (e) {
+      console.warn('Could not read saved settings, using defaults:', e);
+    }
+
+    return settings;
+  }
+
+  /**
+   * Persist current settings
+   */
+  saveSettings() {
+    if (typeof localStorage === 'undefined') return;
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+    } catch (e) {
+      console.warn('Could not save settings:', e);
+    }
+  }
+
+  /**
+   * Get all settings, or a single section
+   * @param {string} section - Optional section name
+   * @returns {Object}
+   */
+  get(section) {
+    return section ? this.settings[section] : this.settings;
+  }
+
+  /**
+   * Update part of a settings section and notify subscribers
+   * @param {string} section - Section name
+   * @param {Object} patch - Values to change
+   */
+  update(section, patch) {
+    if (!(section in DEFAULT_SETTINGS)) {
+      throw new Error(`Unknown settings section "${section}"`);
+    }
+
+    this.settings = {
+      ...this.settings,
+      [section]: { ...this.settings[section], ...patch }
+    };
+    this.saveSettings();
+    this.notify();
+  }
+
+  /**
+   * Restore a section to its defaults
+   * @param {string} section - Section name
+   */
+  reset(section) {
+    this.settings = {
+      ...this.settings,
+      [section]: structuredClone(DEFAULT_SETTINGS[section])
+    };
+    this.saveSettings();
+    this.notify();
+  }
+
+  /**
+   * Subscribe to settings changes
+   * @param {Function} listener - Called with the full settings object
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    for (const listener of this.listeners) {
+      listener(this.settings);
+    }
+  }
+}
+
+// Export singleton instance and defaults
+const settingsStore = new SettingsStore();
+export { DEFAULT_SETTINGS };
+export default settingsStore;
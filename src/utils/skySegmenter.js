@@ -0,0 +1,233 @@
+/**
+ * Sky Segmenter
+ * Estimates where the sky ends in the camera frame so ground clutter (cars,
+ * people, birds on rooftops) can be deprioritised in aerial threat scoring.
+ *
+ * The horizon is a per-column profile: for each of HORIZON_COLUMNS slices of
+ * the frame, the normalized y (0 = top, 1 = bottom) below which is ground.
+ *   auto   - sky found with OpenCV (bright, untextured region connected to the
+ *            top edge), refreshed every UPDATE_INTERVAL_MS; the manual
+ *            horizon is used until the first estimate or when it fails
+ *   manual - a flat line at the configured height
+ */
+
+import { getOpenCV } from './contourDetector';
+
+// Frames are downscaled to this width before segmentation
+const PROCESS_WIDTH = 160;
+
+// Number of horizon samples across the frame
+const HORIZON_COLUMNS = 32;
+
+// How often the automatic mask is recomputed
+const UPDATE_INTERVAL_MS = 2000;
+
+// Sky pixels: at least this bright (HSV value, 0-255) and not on an edge
+const MIN_SKY_BRIGHTNESS = 90;
+const EDGE_LOW = 30;
+const EDGE_HIGH = 90;
+
+// Rows of ground in a row needed to end the sky in a column (ignores wires, birds)
+const GROUND_RUN = 3;
+
+// Below this much sky the estimate is unreliable (night, camera facing the ground)
+const MIN_SKY_FRACTION = 0.05;
+
+class SkySegmenter {
+  constructor() {
+    this.mode = 'off';
+    this.manualHorizon = 0.6;
+    this.autoProfile = null;
+    this.lastUpdate = 0;
+    this.processCanvas = null;
+  }
+
+  /**
+   * Apply sky settings
+   * @param {Object} options - { mode: 'off'|'auto'|'manual', horizon }
+   */
+  configure({ mode, horizon } = {}) {
+    if (mode !== undefined) {
+      this.mode = mode;
+      if (mode !== 'auto') this.autoProfile = null;
+    }
+    if (horizon !== undefined) this.manualHorizon = horizon;
+  }
+
+  /**
+   * Whether a horizon is in effect
+   */
+  get enabled() {
+    return this.mode !== 'off';
+  }
+
+  /**
+   * Current horizon profile
+   * @returns {number[]|null} Normalized horizon y per column, or null when off
+   */
+  get profile() {
+    if (!this.enabled) return null;
+    return this.autoProfile || new Array(HORIZON_COLUMNS).fill(this.manualHorizon);
+  }
+
+  /**
+   * Recompute the automatic sky mask if it is due
+   * @param {HTMLVideoElement|HTMLCanvasElement} source - Video frame source
+   * @param {Object[]} exclude - Boxes (x, y, width, height in source pixels) counted as
+   *   sky, e.g. aerial detections, so a close, dark object is not taken for the ground
+   * @param {number} timestamp - Current time in ms
+   */
+  update(source, exclude = [], timestamp = Date.now()) {
+    if (this.mode !== 'auto' || timestamp - this.lastUpdate < UPDATE_INTERVAL_MS) return;
+    this.lastUpdate = timestamp;
+
+    try {
+      this.autoProfile = this.estimateProfile(source, exclude);
+    } catch (error) {
+      console.warn('Sky segmentation failed, using manual horizon:', error);
+      this.autoProfile = null;
+    }
+  }
+
+  /**
+   * Find the sky region and reduce it to a horizon profile
+   * @param {Object[]} exclude - Boxes in source pixels to mark as sky
+   * @returns {number[]|null} Profile, or null if no reliable sky was found
+   */
+  estimateProfile(source, exclude = []) {
+    const cv = getOpenCV();
+    const srcWidth = source.videoWidth || source.width;
+    const srcHeight = source.videoHeight || source.height;
+    if (!cv || !srcWidth || !srcHeight) return null;
+
+    const width = Math.min(PROCESS_WIDTH, srcWidth);
+    const height = Math.max(1, Math.round(srcHeight * width / srcWidth));
+
+    if (!this.processCanvas) {
+      this.processCanvas = typeof OffscreenCanvas !== 'undefined'
+        ? new OffscreenCanvas(width, height)
+        : document.createElement('canvas');
+    }
+    this.processCanvas.width = width;
+    this.processCanvas.height = height;
+    const ctx = this.processCanvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(source, 0, 0, width, height);
+
+    const frame = cv.matFromImageData(ctx.getImageData(0, 0, width, height));
+    const rgb = new cv.Mat();
+    const hsv = new cv.Mat();
+    const gray = new cv.Mat();
+    const edges = new cv.Mat();
+    const kernel = cv.Mat.ones(3, 3, cv.CV_8U);
+    const channels = new cv.MatVector();
+
+    let skyMask;
+    try {
+      cv.cvtColor(frame, rgb, cv.COLOR_RGBA2RGB);
+      cv.cvtColor(rgb, hsv, cv.COLOR_RGB2HSV);
+      cv.cvtColor(frame, gray, cv.COLOR_RGBA2GRAY);
+      cv.Canny(gray, edges, EDGE_LOW, EDGE_HIGH);
+      cv.dilate(edges, edges, kernel);
+      cv.split(hsv, channels);
+
+      const value = channels.get(2);
+      const brightness = value.data;
+      const edgeData = edges.data;
+      skyMask = new Uint8Array(width * height);
+      for (let i = 0; i < skyMask.length; i++) {
+        skyMask[i] = brightness[i] >= MIN_SKY_BRIGHTNESS && edgeData[i] === 0 ? 1 : 0;
+      }
+      value.delete();
+    } finally {
+      frame.delete();
+      rgb.delete();
+      hsv.delete();
+      gray.delete();
+      edges.delete();
+      kernel.delete();
+      channels.delete();
+    }
+
+    // Objects in the sky would otherwise end their columns' sky at their top edge
+    const scale = width / srcWidth;
+    for (const box of exclude) {
+      const x1 = Math.max(0, Math.floor(box.x * scale));
+      const x2 = Math.min(width, Math.ceil((box.x + box.width) * scale));
+      const y1 = Math.max(0, Math.floor(box.y * scale));
+      const y2 = Math.min(height, Math.ceil((box.y + box.height) * scale));
+      for (let y = y1; y < y2; y++) {
+        skyMask.fill(1, y * width + x1, y * width + x2);
+      }
+    }
+
+    return profileFromMask(skyMask, width, height);
+  }
+
+  /**
+   * Whether a box center lies below the horizon
+   * @param {Object} boundingBox - Box with centerX, centerY in pixels
+   * @param {number} frameWidth - Frame width in pixels
+   * @param {number} frameHeight - Frame height in pixels
+   * @returns {boolean} false when no horizon is in effect
+   */
+  isBelowHorizon(boundingBox, frameWidth, frameHeight) {
+    const profile = this.profile;
+    if (!profile) return false;
+
+    const column = Math.min(profile.length - 1, Math.max(0, Math.floor(boundingBox.centerX / frameWidth * profile.length)));
+    return boundingBox.centerY / frameHeight > profile[column];
+  }
+
+  /**
+   * Release the processing canvas
+   */
+  dispose() {
+    this.processCanvas = null;
+    this.autoProfile = null;
+  }
+}
+
+/**
+ * Reduce a sky mask to a horizon profile
+ * Each column's sky is the run from the top edge until GROUND_RUN ground rows;
+ * the column profile is then median-smoothed so single columns (poles, trees)
+ * don't notch the horizon
+ */
+function profileFromMask(mask, width, height) {
+  const columnHorizon = new Array(width);
+  let skyPixels = 0;
+
+  for (let x = 0; x < width; x++) {
+    let skyEnd = height;
+    let groundRun = 0;
+    for (let y = 0; y < height; y++) {
+      if (mask[y * width + x]) {
+        groundRun = 0;
+      } else if (++groundRun >= GROUND_RUN) {
+        skyEnd = y - GROUND_RUN + 1;
+        break;
+      }
+    }
+    columnHorizon[x] = skyEnd / height;
+    skyPixels += skyEnd;
+  }
+
+  if (skyPixels / (width * height) < MIN_SKY_FRACTION) return null;
+
+  const profile = [];
+  for (let c = 0; c < HORIZON_COLUMNS; c++) {
+    const start = Math.floor(c * width / HORIZON_COLUMNS);
+    const end = Math.max(start + 1, Math.floor((c + 1) * width / HORIZON_COLUMNS));
+    const values = columnHorizon.slice(start, end).sort((a, b) => a - b);
+    profile.push(values[Math.floor(values.length / 2)]);
+  }
+
+  // Median of each column and its neighbours
+  return profile.map((_, c) => {
+    const window = profile.slice(Math.max(0, c - 2), c + 3).sort((a, b) => a - b);
+    return window[Math.floor(window.length / 2)];
+  });
+}
+
+export { SkySegmenter };
+export default SkySegmenter;
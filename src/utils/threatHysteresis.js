@@ -0,0 +1,97 @@
+/**
+ * Threat Hysteresis
+ * Smooths the per-frame threat assessment into the level shown and alerted on.
+ * A higher level is adopted once it has held for the rise time (immediately by
+ * default); a lower one only after a quiet period of the fall time, then one
+ * level per further quiet period. A detection blinking out for a few frames no
+ * longer drops the level to 'none' and back, and an object that leaves decays
+ * the level gradually instead of clearing it at once.
+ * Level changes are kept as a short history for the UI.
+ */
+
+import { THREAT_LEVEL_ORDER } from './threatRules';
+import { DEFAULT_SETTINGS } from './settings';
+
+// Level changes kept in the history
+const HISTORY_LENGTH = 20;
+
+const rank = (level) => THREAT_LEVEL_ORDER.indexOf(level);
+
+class ThreatHysteresis {
+  constructor() {
+    this.options = DEFAULT_SETTINGS.threatHysteresis; // { riseMs, fallMs }
+    this.reset();
+  }
+
+  /**
+   * Apply settings
+   * @param {Object} options - { riseMs, fallMs }
+   */
+  configure(options = {}) {
+    this.options = { ...this.options, ...options };
+  }
+
+  /**
+   * Feed one frame's assessment
+   * @param {Object} assessment - { level, rule } from getThreatAssessment
+   * @param {number} timestamp - Frame time in ms
+   * @returns {Object} { level, rule } - the smoothed level and the rule behind it
+   *   (kept while a level decays), plus held: whether the frame's own level is lower
+   */
+  update({ level, rule }, timestamp) {
+    if (rank(level) > rank(this.level)) {
+      this.fallSince = null;
+      this.riseSince ??= timestamp;
+      if (timestamp - this.riseSince >= this.options.riseMs) {
+        this.setLevel(level, rule, timestamp);
+      }
+    } else if (rank(level) < rank(this.level)) {
+      this.riseSince = null;
+      this.fallSince ??= timestamp;
+      if (timestamp - this.fallSince >= this.options.fallMs) {
+        // Decay one level per quiet period
+        const next = THREAT_LEVEL_ORDER[rank(this.level) - 1];
+        this.setLevel(next, next === level ? rule : this.rule, timestamp);
+        this.fallSince = timestamp;
+      }
+    } else {
+      this.riseSince = null;
+      this.fallSince = null;
+      this.rule = rule;
+    }
+
+    return { level: this.level, rule: this.rule, held: rank(level) < rank(this.level) };
+  }
+
+  setLevel(level, rule, timestamp) {
+    this.riseSince = null;
+    this.level = level;
+    this.rule = rule;
+    this.history.push({ level, rule: rule?.description || rule?.id || null, timestamp });
+    if (this.history.length > HISTORY_LENGTH) {
+      this.history.shift();
+    }
+  }
+
+  /**
+   * Recent level changes, oldest first
+   * @returns {Object[]} [{ level, rule, timestamp }] - rule is the rule's description or id
+   */
+  getHistory() {
+    return this.history.slice();
+  }
+
+  /**
+   * Return to 'none' and forget the history (camera stopped)
+   */
+  reset() {
+    this.level = 'none';
+    this.rule = null;
+    this.riseSince = null;
+    this.fallSince = null;
+    this.history = [];
+  }
+}
+
+export { ThreatHysteresis };
+export default ThreatHysteresis;
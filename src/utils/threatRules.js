@@ -0,0 +1,418 @@
+/**
+ * Threat Rules Engine
+ * Evaluates the overall threat level from a declarative JSON policy instead of
+ * hardcoded escalation logic, so each site can tune what counts as a threat.
+ *
+ * The level always starts at the highest per-object classification threat.
+ * Each rule then selects detections matching its conditions, and fires when at
+ * least `minCount` of them are present. The highest firing level wins (first
+ * rule wins ties) and is reported together with the rule that produced it.
+ *
+ * Aerial detections marked belowHorizon by sky segmentation are ground clutter
+ * candidates. With 'deprioritise' they count one level lower in the baseline
+ * and only match rules that ask for them ("horizon": "below"); with 'exclude'
+ * they are left out of scoring entirely.
+ *
+ * Every preset ends with a "heard" rule for aerial objects that are also
+ * heard by acoustic detection, and a "watch-zone" rule for aerial objects
+ * inside a user-drawn watch zone (see zones.js). Rotor noise heard with
+ * nothing in view raises the level to at least 'low' (see acousticDetector.js).
+ *
+ * Policy format:
+ * {
+ *   "name": "Airfield",
+ *   "rules": [
+ *     {
+ *       "id": "approach-close",
+ *       "description": "Aerial object approaching at close range",
+ *       "level": "critical",
+ *       "when": {
+ *         "types": ["drone", "quadcopter"],      // classification.type is one of
+ *         "minConfidence": 0.5,                  // detection confidence >=
+ *         "proximity": ["close", "very-close"],  // altitude.level is one of
+ *         "behaviors": ["approaching"],          // behavior.state is one of
+ *         "excludeBehaviors": ["receding"],      // behavior.state is none of
+ *         "minDwellMs": 5000,                    // tracked for at least
+ *         "zones": ["runway"],                   // inside any of these watch zones ("*" = any)
+ *         "horizon": "above",                    // above/below the horizon
+ *         "heard": true,                         // rotor noise heard (acoustic detection)
+ *         "minCount": 1                          // matching detections needed
+ *       }
+ *     }
+ *   ]
+ * }
+ */
+
+import settingsStore from './settings';
+import { ANY_ZONE, WATCH_ZONE_TYPES } from './zones';
+import { AERIAL_THREAT_TYPES } from './classMappings';
+
+export const THREAT_LEVEL_ORDER = ['none', 'info', 'low', 'medium', 'high', 'critical'];
+
+const CONDITION_KEYS = ['types', 'minConfidence', 'proximity', 'behaviors', 'excludeBehaviors', 'minDwellMs', 'zones', 'horizon', 'heard', 'minCount'];
+
+const HORIZON_POSITIONS = ['above', 'below'];
+
+// Aerial object (including unclassified motion) inside any watch zone
+const WATCH_ZONE_RULE = {
+  id: 'watch-zone',
+  description: 'Aerial object in a watch zone',
+  level: 'high',
+  when: { types: WATCH_ZONE_TYPES, zones: [ANY_ZONE] }
+};
+
+// Aerial object seen while its rotor noise is heard
+const HEARD_RULE = {
+  id: 'heard',
+  description: 'Aerial object seen and heard',
+  level: 'high',
+  when: { types: AERIAL_THREAT_TYPES, heard: true }
+};
+
+// Floor applied when rotor noise is heard, whether or not anything is in view
+const ACOUSTIC_RULE = {
+  id: 'acoustic',
+  description: 'Rotor noise heard',
+  level: 'low'
+};
+
+/**
+ * Default policy: the original escalation behaviour (swarm, close range, two
+ * objects), plus the watch zone and heard rules every preset shares
+ */
+export const DEFAULT_THREAT_POLICY = {
+  name: 'Default',
+  rules: [
+    {
+      id: 'swarm',
+      description: '3 or more aerial objects',
+      level: 'critical',
+      when: { types: AERIAL_THREAT_TYPES, minCount: 3 }
+    },
+    {
+      id: 'close',
+      description: 'Aerial object at close range',
+      level: 'high',
+      when: { types: AERIAL_THREAT_TYPES, proximity: ['close', 'very-close'] }
+    },
+    {
+      id: 'multiple',
+      description: '2 aerial objects',
+      level: 'high',
+      when: { types: AERIAL_THREAT_TYPES, minCount: 2 }
+    },
+    HEARD_RULE,
+    WATCH_ZONE_RULE
+  ]
+};
+
+/**
+ * Site presets selectable in settings
+ * behavior escalates on track behaviour too: approaching raises the level,
+ * and a close object that is receding no longer does
+ */
+export const THREAT_POLICY_PRESETS = {
+  default: DEFAULT_THREAT_POLICY,
+  behavior: {
+    name: 'Behaviour-Aware',
+    rules: [
+      {
+        id: 'swarm',
+        description: '3 or more aerial objects',
+        level: 'critical',
+        when: { types: AERIAL_THREAT_TYPES, minCount: 3 }
+      },
+      {
+        id: 'approach-close',
+        description: 'Aerial object approaching at close range',
+        level: 'critical',
+        when: { types: AERIAL_THREAT_TYPES, behaviors: ['approaching'], proximity: ['close', 'very-close'] }
+      },
+      {
+        id: 'close',
+        description: 'Aerial object at close range',
+        level: 'high',
+        when: { types: AERIAL_THREAT_TYPES, proximity: ['close', 'very-close'], excludeBehaviors: ['receding'] }
+      },
+      {
+        id: 'approach',
+        description: 'Aerial object approaching',
+        level: 'high',
+        when: { types: AERIAL_THREAT_TYPES, behaviors: ['approaching'] }
+      },
+      {
+        id: 'multiple',
+        description: '2 aerial objects',
+        level: 'high',
+        when: { types: AERIAL_THREAT_TYPES, minCount: 2 }
+      },
+      {
+        id: 'loiter',
+        description: 'Aerial object loitering',
+        level: 'medium',
+        when: { types: AERIAL_THREAT_TYPES, behaviors: ['loitering'] }
+      },
+      HEARD_RULE,
+      WATCH_ZONE_RULE
+    ]
+  },
+  airfield: {
+    name: 'Airfield',
+    rules: [
+      {
+        id: 'any-aerial',
+        description: 'Any aerial object near the airfield',
+        level: 'high',
+        when: { types: AERIAL_THREAT_TYPES, minConfidence: 0.4 }
+      },
+      {
+        id: 'approach',
+        description: 'Aerial object approaching',
+        level: 'critical',
+        when: { types: AERIAL_THREAT_TYPES, behaviors: ['approaching'] }
+      },
+      {
+        id: 'multiple',
+        description: '2 or more aerial objects',
+        level: 'critical',
+        when: { types: AERIAL_THREAT_TYPES, minCount: 2 }
+      },
+      HEARD_RULE,
+      { ...WATCH_ZONE_RULE, level: 'critical' }
+    ]
+  },
+  stadium: {
+    name: 'Stadium',
+    rules: [
+      {
+        id: 'overflight',
+        description: 'Aerial object over the venue',
+        level: 'medium',
+        when: { types: AERIAL_THREAT_TYPES, minConfidence: 0.5 }
+      },
+      {
+        id: 'loiter',
+        description: 'Aerial object loitering over the venue',
+        level: 'high',
+        when: { types: AERIAL_THREAT_TYPES, behaviors: ['loitering'] }
+      },
+      {
+        id: 'dwell',
+        description: 'Aerial object present for 10s or more',
+        level: 'high',
+        when: { types: AERIAL_THREAT_TYPES, minDwellMs: 10000 }
+      },
+      {
+        id: 'multiple',
+        description: '2 or more aerial objects',
+        level: 'critical',
+        when: { types: AERIAL_THREAT_TYPES, minCount: 2 }
+      },
+      HEARD_RULE,
+      WATCH_ZONE_RULE
+    ]
+  },
+  'private-property': {
+    name: 'Private Property',
+    rules: [
+      {
+        id: 'loiter',
+        description: 'Aerial object loitering for 10s or more',
+        level: 'medium',
+        when: { types: AERIAL_THREAT_TYPES, behaviors: ['loitering'], minDwellMs: 10000 }
+      },
+      {
+        id: 'approach-close',
+        description: 'Aerial object approaching at close range',
+        level: 'high',
+        when: { types: AERIAL_THREAT_TYPES, behaviors: ['approaching'], proximity: ['close', 'very-close'] }
+      },
+      {
+        id: 'swarm',
+        description: '3 or more aerial objects',
+        level: 'critical',
+        when: { types: AERIAL_THREAT_TYPES, minCount: 3 }
+      },
+      HEARD_RULE,
+      WATCH_ZONE_RULE
+    ]
+  }
+};
+
+/**
+ * Validate a threat policy, throwing a descriptive error if it is malformed
+ * @param {Object|string} policy - Policy object or JSON string
+ * @returns {Object} The parsed policy
+ */
+export function validateThreatPolicy(policy) {
+  const parsed = typeof policy === 'string' ? JSON.parse(policy) : policy;
+
+  if (!parsed || typeof parsed !== 'object' || !Array.isArray(parsed.rules)) {
+    throw new Error('Threat policy must be an object with a "rules" array');
+  }
+
+  parsed.rules.forEach((rule, index) => {
+    const name = rule?.id ? `Rule "${rule.id}"` : `Rule ${index + 1}`;
+
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`${name} must be an object`);
+    }
+    if (!THREAT_LEVEL_ORDER.includes(rule.level)) {
+      throw new Error(`${name} has invalid level "${rule.level}" (expected one of ${THREAT_LEVEL_ORDER.join(', ')})`);
+    }
+    if (rule.when !== undefined && (typeof rule.when !== 'object' || rule.when === null)) {
+      throw new Error(`${name} "when" must be an object`);
+    }
+
+    for (const [key, value] of Object.entries(rule.when || {})) {
+      if (!CONDITION_KEYS.includes(key)) {
+        throw new Error(`${name} has unknown condition "${key}"`);
+      }
+      if (key === 'horizon') {
+        if (!HORIZON_POSITIONS.includes(value)) {
+          throw new Error(`${name} condition "horizon" must be one of ${HORIZON_POSITIONS.join(', ')}`);
+        }
+        continue;
+      }
+      if (key === 'heard') {
+        if (typeof value !== 'boolean') {
+          throw new Error(`${name} condition "heard" must be true or false`);
+        }
+        continue;
+      }
+      const isList = ['types', 'proximity', 'behaviors', 'excludeBehaviors', 'zones'].includes(key);
+      if (isList ? !Array.isArray(value) : typeof value !== 'number') {
+        throw new Error(`${name} condition "${key}" must be ${isList ? 'an array' : 'a number'}`);
+      }
+    }
+  });
+
+  return parsed;
+}
+
+/**
+ * Check one detection against a rule's per-object conditions
+ */
+function matchesConditions(detection, when) {
+  if (when.types && !when.types.includes(detection.classification?.type)) return false;
+  if (when.minConfidence !== undefined && (detection.confidence ?? 1) < when.minConfidence) return false;
+  if (when.proximity && !when.proximity.includes(detection.altitude?.level)) return false;
+  if (when.behaviors && !when.behaviors.includes(detection.behavior?.state)) return false;
+  if (when.excludeBehaviors && when.excludeBehaviors.includes(detection.behavior?.state)) return false;
+  if (when.minDwellMs !== undefined && (detection.track?.age ?? 0) < when.minDwellMs) return false;
+  if (when.zones && !when.zones.some(zone =>
+    zone === ANY_ZONE ? detection.zones?.length > 0 : detection.zones?.includes(zone)
+  )) return false;
+  if (when.horizon && (when.horizon === 'below') !== Boolean(detection.belowHorizon)) return false;
+  if (when.heard !== undefined && when.heard !== Boolean(detection.heard)) return false;
+  return true;
+}
+
+/**
+ * Whether a detection is an aerial object seen below the horizon
+ */
+function isGroundClutter(detection) {
+  return Boolean(detection.belowHorizon) && AERIAL_THREAT_TYPES.includes(detection.classification?.type);
+}
+
+/**
+ * Evaluate a policy against a frame of detections
+ * Tentative tracks (not yet confirmed, see objectTracker.js) are left out
+ * @param {Object[]} detections - Classified detections
+ * @param {Object} policy - Threat policy
+ * @param {Object} options - { belowHorizon: 'deprioritise'|'exclude', acoustic: latest
+ *   acoustic reading ({ detected, confidence }) or null }
+ * @returns {Object} { level, rule } - rule is the firing rule, or null when the
+ *   level comes from the per-object classification alone
+ */
+export function evaluateThreatPolicy(detections, policy = DEFAULT_THREAT_POLICY, { belowHorizon = 'deprioritise', acoustic = null } = {}) {
+  detections = detections?.filter(detection => detection.track?.state !== 'tentative');
+  if (belowHorizon === 'exclude') {
+    detections = detections?.filter(detection => !isGroundClutter(detection));
+  }
+
+  const rank = (level) => THREAT_LEVEL_ORDER.indexOf(level);
+
+  if (!detections || detections.length === 0) {
+    return acoustic?.detected
+      ? { level: ACOUSTIC_RULE.level, rule: ACOUSTIC_RULE }
+      : { level: 'none', rule: null };
+  }
+
+  // Baseline: highest per-object threat (ground clutter one level lower)
+  let level = 'none';
+  for (const detection of detections) {
+    let objectLevel = detection.classification?.threat;
+    if (isGroundClutter(detection) && rank(objectLevel) > rank('info')) {
+      objectLevel = THREAT_LEVEL_ORDER[rank(objectLevel) - 1];
+    }
+    if (rank(objectLevel) > rank(level)) {
+      level = objectLevel;
+    }
+  }
+
+  let firedRule = null;
+  for (const rule of policy.rules) {
+    const when = rule.when || {};
+    const matching = detections.filter(detection =>
+      (!isGroundClutter(detection) || when.horizon === 'below') && matchesConditions(detection, when)
+    );
+
+    if (matching.length >= (when.minCount ?? 1) && rank(rule.level) > rank(level)) {
+      level = rule.level;
+      firedRule = rule;
+    }
+  }
+
+  if (acoustic?.detected && rank(level) < rank(ACOUSTIC_RULE.level)) {
+    level = ACOUSTIC_RULE.level;
+    firedRule = ACOUSTIC_RULE;
+  }
+
+  return { level, rule: firedRule };
+}
+
+class ThreatRuleEngine {
+  constructor() {
+    this.policy = DEFAULT_THREAT_POLICY;
+    this.belowHorizon = 'deprioritise';
+    this.applySettings(settingsStore.get());
+    settingsStore.subscribe(settings => this.applySettings(settings));
+  }
+
+  /**
+   * Select the active policy from the threatPolicy settings section, and the
+   * below-horizon handling from the sky section
+   * An invalid custom policy falls back to the default rather than disabling alerts
+   */
+  applySettings(settings) {
+    const { preset, customPolicy } = settings.threatPolicy;
+    this.belowHorizon = settings.sky.belowHorizon;
+
+    if (preset === 'custom') {
+      try {
+        this.policy = validateThreatPolicy(customPolicy);
+      } catch (e) {
+        console.warn('Invalid custom threat policy, using default:', e);
+        this.policy = DEFAULT_THREAT_POLICY;
+      }
+    } else {
+      this.policy = THREAT_POLICY_PRESETS[preset] || DEFAULT_THREAT_POLICY;
+    }
+  }
+
+  /**
+   * Evaluate the active policy
+   * @param {Object[]} detections - Classified detections
+   * @param {Object} acoustic - Latest acoustic reading, or null
+   * @returns {Object} { level, rule }
+   */
+  evaluate(detections, acoustic = null) {
+    return evaluateThreatPolicy(detections, this.policy, { belowHorizon: this.belowHorizon, acoustic });
+  }
+}
+
+// Export singleton instance
+const threatRuleEngine = new ThreatRuleEngine();
+export { ThreatRuleEngine };
+export default threatRuleEngine;
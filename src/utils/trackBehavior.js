@@ -0,0 +1,110 @@
+/**
+ * Track Behaviour Classification
+ * Derives what a tracked object is doing from its recent history:
+ *   approaching - apparent size growing (closing on the camera)
+ *   receding    - apparent size shrinking
+ *   loitering   - staying within a small area of the frame (hovering/orbiting)
+ *   transiting  - steadily crossing the frame
+ *   unknown     - not enough history, or no clear pattern
+ */
+
+// History window examined, and the minimum span needed to judge anything
+const BEHAVIOR_WINDOW_MS = 3000;
+const MIN_WINDOW_MS = 1000;
+
+// Apparent size change per second (relative) that counts as approaching/receding
+const APPROACH_RATE = 0.15;
+
+// Loitering: stays within this fraction of the frame diagonal for LOITER_MIN_MS
+const LOITER_RADIUS = 0.03;
+const LOITER_MIN_MS = 2000;
+
+// Transiting: net movement of at least this many frame fractions per second
+const TRANSIT_SPEED = 0.02;
+
+export const BEHAVIOR_LABELS = {
+  approaching: 'APPROACHING',
+  receding: 'RECEDING',
+  loitering: 'LOITERING',
+  transiting: 'TRANSITING',
+  unknown: ''
+};
+
+/**
+ * Relative growth rate of apparent size per second
+ * Least-squares slope of log(size) over time, so detector jitter in single
+ * frames doesn't flip the result
+ */
+function sizeGrowthRate(entries) {
+  const t0 = entries[0].timestamp;
+  const points = entries.map(entry => ({
+    t: (entry.timestamp - t0) / 1000,
+    s: Math.log(Math.max(1, Math.sqrt(entry.width * entry.height)))
+  }));
+
+  const meanT = points.reduce((sum, p) => sum + p.t, 0) / points.length;
+  const meanS = points.reduce((sum, p) => sum + p.s, 0) / points.length;
+
+  let covariance = 0;
+  let variance = 0;
+  for (const p of points) {
+    covariance += (p.t - meanT) * (p.s - meanS);
+    variance += (p.t - meanT) * (p.t - meanT);
+  }
+
+  return variance > 0 ? covariance / variance : 0;
+}
+
+/**
+ * Largest distance of any point from the window's mean position, in frame diagonals
+ */
+function spreadRadius(entries, frameWidth, frameHeight) {
+  const meanX = entries.reduce((sum, e) => sum + e.x, 0) / entries.length;
+  const meanY = entries.reduce((sum, e) => sum + e.y, 0) / entries.length;
+  const diagonal = Math.hypot(frameWidth, frameHeight);
+
+  let radius = 0;
+  for (const entry of entries) {
+    radius = Math.max(radius, Math.hypot(entry.x - meanX, entry.y - meanY));
+  }
+  return radius / diagonal;
+}
+
+/**
+ * Classify a track's behaviour from its history
+ * @param {Object[]} history - Track history [{x, y, width, height, timestamp}, ...] (oldest first)
+ * @param {number} frameWidth - Frame width in pixels
+ * @param {number} frameHeight - Frame height in pixels
+ * @returns {Object} { state, label, sizeRate, duration }
+ */
+export function classifyTrackBehavior(history, frameWidth = 1920, frameHeight = 1080) {
+  const unknown = { state: 'unknown', label: BEHAVIOR_LABELS.unknown, sizeRate: 0, duration: 0 };
+  if (!history || history.length < 3) return unknown;
+
+  const latest = history[history.length - 1].timestamp;
+  const entries = history.filter(entry => latest - entry.timestamp <= BEHAVIOR_WINDOW_MS);
+  const duration = latest - entries[0].timestamp;
+  if (entries.length < 3 || duration < MIN_WINDOW_MS) return unknown;
+
+  const sizeRate = sizeGrowthRate(entries);
+  const result = (state) => ({ state, label: BEHAVIOR_LABELS[state], sizeRate, duration });
+
+  if (sizeRate >= APPROACH_RATE) return result('approaching');
+  if (sizeRate <= -APPROACH_RATE) return result('receding');
+
+  if (duration >= LOITER_MIN_MS && spreadRadius(entries, frameWidth, frameHeight) < LOITER_RADIUS) {
+    return result('loitering');
+  }
+
+  const first = entries[0];
+  const last = entries[entries.length - 1];
+  const netSpeed = Math.hypot((last.x - first.x) / frameWidth, (last.y - first.y) / frameHeight) / (duration / 1000);
+  if (netSpeed >= TRANSIT_SPEED) return result('transiting');
+
+  return { ...unknown, sizeRate, duration };
+}
+
+export default {
+  classifyTrackBehavior,
+  BEHAVIOR_LABELS
+};
@@ -0,0 +1,45 @@
+/**
+ * Video Fit
+ * Maps a video's CSS object-fit onto the overlays drawn over it, so SVG
+ * layers (zone drafts, calibration corners) line up with the shown frame.
+ */
+
+// SVG scaling that matches each CSS object-fit of the video
+const FIT_ASPECT = { cover: 'xMidYMid slice', contain: 'xMidYMid meet' };
+
+/**
+ * SVG preserveAspectRatio for a CSS object-fit
+ * @param {string} fit - object-fit of the video
+ * @returns {string} 'none' (stretched) for fits other than cover and contain
+ */
+export function fitAspectRatio(fit) {
+  return FIT_ASPECT[fit] || 'none';
+}
+
+/**
+ * Where the video frame is shown inside its element: cropped (cover), letterboxed (contain) or stretched
+ * @param {HTMLVideoElement} video
+ * @returns {Object} { left, top, width, height } in client pixels
+ */
+export function videoContentRect(video) {
+  const rect = video.getBoundingClientRect();
+  const { videoWidth, videoHeight } = video;
+  const fit = getComputedStyle(video).objectFit;
+  if (!videoWidth || !videoHeight || !(fit in FIT_ASPECT)) return rect;
+
+  const fitScale = fit === 'cover' ? Math.max : Math.min;
+  const scale = fitScale(rect.width / videoWidth, rect.height / videoHeight);
+  const width = videoWidth * scale;
+  const height = videoHeight * scale;
+  return {
+    left: rect.left + (rect.width - width) / 2,
+    top: rect.top + (rect.height - height) / 2,
+    width,
+    height
+  };
+}
+
+export default {
+  fitAspectRatio,
+  videoContentRect
+};
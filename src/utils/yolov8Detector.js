@@ -1,9 +1,29 @@
 /**
  * YOLOv8 Detector using ONNX Runtime Web
- * Provides real-time object detection for drones, aircraft, and vehicles
+ * Provides real-time object detection for drones, aircraft, and vehicles.
+ * Instance-segmentation (-seg) exports are detected by their second (mask
+ * prototype) output; their detections also carry a mask and outline polygon.
+ *
+ * The execution provider (WebGPU, WebGL or WASM) is chosen per device by a
+ * startup benchmark, unless overridden in settings (see backendBenchmark.js).
  */
 
-import * as ort from 'onnxruntime-web';
+// The experimental bundle includes the WebGPU execution provider alongside WebGL and WASM
+// (later releases drop this entry point, hence the ~1.17 range in package.json)
+import * as ort from 'onnxruntime-web/experimental';
+import classMappings, { THREAT_LEVELS } from './classMappings';
+import { segmentDetection } from './segmentationMasks';
+import { createGpuPreprocessor } from './gpuPreprocessor';
+import { calculateIoU, calculateIoS } from './nms';
+import { DEFAULT_DETECTION_FILTER, lowestThreshold, filterPredictions } from './detectionFilter';
+import {
+  BACKEND_OPTIONS,
+  getBackendOverride,
+  getCachedBackend,
+  cacheBenchmark,
+  benchmarkBackends,
+  fastestBackend
+} from './backendBenchmark';
 
 // YOLOv8 class names (COCO dataset - 80 classes)
 const YOLO_CLASSES = [
@@ -19,55 +39,295 @@ const YOLO_CLASSES = [
   'book', 'clock', 'vase', 'scissors', 'teddy bear', 'hair drier', 'toothbrush'
 ];
 
-// Threat mappings for aerial/vehicle detection
-const THREAT_MAPPINGS = {
-  'airplane': { type: 'fixed-wing', threat: 'high', label: 'Fixed-Wing Aircraft' },
-  'bird': { type: 'drone', threat: 'medium', label: 'Possible sUAS/Drone' },
-  'kite': { type: 'drone', threat: 'high', label: 'Aerial Object' },
-  'frisbee': { type: 'object', threat: 'low', label: 'Airborne Object' },
-  'sports ball': { type: 'object', threat: 'low', label: 'Airborne Object' },
-  'car': { type: 'vehicle', threat: 'low', label: 'Ground Vehicle' },
-  'truck': { type: 'vehicle', threat: 'low', label: 'Truck' },
-  'bus': { type: 'vehicle', threat: 'low', label: 'Bus' },
-  'motorcycle': { type: 'vehicle', threat: 'low', label: 'Motorcycle' },
-  'boat': { type: 'vehicle', threat: 'low', label: 'Watercraft' },
-  'train': { type: 'vehicle', threat: 'low', label: 'Train' },
-  'person': { type: 'person', threat: 'info', label: 'Person Detected' },
-  'bicycle': { type: 'vehicle', threat: 'info', label: 'Bicycle' },
-};
+// Default model files in public/models/
+const DEFAULT_MODEL_FILE = 'models/yolov8n.onnx';
+const DEFAULT_MANIFEST_FILE = 'models/manifest.json';
+
+// Supported output tensor layouts
+// channels-first: [1, 4 + numClasses, numBoxes] (ultralytics default export)
+// channels-last:  [1, numBoxes, 4 + numClasses] (transposed exports)
+const OUTPUT_LAYOUTS = ['channels-first', 'channels-last'];
+
+// Intersection-over-smaller-box above which tile detections are treated as the
+// same object cut by a tile seam
+const TILE_MERGE_IOS = 0.6;
+
+// Per-box outputs that only fit the box they were predicted with
+const BOX_SHAPE_KEYS = ['polygon', 'mask', 'keypoints'];
+
+// Model input dimensions must be multiples of the largest YOLOv8 feature stride
+const INPUT_STRIDE = 32;
+
+// Upper bound on WASM threads; threads need a cross-origin isolated page
+// (SharedArrayBuffer), otherwise the WASM backend runs single-threaded.
+// SIMD is detected by ONNX Runtime itself.
+const MAX_WASM_THREADS = 4;
+ort.env.wasm.numThreads = globalThis.crossOriginIsolated
+  ? Math.min(MAX_WASM_THREADS, globalThis.navigator?.hardwareConcurrency || 1)
+  : 1;
+
+/**
+ * Execution providers this browser could offer
+ * @returns {string[]} Subset of BACKEND_OPTIONS.onnx
+ */
+export function getAvailableOrtBackends() {
+  return BACKEND_OPTIONS.onnx.filter(backend => {
+    if (backend === 'webgpu') return Boolean(globalThis.navigator?.gpu);
+    if (backend === 'webgl') {
+      return typeof OffscreenCanvas !== 'undefined' || typeof document !== 'undefined';
+    }
+    return true;
+  });
+}
+
+/**
+ * Split a frame into overlapping tiles covering every pixel
+ * Tiles are spaced evenly so the last row/column lines up with the frame edge
+ * @param {number} frameWidth - Frame width in pixels
+ * @param {number} frameHeight - Frame height in pixels
+ * @param {number} tileSize - Tile edge length in pixels
+ * @param {number} overlap - Fraction of a tile shared with its neighbour (0-0.9)
+ * @returns {Object[]} Tiles as { x, y, width, height }
+ */
+export function computeTiles(frameWidth, frameHeight, tileSize, overlap) {
+  const stride = tileSize * (1 - Math.min(Math.max(overlap, 0), 0.9));
+
+  const axisOffsets = (length) => {
+    if (length <= tileSize) return [0];
+    const count = Math.ceil((length - tileSize) / stride) + 1;
+    const step = (length - tileSize) / (count - 1);
+    return Array.from({ length: count }, (_, i) => Math.round(i * step));
+  };
+
+  const tiles = [];
+  for (const y of axisOffsets(frameHeight)) {
+    for (const x of axisOffsets(frameWidth)) {
+      tiles.push({
+        x,
+        y,
+        width: Math.min(tileSize, frameWidth),
+        height: Math.min(tileSize, frameHeight)
+      });
+    }
+  }
+  return tiles;
+}
+
+/**
+ * Normalize a manifest input size: a number for square inputs, or { width, height }
+ * @param {number|Object} inputSize - Manifest inputSize (default 640)
+ * @returns {Object} { width, height }
+ */
+function normalizeInputSize(inputSize = 640) {
+  const size = typeof inputSize === 'number' ? { width: inputSize, height: inputSize } : inputSize;
+  const valid = (value) => Number.isInteger(value) && value > 0 && value % INPUT_STRIDE === 0;
+
+  if (!size || !valid(size.width) || !valid(size.height)) {
+    throw new Error(`Model manifest "inputSize" must be a number or { width, height }, in multiples of ${INPUT_STRIDE}`);
+  }
+  return { width: size.width, height: size.height };
+}
+
+/**
+ * Input size for one inference
+ * Fixed-shape models always use their export size. Models exported with dynamic
+ * axes use the size chosen in settings (its long side), and with fitFrame the
+ * short side shrinks to the crop's aspect ratio instead of being letterboxed.
+ * @param {Object} modelInput - Export size { width, height }
+ * @param {boolean} dynamicInput - Whether the model accepts other sizes
+ * @param {Object} options - { size: 'model' or long side in pixels, fitFrame }
+ * @param {Object} crop - Frame region being inferred { width, height }
+ * @returns {Object} { width, height }
+ */
+export function resolveInputSize(modelInput, dynamicInput, { size = 'model', fitFrame = false }, crop) {
+  if (!dynamicInput) return modelInput;
+
+  const long = size === 'model' ? Math.max(modelInput.width, modelInput.height) : size;
+  if (!fitFrame) {
+    return size === 'model' ? modelInput : { width: long, height: long };
+  }
+
+  const short = Math.ceil(long * Math.min(crop.width, crop.height) / Math.max(crop.width, crop.height) / INPUT_STRIDE) * INPUT_STRIDE;
+  return crop.width >= crop.height
+    ? { width: long, height: short }
+    : { width: short, height: long };
+}
+
+/**
+ * Normalize a model manifest, filling in COCO defaults
+ * @param {Object|string} manifest - Manifest object or ONNX model path
+ * @param {string} manifestUrl - URL the manifest was loaded from (model paths resolve against it)
+ * @returns {Object} { name, model, inputSize: { width, height }, dynamicInput, classes, threats, outputLayout, keypoints }
+ */
+export function normalizeModelManifest(manifest, manifestUrl = null) {
+  if (typeof manifest === 'string') {
+    manifest = { model: manifest };
+  }
+
+  if (!manifest || typeof manifest.model !== 'string') {
+    throw new Error('Model manifest must specify a "model" URL');
+  }
+
+  const classes = manifest.classes || YOLO_CLASSES;
+  if (!Array.isArray(classes) || classes.length === 0) {
+    throw new Error('Model manifest "classes" must be a non-empty array of class names');
+  }
+
+  const outputLayout = manifest.outputLayout || 'channels-first';
+  if (!OUTPUT_LAYOUTS.includes(outputLayout)) {
+    throw new Error(`Unsupported output layout "${outputLayout}" (expected ${OUTPUT_LAYOUTS.join(' or ')})`);
+  }
+
+  const keypoints = manifest.keypoints || null;
+  if (keypoints && (!Array.isArray(keypoints) || keypoints.length === 0)) {
+    throw new Error('Model manifest "keypoints" must be a non-empty array of keypoint names');
+  }
+
+  const threats = {};
+  for (const [className, mapping] of Object.entries(manifest.threats || {})) {
+    if (!mapping.type || !THREAT_LEVELS.includes(mapping.threat)) {
+      throw new Error(`Invalid threat mapping for class "${className}"`);
+    }
+    threats[className.toLowerCase()] = {
+      type: mapping.type,
+      threat: mapping.threat,
+      label: mapping.label || className
+    };
+  }
+
+  const model = manifestUrl
+    ? new URL(manifest.model, new URL(manifestUrl, globalThis.location?.href)).href
+    : manifest.model;
+
+  return {
+    name: manifest.name || 'YOLOv8',
+    model,
+    inputSize: normalizeInputSize(manifest.inputSize),
+    dynamicInput: Boolean(manifest.dynamicInput),
+    classes,
+    threats,
+    outputLayout,
+    keypoints
+  };
+}
+
+/**
+ * Fetch and normalize a model manifest JSON file
+ * @param {string} manifestUrl - URL of the manifest
+ * @returns {Promise<Object>} Normalized manifest
+ */
+export async function fetchModelManifest(manifestUrl) {
+  const response = await fetch(manifestUrl);
+  if (!response.ok) {
+    throw new Error(`Model manifest not found: ${manifestUrl} (${response.status})`);
+  }
+  return normalizeModelManifest(await response.json(), manifestUrl);
+}
 
 class YOLOv8Detector {
   constructor() {
+    this.capabilities = {
+      id: 'yolov8',
+      label: 'YOLOv8 ONNX',
+      regions: true // detect() can search regions of interest only
+    };
     this.session = null;
     this.modelLoaded = false;
-    this.inputSize = 640; // YOLOv8 default input size
-    this.confidenceThreshold = 0.25;
-    this.iouThreshold = 0.45;
+    this.modelInput = { width: 640, height: 640 }; // Export size from the manifest (YOLOv8 default 640)
+    this.dynamicInput = false; // Model exported with dynamic axes (accepts other sizes)
+    this.inputOptions = { size: 'model', fitFrame: false }; // Input size settings for dynamic models
+    this.inputWidth = 640; // Input size of the current inference
+    this.inputHeight = 640;
+    this.filter = DEFAULT_DETECTION_FILTER; // Per-class thresholds and NMS mode (see detectionFilter.js)
+    this.minThreshold = lowestThreshold(this.filter);
+    this.preprocessCanvas = null;
+    this.gpuPreprocessor = null; // Created on first frame; false once GPU preprocessing has failed
+    this.inputData = null; // Reused input buffer of the canvas path
+    this.classNames = YOLO_CLASSES;
+    this.modelMappings = {}; // Class mappings from the model manifest
+    this.outputLayout = 'channels-first';
+    this.segmentation = false; // Model has a mask prototype output (-seg export)
+    this.keypointNames = null; // Keypoint order of -pose exports, from the manifest
+    this.backend = null; // ONNX Runtime execution provider in use
+    this.benchmark = null; // Backend benchmark results, when one ran during load
+    this.tiling = { enabled: false, tileSize: 640, overlap: 0.2 };
+  }
+
+  /**
+   * Detector registry entry point
+   * Loads public/models/manifest.json when present, otherwise the stock COCO yolov8n.onnx
+   * @param {Object} options - { baseUrl, manifest } - manifest overrides the default manifest URL
+   */
+  async load({ baseUrl = '/', manifest } = {}) {
+    let model = baseUrl + DEFAULT_MODEL_FILE;
+
+    try {
+      model = typeof manifest === 'object'
+        ? normalizeModelManifest(manifest)
+        : await fetchModelManifest(manifest || baseUrl + DEFAULT_MANIFEST_FILE);
+    } catch (error) {
+      // An explicitly requested manifest must load; the default one is optional
+      if (manifest) throw error;
+      console.log('No model manifest found, using default COCO model:', error.message);
+    }
+
+    await this.loadModel(model);
+    return this;
+  }
+
+  /**
+   * Apply manifest metadata (classes, threat mapping, input size, output layout, keypoints)
+   * @param {Object} manifest - Normalized manifest
+   */
+  applyManifest(manifest) {
+    this.manifest = manifest;
+    this.modelInput = manifest.inputSize;
+    this.dynamicInput = manifest.dynamicInput;
+    this.inputWidth = manifest.inputSize.width;
+    this.inputHeight = manifest.inputSize.height;
+    this.classNames = manifest.classes;
+    this.modelMappings = manifest.threats;
+    classMappings.registerModelMappings(manifest.threats);
+    this.outputLayout = manifest.outputLayout;
+    this.keypointNames = manifest.keypoints;
+    this.capabilities = { ...this.capabilities, model: manifest.name };
+  }
+
+  /**
+   * Record whether the model produces instance masks
+   * @param {boolean} segmentation - True for -seg exports
+   */
+  applySegmentation(segmentation) {
+    this.segmentation = segmentation;
+    this.capabilities = { ...this.capabilities, segmentation };
+  }
+
+  /**
+   * Record the execution provider the session runs on
+   * @param {string} backend - 'webgpu', 'webgl' or 'wasm'
+   */
+  applyBackend(backend) {
+    this.backend = backend;
+    this.capabilities = { ...this.capabilities, backend };
   }
 
   /**
    * Load the YOLOv8 ONNX model
-   * @param {string} modelPath - Path to the ONNX model file
+   * @param {string|Object} model - Path to the ONNX model file, or a model manifest
+   * @param {Object} options - { backend } - execution provider to use instead of
+   *   the settings override or cached benchmark (workers can't read either)
    */
-  async loadModel(modelPath = '/models/yolov8n.onnx') {
+  async loadModel(model = '/models/yolov8n.onnx', { backend = null } = {}) {
     try {
-      console.log('Loading YOLOv8 model from:', modelPath);
-      
-      // Configure ONNX Runtime Web - use local WASM files bundled with onnxruntime-web
-      // The package includes WASM files that Vite will serve from node_modules
-      
-      // Try WebGL backend first for better performance, fallback to WASM
-      const options = {
-        executionProviders: ['webgl', 'wasm'],
-        graphOptimizationLevel: 'all'
-      };
+      const manifest = normalizeModelManifest(model);
+      this.applyManifest(manifest);
+      console.log('Loading YOLOv8 model from:', manifest.model);
 
-      // For demo purposes, we'll use a small YOLOv8n model
-      // In production, host the model file in /public/models/
-      this.session = await ort.InferenceSession.create(modelPath, options);
+      this.session = await this.createSession(manifest.model, backend);
+      this.applySegmentation(this.session.outputNames.length > 1);
       
       this.modelLoaded = true;
-      console.log('YOLOv8 model loaded successfully');
+      console.log('YOLOv8 model loaded successfully on', this.backend);
       console.log('Input names:', this.session.inputNames);
       console.log('Output names:', this.session.outputNames);
       
@@ -80,92 +340,280 @@ class YOLOv8Detector {
   }
 
   /**
-   * Preprocess image for YOLOv8 inference
-   * @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement} source
-   * @returns {ort.Tensor} Preprocessed image tensor
+   * Create the inference session on the best execution provider
+   * Preference: requested backend, then the settings override, then the cached
+   * benchmark winner. Without one (or if it fails to start) every available
+   * backend is benchmarked and the fastest is used and cached.
+   * @param {string} modelUrl - ONNX model URL
+   * @param {string} backend - Requested execution provider, or null
+   * @returns {Promise<ort.InferenceSession>}
    */
-  preprocessImage(source) {
-    // Create canvas for preprocessing
-    const canvas = document.createElement('canvas');
-    canvas.width = this.inputSize;
-    canvas.height = this.inputSize;
-    const ctx = canvas.getContext('2d');
+  async createSession(modelUrl, backend = null) {
+    const preferred = backend || getBackendOverride('onnx') || getCachedBackend('onnx', modelUrl);
+    if (preferred) {
+      try {
+        return await this.openSession(modelUrl, preferred);
+      } catch (error) {
+        console.warn(`ONNX Runtime backend "${preferred}" failed, benchmarking alternatives:`, error.message);
+      }
+    }
 
-    // Get source dimensions
-    const srcWidth = source.videoWidth || source.width;
-    const srcHeight = source.videoHeight || source.height;
+    this.benchmark = await this.benchmarkSessions(modelUrl);
+    cacheBenchmark('onnx', modelUrl, this.benchmark);
 
-    // Calculate scaling to maintain aspect ratio
-    const scale = Math.min(this.inputSize / srcWidth, this.inputSize / srcHeight);
-    const scaledWidth = Math.round(srcWidth * scale);
-    const scaledHeight = Math.round(srcHeight * scale);
-    
-    // Calculate padding
-    const padX = (this.inputSize - scaledWidth) / 2;
-    const padY = (this.inputSize - scaledHeight) / 2;
+    const fastest = fastestBackend(this.benchmark);
+    if (!fastest) {
+      throw new Error('No ONNX Runtime backend could run the model');
+    }
+    return this.openSession(modelUrl, fastest);
+  }
 
-    // Fill with gray (letterbox)
-    ctx.fillStyle = '#808080';
-    ctx.fillRect(0, 0, this.inputSize, this.inputSize);
+  /**
+   * Create a session on a single execution provider
+   * @param {string} modelUrl - ONNX model URL
+   * @param {string} backend - Execution provider
+   * @returns {Promise<ort.InferenceSession>}
+   */
+  async openSession(modelUrl, backend) {
+    const session = await ort.InferenceSession.create(modelUrl, {
+      executionProviders: [backend],
+      graphOptimizationLevel: 'all'
+    });
+    this.applyBackend(backend);
+    return session;
+  }
+
+  /**
+   * Time inference on a blank frame with each available execution provider
+   * @param {string} modelUrl - ONNX model URL
+   * @returns {Promise<Object[]>} Benchmark results (see benchmarkBackends)
+   */
+  async benchmarkSessions(modelUrl) {
+    const { width, height } = this.modelInput;
+    const dims = [1, 3, height, width];
 
-    // Draw scaled image
-    ctx.drawImage(source, padX, padY, scaledWidth, scaledHeight);
+    return benchmarkBackends(getAvailableOrtBackends(), async (backend) => {
+      const session = await ort.InferenceSession.create(modelUrl, {
+        executionProviders: [backend],
+        graphOptimizationLevel: 'all'
+      });
+      const input = new ort.Tensor('float32', new Float32Array(3 * width * height), dims);
 
-    // Get image data
-    const imageData = ctx.getImageData(0, 0, this.inputSize, this.inputSize);
-    const pixels = imageData.data;
+      return {
+        run: () => session.run({ [session.inputNames[0]]: input }),
+        dispose: () => session.release()
+      };
+    });
+  }
 
-    // Convert to float32 tensor [1, 3, 640, 640] - CHW format, normalized to 0-1
-    const red = new Float32Array(this.inputSize * this.inputSize);
-    const green = new Float32Array(this.inputSize * this.inputSize);
-    const blue = new Float32Array(this.inputSize * this.inputSize);
+  /**
+   * Get the (reused) 2D context used for letterboxing frames on the canvas path
+   * Uses OffscreenCanvas when available so preprocessing also runs inside a Web Worker
+   * @returns {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D}
+   */
+  getPreprocessContext() {
+    if (!this.preprocessCanvas) {
+      this.preprocessCanvas = typeof OffscreenCanvas !== 'undefined'
+        ? new OffscreenCanvas(this.inputWidth, this.inputHeight)
+        : document.createElement('canvas');
+    }
 
-    for (let i = 0; i < pixels.length; i += 4) {
-      const idx = i / 4;
-      red[idx] = pixels[i] / 255.0;
-      green[idx] = pixels[i + 1] / 255.0;
-      blue[idx] = pixels[i + 2] / 255.0;
+    const canvas = this.preprocessCanvas;
+    if (canvas.width !== this.inputWidth || canvas.height !== this.inputHeight) {
+      canvas.width = this.inputWidth;
+      canvas.height = this.inputHeight;
     }
 
-    // Combine channels
-    const inputData = new Float32Array([...red, ...green, ...blue]);
+    return canvas.getContext('2d', { willReadFrequently: true });
+  }
+
+  /**
+   * Preprocess image for YOLOv8 inference
+   * Letterboxing, normalisation and CHW layout run on the GPU when possible
+   * (see gpuPreprocessor.js), otherwise on a 2D canvas
+   * @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement|ImageBitmap} source
+   * @param {Object} region - Optional crop { x, y, width, height } in source pixels (whole frame if omitted)
+   * @returns {Object} { tensor, scale, padX, padY, srcWidth, srcHeight }
+   */
+  preprocessImage(source, region = null) {
+    const frame = {
+      width: source.videoWidth || source.width,
+      height: source.videoHeight || source.height
+    };
+    const crop = region || { x: 0, y: 0, width: frame.width, height: frame.height };
+
+    const input = resolveInputSize(this.modelInput, this.dynamicInput, this.inputOptions, crop);
+    this.inputWidth = input.width;
+    this.inputHeight = input.height;
+
+    // Calculate scaling to maintain aspect ratio
+    const scale = Math.min(this.inputWidth / crop.width, this.inputHeight / crop.height);
+    const scaledWidth = Math.round(crop.width * scale);
+    const scaledHeight = Math.round(crop.height * scale);
     
-    // Create tensor
-    const tensor = new ort.Tensor('float32', inputData, [1, 3, this.inputSize, this.inputSize]);
+    // Calculate padding (only along the axis the crop doesn't fill)
+    const padX = (this.inputWidth - scaledWidth) / 2;
+    const padY = (this.inputHeight - scaledHeight) / 2;
+    const content = { x: padX, y: padY, width: scaledWidth, height: scaledHeight };
+
+    const tensor = this.preprocessOnGpu(source, frame, crop, content) ||
+      this.preprocessOnCanvas(source, crop, content);
 
     return {
       tensor,
       scale,
       padX,
       padY,
-      srcWidth,
-      srcHeight
+      srcWidth: crop.width,
+      srcHeight: crop.height
     };
   }
 
+  /**
+   * Build the input tensor with the GPU preprocessor
+   * @returns {ort.Tensor|null} Input tensor, or null when GPU preprocessing is unavailable
+   */
+  preprocessOnGpu(source, frame, crop, content) {
+    if (this.gpuPreprocessor === false) return null;
+
+    try {
+      this.gpuPreprocessor ??= createGpuPreprocessor(this.backend);
+      return this.gpuPreprocessor.run(source, frame, crop, content, this.inputWidth, this.inputHeight);
+    } catch (error) {
+      console.warn('GPU preprocessing unavailable, using canvas:', error.message);
+      this.gpuPreprocessor?.dispose();
+      this.gpuPreprocessor = false;
+      return null;
+    }
+  }
+
+  /**
+   * Build the input tensor on a 2D canvas (fallback path)
+   * @returns {ort.Tensor} [1, 3, inputHeight, inputWidth] tensor over a reused Float32Array
+   */
+  preprocessOnCanvas(source, crop, content) {
+    const ctx = this.getPreprocessContext();
+
+    // Fill with gray (letterbox)
+    ctx.fillStyle = '#808080';
+    ctx.fillRect(0, 0, this.inputWidth, this.inputHeight);
+
+    // Draw scaled image (or crop)
+    ctx.drawImage(source, crop.x, crop.y, crop.width, crop.height, content.x, content.y, content.width, content.height);
+
+    const pixels = ctx.getImageData(0, 0, this.inputWidth, this.inputHeight).data;
+
+    // Planar CHW float data, normalized to 0-1, written straight into the reused buffer
+    const plane = this.inputWidth * this.inputHeight;
+    if (this.inputData?.length !== plane * 3) {
+      this.inputData = new Float32Array(plane * 3);
+    }
+    const data = this.inputData;
+    for (let i = 0, p = 0; p < plane; i += 4, p++) {
+      data[p] = pixels[i] / 255;
+      data[plane + p] = pixels[i + 1] / 255;
+      data[2 * plane + p] = pixels[i + 2] / 255;
+    }
+
+    return new ort.Tensor('float32', data, [1, 3, this.inputHeight, this.inputWidth]);
+  }
+
   /**
    * Run inference on an image/video frame
-   * @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement} source
+   * @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement|ImageBitmap} source
+   * @param {Object} options - { regions } - search only these { x, y, width, height }
+   *   crops instead of the whole frame (see detectionScheduler.js)
    * @returns {Object[]} Array of detections
    */
-  async detect(source) {
+  async detect(source, { regions = null } = {}) {
     if (!this.modelLoaded || !this.session) {
       throw new Error('Model not loaded. Call loadModel() first.');
     }
 
+    if (regions) {
+      return this.detectRegions(source, regions);
+    }
+
+    const frameWidth = source.videoWidth || source.width;
+    const frameHeight = source.videoHeight || source.height;
+    const { enabled, tileSize } = this.tiling;
+
+    if (enabled && (frameWidth > tileSize || frameHeight > tileSize)) {
+      return this.detectTiled(source, frameWidth, frameHeight);
+    }
+
+    return this.inferRegion(source);
+  }
+
+  /**
+   * Sliced inference: run the model over overlapping native-resolution tiles
+   * so small distant objects are not lost to downscaling, plus one full-frame
+   * pass for objects larger than a tile
+   * @returns {Object[]} Detections in frame coordinates
+   */
+  async detectTiled(source, frameWidth, frameHeight) {
+    const { tileSize, overlap } = this.tiling;
+    const tiles = computeTiles(frameWidth, frameHeight, tileSize, overlap);
+
+    const detections = await this.inferRegion(source);
+    for (const tile of tiles) {
+      detections.push(...await this.inferRegion(source, tile));
+    }
+
+    return this.mergeTileDetections(detections);
+  }
+
+  /**
+   * Region-of-interest inference: run the model over each region only
+   * Objects spanning two overlapping regions are merged like tile detections
+   * @returns {Object[]} Detections in frame coordinates
+   */
+  async detectRegions(source, regions) {
+    const detections = [];
+    for (const region of regions) {
+      detections.push(...await this.inferRegion(source, region));
+    }
+
+    return this.mergeTileDetections(detections);
+  }
+
+  /**
+   * Run inference on the whole frame or a crop of it
+   * @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement|ImageBitmap} source
+   * @param {Object} region - Optional crop { x, y, width, height }
+   * @returns {Object[]} Detections in frame coordinates
+   */
+  async inferRegion(source, region = null) {
     // Preprocess
-    const { tensor, scale, padX, padY, srcWidth, srcHeight } = this.preprocessImage(source);
+    const { tensor, scale, padX, padY, srcWidth, srcHeight } = this.preprocessImage(source, region);
 
     try {
       // Run inference
       const feeds = { [this.session.inputNames[0]]: tensor };
       const results = await this.session.run(feeds);
       
-      // Get output tensor
+      // Get output tensors (-seg exports add mask prototypes as the second output)
       const output = results[this.session.outputNames[0]];
+      const protos = this.segmentation ? results[this.session.outputNames[1]] : null;
       
       // Process detections
-      const detections = this.postprocess(output, scale, padX, padY, srcWidth, srcHeight);
+      const detections = this.postprocess(output, scale, padX, padY, srcWidth, srcHeight, protos);
+
+      // Shift crop coordinates back into the full frame
+      if (region) {
+        for (const det of detections) {
+          det.bbox[0] += region.x;
+          det.bbox[1] += region.y;
+          if (det.mask) {
+            det.mask.bbox[0] += region.x;
+            det.mask.bbox[1] += region.y;
+            det.polygon = det.polygon.map(({ x, y }) => ({ x: x + region.x, y: y + region.y }));
+          }
+          if (det.keypoints) {
+            det.keypoints = det.keypoints.map(keypoint => ({ ...keypoint, x: keypoint.x + region.x, y: keypoint.y + region.y }));
+          }
+        }
+      }
 
       return detections;
     } finally {
@@ -176,36 +624,55 @@ class YOLOv8Detector {
 
   /**
    * Post-process YOLOv8 output
-   * YOLOv8 output format: [1, 84, 8400] where 84 = 4 (bbox) + 80 (classes)
+   * YOLOv8 output format: [1, 4 + numClasses, numBoxes] (e.g. [1, 84, 8400] for COCO),
+   * or [1, numBoxes, 4 + numClasses] for channels-last exports. -seg exports append
+   * one channel per mask prototype after the class scores (e.g. [1, 116, 8400]).
+   * numBoxes follows the input size (8400 at 640x640, 5040 at 640x384); boxes are
+   * unmapped with separate x/y letterbox padding, so rectangular inputs work alike.
+   * @param {ort.Tensor} protos - Mask prototypes [1, K, Ph, Pw] for -seg exports, else null
    */
-  postprocess(output, scale, padX, padY, srcWidth, srcHeight) {
+  postprocess(output, scale, padX, padY, srcWidth, srcHeight, protos = null) {
     const data = output.data;
-    const [, , numBoxes] = output.dims; // batch and features not used
+    const numClasses = this.classNames.length;
+    const numMaskCoefficients = protos ? protos.dims[1] : 0;
+    const channelsLast = this.outputLayout === 'channels-last';
+    const numBoxes = channelsLast ? output.dims[1] : output.dims[2];
+    const numChannels = channelsLast ? output.dims[2] : output.dims[1];
+    const expectedChannels = 4 + numClasses + numMaskCoefficients;
+
+    if (numChannels < expectedChannels) {
+      throw new Error(`Model output has ${numChannels} channels, expected ${expectedChannels} for ${numClasses} classes`);
+    }
+
+    // Index of channel c for box i in either layout
+    const at = channelsLast
+      ? (c, i) => data[i * numChannels + c]
+      : (c, i) => data[c * numBoxes + i];
     
     const detections = [];
+    const boxIndices = new Map(); // Detection -> output box index, for decodeExtras
 
-    // YOLOv8 output is transposed: [1, 84, 8400]
-    // Each column is a detection: [x, y, w, h, class_scores...]
+    // Each box is: [x, y, w, h, class_scores..., mask_coefficients...]
     for (let i = 0; i < numBoxes; i++) {
       // Get box coordinates
-      const x = data[i];
-      const y = data[numBoxes + i];
-      const w = data[2 * numBoxes + i];
-      const h = data[3 * numBoxes + i];
+      const x = at(0, i);
+      const y = at(1, i);
+      const w = at(2, i);
+      const h = at(3, i);
 
       // Find best class
       let maxScore = 0;
       let maxClassIdx = 0;
-      for (let c = 0; c < 80; c++) {
-        const score = data[(4 + c) * numBoxes + i];
+      for (let c = 0; c < numClasses; c++) {
+        const score = at(4 + c, i);
         if (score > maxScore) {
           maxScore = score;
           maxClassIdx = c;
         }
       }
 
-      // Filter by confidence
-      if (maxScore < this.confidenceThreshold) continue;
+      // Skip boxes below every class threshold; per-class thresholds apply with NMS
+      if (maxScore < this.minThreshold) continue;
 
       // Convert from center format to corner format and remove padding
       const x1 = (x - w / 2 - padX) / scale;
@@ -226,78 +693,124 @@ class YOLOv8Detector {
 
       if (boxW <= 0 || boxH <= 0) continue;
 
-      detections.push({
+      const detection = {
         bbox: [boxX, boxY, boxW, boxH],
-        class: YOLO_CLASSES[maxClassIdx],
+        class: this.classNames[maxClassIdx],
         score: maxScore,
         classIndex: maxClassIdx
-      });
+      };
+      detections.push(detection);
+      boxIndices.set(detection, i);
     }
 
-    // Apply NMS
-    return this.nms(detections);
+    // Per-class thresholds and NMS
+    const selected = filterPredictions(detections, this.filter);
+
+    // Masks and keypoints only for the boxes that survived NMS
+    const letterbox = { inputWidth: this.inputWidth, inputHeight: this.inputHeight, scale, padX, padY };
+    for (const det of selected) {
+      const i = boxIndices.get(det);
+      this.decodeExtras(det, (c) => at(c, i), letterbox, protos);
+    }
+
+    return selected;
   }
 
   /**
-   * Non-Maximum Suppression
+   * Decode the per-box outputs that follow the class scores
+   * Keypoints for -pose exports: (x, y, visibility) triples, in model input pixels.
+   * Instance masks for -seg exports.
+   * @param {Object} det - Detection that survived NMS (extended in place)
+   * @param {Function} channel - Reads output channel c for this detection's box
+   * @param {Object} letterbox - { inputWidth, inputHeight, scale, padX, padY }
+   * @param {ort.Tensor} protos - Mask prototypes, or null
    */
-  nms(detections) {
-    // Sort by score descending
-    detections.sort((a, b) => b.score - a.score);
-
-    const selected = [];
-    const active = new Array(detections.length).fill(true);
-
-    for (let i = 0; i < detections.length; i++) {
-      if (!active[i]) continue;
-      
-      selected.push(detections[i]);
+  decodeExtras(det, channel, letterbox, protos) {
+    const offset = 4 + this.classNames.length;
+
+    if (this.keypointNames) {
+      const { scale, padX, padY } = letterbox;
+      det.keypoints = this.keypointNames.map((name, k) => ({
+        name,
+        x: (channel(offset + k * 3) - padX) / scale,
+        y: (channel(offset + k * 3 + 1) - padY) / scale,
+        score: channel(offset + k * 3 + 2)
+      }));
+      return;
+    }
 
-      for (let j = i + 1; j < detections.length; j++) {
-        if (!active[j]) continue;
-        if (detections[i].class !== detections[j].class) continue;
+    if (!protos) return;
 
-        const iou = this.calculateIoU(detections[i].bbox, detections[j].bbox);
-        if (iou > this.iouThreshold) {
-          active[j] = false;
-        }
-      }
+    const coefficients = new Float32Array(protos.dims[1]);
+    for (let k = 0; k < coefficients.length; k++) {
+      coefficients[k] = channel(offset + k);
     }
 
-    return selected;
+    const x = channel(0);
+    const y = channel(1);
+    const w = channel(2);
+    const h = channel(3);
+    const segment = segmentDetection(protos, coefficients, [x - w / 2, y - h / 2, x + w / 2, y + h / 2], letterbox);
+    if (segment) {
+      det.mask = segment.mask;
+      det.polygon = segment.polygon;
+    }
   }
 
   /**
-   * Calculate Intersection over Union
+   * De-duplicate detections from overlapping tiles
+   * Boxes of the same class are merged when they overlap (IoU) or when one lies
+   * mostly inside the other - an object cut by a tile seam yields a partial box
+   * inside the full box from the neighbouring tile, and the union is kept.
+   * A grown box takes its outline, mask and keypoints from the detection that
+   * spans the union, or loses them (the overlay then traces a contour)
+   * @param {Object[]} detections - Detections from all tiles, frame coordinates
+   * @returns {Object[]} Merged detections
    */
-  calculateIoU(box1, box2) {
-    const [x1, y1, w1, h1] = box1;
-    const [x2, y2, w2, h2] = box2;
-
-    const intersectX = Math.max(0, Math.min(x1 + w1, x2 + w2) - Math.max(x1, x2));
-    const intersectY = Math.max(0, Math.min(y1 + h1, y2 + h2) - Math.max(y1, y2));
-    const intersection = intersectX * intersectY;
+  mergeTileDetections(detections) {
+    detections.sort((a, b) => b.score - a.score);
 
-    const area1 = w1 * h1;
-    const area2 = w2 * h2;
-    const union = area1 + area2 - intersection;
+    const merged = [];
+    for (const det of detections) {
+      const match = merged.find(kept =>
+        kept.class === det.class &&
+        (calculateIoU(kept.bbox, det.bbox) > this.filter.iouThreshold ||
+          calculateIoS(kept.bbox, det.bbox) > TILE_MERGE_IOS)
+      );
+
+      if (!match) {
+        merged.push(det);
+      } else if (calculateIoS(match.bbox, det.bbox) > TILE_MERGE_IOS) {
+        // Grow the kept box to cover the part seen by the other tile
+        const x1 = Math.min(match.bbox[0], det.bbox[0]);
+        const y1 = Math.min(match.bbox[1], det.bbox[1]);
+        const x2 = Math.max(match.bbox[0] + match.bbox[2], det.bbox[0] + det.bbox[2]);
+        const y2 = Math.max(match.bbox[1] + match.bbox[3], det.bbox[1] + det.bbox[3]);
+        match.bbox = [x1, y1, x2 - x1, y2 - y1];
+
+        const spansUnion = det.bbox[0] <= x1 && det.bbox[1] <= y1 &&
+          det.bbox[0] + det.bbox[2] >= x2 && det.bbox[1] + det.bbox[3] >= y2;
+        for (const key of BOX_SHAPE_KEYS) {
+          if (spansUnion && det[key]) {
+            match[key] = det[key];
+          } else {
+            delete match[key];
+          }
+        }
+      }
+    }
 
-    return intersection / union;
+    return merged;
   }
 
   /**
    * Classify detections with threat levels
-   * Note: This method is similar to objectClassifier.js but handles YOLOv8's
-   * different output format (bbox array vs COCO-SSD's bbox property)
+   * Class names resolve through the shared class mapping table, with the
+   * manifest's threat mappings taking precedence over the built-in defaults
    */
   classifyDetections(detections) {
     return detections.map(det => {
-      const className = det.class.toLowerCase();
-      const mapping = THREAT_MAPPINGS[className] || {
-        type: 'unknown',
-        threat: 'info',
-        label: det.class
-      };
+      const mapping = classMappings.resolve(det.class, this.modelMappings);
 
       return {
         ...det,
@@ -315,6 +828,13 @@ class YOLOv8Detector {
     });
   }
 
+  /**
+   * Detector registry classification hook
+   */
+  classify(detections) {
+    return this.classifyDetections(detections);
+  }
+
   /**
    * Check if model is loaded
    */
@@ -323,10 +843,28 @@ class YOLOv8Detector {
   }
 
   /**
-   * Set confidence threshold
+   * Set the confidence threshold of classes without their own threshold
    */
   setConfidenceThreshold(threshold) {
-    this.confidenceThreshold = threshold;
+    this.configure({ filter: { defaultThreshold: threshold } });
+  }
+
+  /**
+   * Apply runtime detection settings
+   * @param {Object} options - { filter: detectionFilter settings, tiling: { enabled, tileSize, overlap },
+   *   input: { size, fitFrame } } - input only affects models with dynamic input
+   */
+  configure({ filter, tiling, input } = {}) {
+    if (filter) {
+      this.filter = { ...this.filter, ...filter };
+      this.minThreshold = lowestThreshold(this.filter);
+    }
+    if (tiling) {
+      this.tiling = { ...this.tiling, ...tiling };
+    }
+    if (input) {
+      this.inputOptions = { ...this.inputOptions, ...input };
+    }
   }
 
   /**
@@ -337,11 +875,15 @@ class YOLOv8Detector {
       this.session.release();
       this.session = null;
     }
+    this.gpuPreprocessor?.dispose();
+    this.gpuPreprocessor = null;
+    this.preprocessCanvas = null;
+    this.inputData = null;
     this.modelLoaded = false;
   }
 }
 
 // Export singleton instance and class
 export const yolov8Detector = new YOLOv8Detector();
-export { YOLOv8Detector, YOLO_CLASSES, THREAT_MAPPINGS };
+export { YOLOv8Detector, YOLO_CLASSES };
 export default yolov8Detector;
@@ -0,0 +1,175 @@
+/**
+ * YOLOv8 Worker Detector
+ * Main-thread proxy for the YOLOv8 inference worker. Keeps the same interface
+ * as YOLOv8Detector (classification still runs here) while preprocessing,
+ * inference and NMS happen in src/workers/yolov8Worker.js.
+ *
+ * Back-pressure: only one frame is ever in flight. Frames submitted while the
+ * worker is busy are dropped and the most recent detections are returned instead.
+ */
+
+import { YOLOv8Detector, normalizeModelManifest } from './yolov8Detector';
+import { getBackendOverride, getCachedBackend, cacheBenchmark } from './backendBenchmark';
+
+/**
+ * Check whether this browser can run inference in a worker
+ * @returns {boolean}
+ */
+export function isWorkerInferenceSupported() {
+  return typeof Worker !== 'undefined' &&
+    typeof OffscreenCanvas !== 'undefined' &&
+    typeof createImageBitmap === 'function';
+}
+
+class YOLOv8WorkerDetector extends YOLOv8Detector {
+  constructor() {
+    super();
+    this.capabilities = {
+      ...this.capabilities,
+      worker: true
+    };
+    this.worker = null;
+    this.nextRequestId = 0;
+    this.pendingRequests = new Map();
+    this.inferenceInFlight = false;
+    this.lastDetections = [];
+    this.droppedFrames = 0;
+  }
+
+  /**
+   * Start the worker and load the ONNX model inside it
+   * Manifest metadata is applied here too, since classification runs on the main thread.
+   * The worker has no localStorage, so the backend choice is made here and a
+   * benchmark run by the worker is cached here.
+   * @param {string|Object} model - Path to the ONNX model file, or a model manifest
+   */
+  async loadModel(model = '/models/yolov8n.onnx') {
+    const manifest = normalizeModelManifest(model);
+    this.applyManifest(manifest);
+
+    this.worker = new Worker(new URL('../workers/yolov8Worker.js', import.meta.url), { type: 'module' });
+    this.worker.onmessage = (event) => this.handleMessage(event.data);
+    this.worker.onerror = (event) => {
+      console.error('YOLOv8 worker error:', event.message);
+      this.rejectPending(new Error(event.message || 'YOLOv8 worker crashed'));
+    };
+
+    // Settings applied before the worker existed
+    this.worker.postMessage({
+      type: 'configure',
+      options: { filter: this.filter, tiling: this.tiling, input: this.inputOptions }
+    });
+
+    try {
+      const backend = getBackendOverride('onnx') || getCachedBackend('onnx', manifest.model);
+      const result = await this.request({ type: 'load', manifest, backend });
+      if (result.benchmark) {
+        this.benchmark = result.benchmark;
+        cacheBenchmark('onnx', manifest.model, result.benchmark);
+      }
+      this.applySegmentation(result.segmentation);
+      this.applyBackend(result.backend);
+      this.modelLoaded = true;
+      console.log('YOLOv8 model loaded in Web Worker on', this.backend);
+      return true;
+    } catch (error) {
+      console.error('Error loading YOLOv8 model in worker:', error);
+      this.modelLoaded = false;
+      throw error;
+    }
+  }
+
+  /**
+   * Send a request to the worker and wait for its response
+   * @param {Object} message - Message payload
+   * @param {Transferable[]} transfer - Objects to transfer
+   * @returns {Promise<Object>} The worker's result message
+   */
+  request(message, transfer = []) {
+    const id = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      this.pendingRequests.set(id, { resolve, reject });
+      this.worker.postMessage({ ...message, id }, transfer);
+    });
+  }
+
+  /**
+   * Route a worker response to its pending request
+   */
+  handleMessage(data) {
+    const pending = this.pendingRequests.get(data.id);
+    if (!pending) return;
+
+    this.pendingRequests.delete(data.id);
+    if (data.type === 'error') {
+      pending.reject(new Error(data.message));
+    } else {
+      pending.resolve(data);
+    }
+  }
+
+  /**
+   * Reject all outstanding requests (worker crashed or was terminated)
+   */
+  rejectPending(error) {
+    for (const { reject } of this.pendingRequests.values()) {
+      reject(error);
+    }
+    this.pendingRequests.clear();
+    this.inferenceInFlight = false;
+  }
+
+  /**
+   * Run inference on a frame in the worker
+   * @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement} source
+   * @param {Object} options - { regions } - regions of interest to search instead of the whole frame
+   * @returns {Promise<Object[]>} Detections for this frame, or the latest
+   *   detections if the frame was dropped because the worker is busy
+   */
+  async detect(source, { regions = null } = {}) {
+    if (!this.modelLoaded || !this.worker) {
+      throw new Error('Model not loaded. Call loadModel() first.');
+    }
+
+    // Drop the frame rather than queueing it behind a running inference
+    if (this.inferenceInFlight) {
+      this.droppedFrames++;
+      return this.lastDetections;
+    }
+
+    this.inferenceInFlight = true;
+    try {
+      const frame = await createImageBitmap(source);
+      const { detections } = await this.request({ type: 'detect', frame, regions }, [frame]);
+      this.lastDetections = detections;
+      return this.lastDetections;
+    } finally {
+      this.inferenceInFlight = false;
+    }
+  }
+
+  /**
+   * Apply runtime detection settings (forwarded to the worker)
+   */
+  configure(options = {}) {
+    super.configure(options);
+    this.worker?.postMessage({ type: 'configure', options });
+  }
+
+  /**
+   * Dispose of the worker and its ONNX session
+   */
+  dispose() {
+    if (this.worker) {
+      this.worker.postMessage({ type: 'dispose' });
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.rejectPending(new Error('YOLOv8 worker disposed'));
+    this.lastDetections = [];
+    this.modelLoaded = false;
+  }
+}
+
+export { YOLOv8WorkerDetector };
+export default YOLOv8WorkerDetector;
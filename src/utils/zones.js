@@ -0,0 +1,124 @@
+/**
+ * Zones
+ * User-drawn polygons on the camera frame, persisted per device in settings.
+ *   ignore - detections centred inside are dropped before classification
+ *            (a flagpole, a busy road, a neighbour's bird feeder)
+ *   watch  - detections inside are tagged with the zone name for the threat
+ *            policy, and an aerial object entering one raises a zone alert
+ *
+ * Points are normalized to the frame (0-1, origin top-left) so zones survive
+ * resolution changes.
+ */
+
+import settingsStore from './settings';
+import { AERIAL_TYPES } from './classMappings';
+
+export const ZONE_TYPES = ['ignore', 'watch'];
+
+// Object types whose entry into a watch zone raises an alert (every aerial type)
+export const WATCH_ZONE_TYPES = AERIAL_TYPES;
+
+// Threat policy zone name matching any watch zone
+export const ANY_ZONE = '*';
+
+// Fewest points that make a polygon
+export const MIN_ZONE_POINTS = 3;
+
+/**
+ * Whether a point lies inside a polygon (ray casting)
+ * @param {number} x - Normalized x
+ * @param {number} y - Normalized y
+ * @param {Object[]} points - Polygon [{ x, y }, ...]
+ * @returns {boolean}
+ */
+export function pointInPolygon(x, y, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+class ZoneStore {
+  /**
+   * All zones
+   * @returns {Object[]} [{ id, name, type, points }, ...]
+   */
+  getZones() {
+    return settingsStore.get('zones').items;
+  }
+
+  /**
+   * Zones of one type containing a normalized point
+   * @param {number} x - Normalized x
+   * @param {number} y - Normalized y
+   * @param {string} type - 'ignore' or 'watch'
+   * @returns {Object[]}
+   */
+  zonesAt(x, y, type) {
+    return this.getZones().filter(zone => zone.type === type && pointInPolygon(x, y, zone.points));
+  }
+
+  /**
+   * Drop raw predictions centred inside an ignore zone
+   * @param {Object[]} predictions - Detector predictions with bbox [x, y, w, h] in pixels
+   * @param {number} frameWidth - Frame width in pixels
+   * @param {number} frameHeight - Frame height in pixels
+   * @returns {Object[]}
+   */
+  filterIgnored(predictions, frameWidth, frameHeight) {
+    if (!this.getZones().some(zone => zone.type === 'ignore')) return predictions;
+
+    return predictions.filter(({ bbox: [x, y, width, height] }) =>
+      this.zonesAt((x + width / 2) / frameWidth, (y + height / 2) / frameHeight, 'ignore').length === 0
+    );
+  }
+
+  /**
+   * Add a zone (persisted)
+   * @param {Object} zone - { name, type, points }
+   * @returns {Object} The stored zone with its id
+   */
+  addZone({ name, type, points }) {
+    if (!ZONE_TYPES.includes(type)) {
+      throw new Error(`Invalid zone type "${type}"`);
+    }
+    if (!Array.isArray(points) || points.length < MIN_ZONE_POINTS) {
+      throw new Error(`A zone needs at least ${MIN_ZONE_POINTS} points`);
+    }
+
+    const zones = this.getZones();
+    const zone = {
+      id: `zone_${Date.now().toString(36)}`,
+      name: name?.trim() || `${type === 'watch' ? 'Watch' : 'Ignore'} ${zones.filter(z => z.type === type).length + 1}`,
+      type,
+      points: points.map(({ x, y }) => ({ x, y }))
+    };
+    settingsStore.update('zones', { items: [...zones, zone] });
+    return zone;
+  }
+
+  /**
+   * Remove a zone
+   * @param {string} id - Zone id
+   */
+  removeZone(id) {
+    settingsStore.update('zones', { items: this.getZones().filter(zone => zone.id !== id) });
+  }
+
+  /**
+   * Remove all zones
+   */
+  clear() {
+    settingsStore.reset('zones');
+  }
+}
+
+// Export singleton instance and class
+const zoneStore = new ZoneStore();
+export { ZoneStore };
+export default zoneStore;
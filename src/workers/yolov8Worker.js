@@ -0,0 +1,62 @@
+/**
+ * YOLOv8 Inference Worker
+ * Runs preprocessing, ONNX inference and postprocessing/NMS off the main thread.
+ * Frames arrive as transferred ImageBitmaps and are closed once processed.
+ *
+ * Messages in:  { type: 'load', id, manifest, backend }
+ *               { type: 'detect', id, frame, regions }
+ *               { type: 'configure', options }
+ *               { type: 'dispose' }
+ * Messages out: { type: 'result', id, segmentation, backend, benchmark } (load)
+ *               { type: 'result', id, detections } (detect)
+ *               { type: 'error', id, message }
+ */
+
+import { YOLOv8Detector } from '../utils/yolov8Detector';
+
+const detector = new YOLOv8Detector();
+
+self.onmessage = async (event) => {
+  const { type, id } = event.data;
+
+  switch (type) {
+    case 'load':
+      try {
+        await detector.loadModel(event.data.manifest, { backend: event.data.backend });
+        self.postMessage({
+          type: 'result',
+          id,
+          segmentation: detector.segmentation,
+          backend: detector.backend,
+          benchmark: detector.benchmark
+        });
+      } catch (error) {
+        self.postMessage({ type: 'error', id, message: error.message });
+      }
+      break;
+
+    case 'detect': {
+      const { frame, regions } = event.data;
+      try {
+        const detections = await detector.detect(frame, { regions });
+        self.postMessage({ type: 'result', id, detections });
+      } catch (error) {
+        self.postMessage({ type: 'error', id, message: error.message });
+      } finally {
+        frame.close();
+      }
+      break;
+    }
+
+    case 'configure':
+      detector.configure(event.data.options);
+      break;
+
+    case 'dispose':
+      detector.dispose();
+      break;
+
+    default:
+      console.warn('Unknown YOLOv8 worker message:', type);
+  }
+};